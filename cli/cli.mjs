@@ -2,9 +2,12 @@
 /**
  * macgas CLI - Check status and manage your gasless service
  * Usage: npx macgas [command]
+ * MACGAS_CLUSTER picks the cluster (mainnet, devnet, testnet, localnet); MACGAS_API the server.
  */
 
-const API = 'https://macgas.xyz';
+const API = process.env.MACGAS_API || 'https://macgas.xyz';
+const CLUSTER = process.env.MACGAS_CLUSTER || 'mainnet';
+const PREFIX = CLUSTER === 'mainnet' ? '' : '/' + CLUSTER;
 
 async function main() {
   const cmd = process.argv[2] || 'status';
@@ -12,14 +15,20 @@ async function main() {
   switch(cmd) {
     case 'status':
       const health = await fetch(`${API}/health`).then(r => r.json());
-      const balance = await fetch('https://api.mainnet-beta.solana.com', {
+      // The cluster's fee payer and public RPC come from the server
+      const info = await fetch(`${API}${PREFIX}/info`).then(r => r.json());
+      if (info.error) {
+        console.log(`❌ ${info.error}`);
+        process.exit(1);
+      }
+      const balance = info.feePayer ? await fetch(info.rpc, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           jsonrpc: '2.0', id: 1, method: 'getBalance',
-          params: ['3web11FBh1KuejjJTv8NjuaXGh6qgyXBFcx8khyJ8Wpv']
+          params: [info.feePayer]
         })
-      }).then(r => r.json());
+      }).then(r => r.json()) : {};
       const sol = (balance.result?.value || 0) / 1e9;
       const capacity = Math.floor(sol * 1e9 / 5000);
       
@@ -27,6 +36,7 @@ async function main() {
 ⛽ macgas.xyz Status
 ━━━━━━━━━━━━━━━━━━━━
 Service:    ${health.status === 'ok' ? '✅ Operational' : '⚠️ Degraded'}
+Cluster:    ${CLUSTER}${info.status === 'active' ? '' : ' (unavailable)'}
 Projects:   ${health.projects}
 Balance:    ${sol.toFixed(4)} SOL
 Capacity:   ~${capacity.toLocaleString()} transactions
@@ -41,7 +51,7 @@ Docs: https://macgas.xyz/SKILL.md
         console.log('Usage: macgas register <project-id>');
         process.exit(1);
       }
-      const res = await fetch(`${API}/register`, {
+      const res = await fetch(`${API}${PREFIX}/register`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ project_id: projectId })
@@ -61,6 +71,7 @@ Commands:
 
 Examples:
   macgas status
+  MACGAS_CLUSTER=devnet macgas status
   macgas register my-cool-app
       `);
   }
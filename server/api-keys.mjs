@@ -0,0 +1,140 @@
+/**
+ * API keys for MacGas projects
+ *
+ * Keys are secrets separate from the (public) project ID, which doubles as
+ * the on-chain deposit memo. Only a SHA-256 hash of each key is stored;
+ * the plaintext is returned once, when the key is issued or rotated.
+ */
+
+import { randomBytes, createHash } from 'crypto';
+
+// What a key may do
+//   submit - sponsor transactions (/sign_and_send)
+//   fund   - top up the balance (/fund)
+//   read   - balances, ledger, settings
+//   manage - change settings and manage keys
+export const API_KEY_SCOPES = ['submit', 'fund', 'read', 'manage'];
+
+const KEY_PREFIX = 'mg_';
+const MAX_KEYS_PER_PROJECT = 20;
+
+/**
+ * Hash an API key for storage/lookup
+ * @param {string} apiKey
+ * @returns {string}
+ */
+export function hashApiKey(apiKey) {
+  return createHash('sha256').update(apiKey).digest('hex');
+}
+
+function generateSecret() {
+  return KEY_PREFIX + randomBytes(24).toString('hex');
+}
+
+/**
+ * Public view of a key record (never includes the hash)
+ * @param {Object} record
+ * @returns {Object}
+ */
+export function describeApiKey(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    scopes: record.scopes,
+    prefix: record.prefix,
+    createdAt: record.createdAt,
+    rotatedAt: record.rotatedAt || null,
+    lastUsedAt: record.lastUsedAt || null,
+    revokedAt: record.revokedAt || null
+  };
+}
+
+/**
+ * Validate a requested scope list
+ * @param {string[]} scopes
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'scopes must be a non-empty array';
+  }
+  const unknown = scopes.filter(s => !API_KEY_SCOPES.includes(s));
+  if (unknown.length > 0) {
+    return `Unknown scopes: ${unknown.join(', ')} (expected ${API_KEY_SCOPES.join(', ')})`;
+  }
+  return null;
+}
+
+/**
+ * Issue a new key for a project
+ * @param {Object} store - Storage backend
+ * @param {string} projectId
+ * @param {Object} [options]
+ * @param {string} [options.name]
+ * @param {string[]} [options.scopes] - Defaults to every scope
+ * @returns {{ apiKey: string, key: Object }} Plaintext key (show once) and its public view
+ */
+export function issueApiKey(store, projectId, { name = 'default', scopes = API_KEY_SCOPES } = {}) {
+  const active = store.listApiKeys(projectId).filter(k => !k.revokedAt);
+  if (active.length >= MAX_KEYS_PER_PROJECT) {
+    throw new Error(`Projects are limited to ${MAX_KEYS_PER_PROJECT} active keys`);
+  }
+
+  const apiKey = generateSecret();
+  const record = {
+    id: 'key_' + randomBytes(6).toString('hex'),
+    projectId,
+    name,
+    scopes: [...new Set(scopes)],
+    hash: hashApiKey(apiKey),
+    prefix: apiKey.slice(0, KEY_PREFIX.length + 6),
+    createdAt: Date.now()
+  };
+
+  store.saveApiKey(record);
+  return { apiKey, key: describeApiKey(record) };
+}
+
+/**
+ * Replace a key's secret, keeping its id, name and scopes
+ * @param {Object} store - Storage backend
+ * @param {Object} record - Existing key record
+ * @returns {{ apiKey: string, key: Object }}
+ */
+export function rotateApiKey(store, record) {
+  const apiKey = generateSecret();
+  const rotated = {
+    ...record,
+    hash: hashApiKey(apiKey),
+    prefix: apiKey.slice(0, KEY_PREFIX.length + 6),
+    rotatedAt: Date.now()
+  };
+
+  store.saveApiKey(rotated);
+  return { apiKey, key: describeApiKey(rotated) };
+}
+
+/**
+ * Revoke a key
+ * @param {Object} store - Storage backend
+ * @param {Object} record - Existing key record
+ * @returns {Object} Public view of the revoked key
+ */
+export function revokeApiKey(store, record) {
+  const revoked = { ...record, revokedAt: Date.now() };
+  store.saveApiKey(revoked);
+  return describeApiKey(revoked);
+}
+
+/**
+ * Look up an active key by its plaintext value
+ * @param {Object} store - Storage backend
+ * @param {string} apiKey
+ * @returns {Object|null} Key record
+ */
+export function findApiKey(store, apiKey) {
+  if (typeof apiKey !== 'string' || !apiKey.startsWith(KEY_PREFIX)) return null;
+  const record = store.getApiKeyByHash(hashApiKey(apiKey));
+  if (!record || record.revokedAt) return null;
+  return record;
+}
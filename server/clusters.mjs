@@ -0,0 +1,233 @@
+/**
+ * Solana clusters MacGas sponsors on
+ *
+ * Each cluster has its own RPC, fee payer, deposit wallet, accepted mints,
+ * x402 network (CAIP-2) and pricing. A request picks its cluster with a
+ * path prefix (/devnet/sign_and_send) or the X-Solana-Cluster header;
+ * anything else is mainnet.
+ *
+ *   mainnet  - metered from the project balance; Kora signs as FEE_PAYER
+ *              unless a fee payer key is configured
+ *   devnet   - free within a daily quota; off unless it has a fee payer key
+ *   testnet  - like devnet
+ *   localnet - a solana-test-validator (LOCALNET_RPC_URL); metered like
+ *              mainnet so the whole stack - deposits, balances, x402 with a
+ *              local or mock facilitator - runs offline. Off unless it has
+ *              a fee payer key.
+ *
+ * Metered clusters keep separate project balances (ledger.mjs). A cluster
+ * without a fee payer signer (signers.mjs) is listed but can't sponsor
+ * anything.
+ *
+ * Per-cluster settings come from the environment: <CLUSTER>_RPC_URL,
+ * <CLUSTER>_DEPOSIT_WALLET, <CLUSTER>_MINTS (USDC=<mint>,USDT=<mint>),
+ * <CLUSTER>_NONCE_ACCOUNTS, <CLUSTER>_DAILY_TX_LIMIT, LOCALNET_CAIP2, the
+ * signer's <CLUSTER>_FEE_PAYER_* variables, and <CLUSTER>_TREASURY_KEY_PATH or
+ * <CLUSTER>_TREASURY_KEY: the deposit wallet's key, for fee payer top-ups
+ * (treasury.mjs). Mainnet keeps its original names without a prefix:
+ * RPC_URL, FEE_PAYER, NONCE_ACCOUNTS, FEE_PAYER_KEY_PATH...
+ */
+
+import { loadKeypair, parseKeypair } from './keypair.mjs';
+import { signerFromEnv } from './signers.mjs';
+import { isValidAddress } from './solana-tx.mjs';
+import { TOKENS } from './tokens.mjs';
+
+export const CLUSTER_NAMES = ['mainnet', 'devnet', 'testnet', 'localnet'];
+
+export const DEFAULT_CLUSTER = 'mainnet';
+
+// Where MacGas receives mainnet deposits and x402 payments
+const MAINNET_WALLET = 'F6i99DWMEMZtLDKnWGx1FW6drkqvtDnXWLHxgrwzVdWD';
+
+// Circle's devnet USDC
+const DEVNET_USDC_MINT = '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU';
+
+function env(name, fallback) {
+  return process.env[name] || fallback;
+}
+
+function addressList(name) {
+  const list = (process.env[name] || '').split(',').map(a => a.trim()).filter(Boolean);
+  for (const address of list) {
+    if (!isValidAddress(address)) throw new Error(`${name}: invalid address ${address}`);
+  }
+  return list;
+}
+
+// USDC=<mint>,USDT=<mint> -> { USDC: mint, USDT: mint }; symbols must be known tokens (tokens.mjs)
+function mintList(name, fallback) {
+  if (!process.env[name]) return fallback;
+
+  const mints = {};
+  for (const pair of process.env[name].split(',').map(p => p.trim()).filter(Boolean)) {
+    const [symbol, mint] = pair.split('=').map(s => s.trim());
+    if (!Object.hasOwn(TOKENS, symbol)) throw new Error(`${name}: unknown token ${symbol}`);
+    if (!isValidAddress(mint || '')) throw new Error(`${name}: invalid mint for ${symbol}`);
+    mints[symbol] = mint;
+  }
+  return mints;
+}
+
+// The deposit wallet's keypair, if the treasury may send from it
+function treasuryKeyFromEnv(prefix) {
+  const key = process.env[prefix + 'TREASURY_KEY'];
+  const path = process.env[prefix + 'TREASURY_KEY_PATH'];
+  try {
+    if (key) return parseKeypair(key);
+    if (path) return loadKeypair(path);
+  } catch (err) {
+    throw new Error(`${key ? prefix + 'TREASURY_KEY' : path}: ${err.message}`);
+  }
+  return null;
+}
+
+function loadClusters() {
+  // Mainnet defaults to the Kora deployment MacGas started with
+  const mainnetSigner = signerFromEnv('mainnet', '', {
+    signer: 'kora',
+    koraUrl: 'http://127.0.0.1:8080',
+    feePayer: '3web11FBh1KuejjJTv8NjuaXGh6qgyXBFcx8khyJ8Wpv'
+  });
+  const devnetSigner = signerFromEnv('devnet', 'DEVNET_');
+  const testnetSigner = signerFromEnv('testnet', 'TESTNET_');
+  const localnetSigner = signerFromEnv('localnet', 'LOCALNET_');
+
+  const clusters = [
+    {
+      name: 'mainnet',
+      caip2: 'solana:5eykt4UsFv8P8NJdTREpY1vzqKqZKvdp',
+      rpcUrl: env('RPC_URL', 'https://api.mainnet-beta.solana.com'),
+      publicRpcUrl: 'https://api.mainnet-beta.solana.com',
+      signer: mainnetSigner,
+      feePayer: mainnetSigner?.publicKey ?? null,
+      wallet: MAINNET_WALLET,
+      mints: Object.fromEntries(Object.values(TOKENS).map(t => [t.symbol, t.mint])),
+      nonceAccounts: addressList('NONCE_ACCOUNTS'),
+      treasuryKey: treasuryKeyFromEnv(''),
+      pricing: { free: false }
+    },
+    {
+      name: 'devnet',
+      caip2: 'solana:EtWTRABZaYq6iMfeYKouRu166VU2xqa1',
+      rpcUrl: env('DEVNET_RPC_URL', 'https://api.devnet.solana.com'),
+      publicRpcUrl: 'https://api.devnet.solana.com',
+      signer: devnetSigner,
+      feePayer: devnetSigner?.publicKey ?? null,
+      wallet: env('DEVNET_DEPOSIT_WALLET', MAINNET_WALLET),
+      mints: mintList('DEVNET_MINTS', { USDC: DEVNET_USDC_MINT }),
+      nonceAccounts: addressList('DEVNET_NONCE_ACCOUNTS'),
+      treasuryKey: treasuryKeyFromEnv('DEVNET_'),
+      pricing: { free: true, dailyTxLimit: parseInt(env('DEVNET_DAILY_TX_LIMIT', '200'), 10) }
+    },
+    {
+      name: 'testnet',
+      caip2: 'solana:4uhcVJyU9pJkvQyS88uRDiswHXSCkY3z',
+      rpcUrl: env('TESTNET_RPC_URL', 'https://api.testnet.solana.com'),
+      publicRpcUrl: 'https://api.testnet.solana.com',
+      signer: testnetSigner,
+      feePayer: testnetSigner?.publicKey ?? null,
+      wallet: env('TESTNET_DEPOSIT_WALLET', MAINNET_WALLET),
+      mints: mintList('TESTNET_MINTS', {}),
+      nonceAccounts: addressList('TESTNET_NONCE_ACCOUNTS'),
+      treasuryKey: treasuryKeyFromEnv('TESTNET_'),
+      pricing: { free: true, dailyTxLimit: parseInt(env('TESTNET_DAILY_TX_LIMIT', '200'), 10) }
+    },
+    {
+      name: 'localnet',
+      // A test validator's genesis hash changes every run, so there is no fixed CAIP-2 ID;
+      // x402 on localnet needs the local or mock facilitator
+      caip2: env('LOCALNET_CAIP2', 'solana:localnet'),
+      rpcUrl: env('LOCALNET_RPC_URL', 'http://127.0.0.1:8899'),
+      publicRpcUrl: env('LOCALNET_RPC_URL', 'http://127.0.0.1:8899'),
+      signer: localnetSigner,
+      feePayer: localnetSigner?.publicKey ?? null,
+      wallet: env('LOCALNET_DEPOSIT_WALLET', localnetSigner?.publicKey ?? null),
+      mints: mintList('LOCALNET_MINTS', {}),
+      nonceAccounts: addressList('LOCALNET_NONCE_ACCOUNTS'),
+      treasuryKey: treasuryKeyFromEnv('LOCALNET_'),
+      pricing: { free: false }
+    }
+  ];
+
+  for (const cluster of clusters) {
+    if (cluster.wallet && !isValidAddress(cluster.wallet)) {
+      throw new Error(`${cluster.name.toUpperCase()}_DEPOSIT_WALLET: invalid address ${cluster.wallet}`);
+    }
+    if (cluster.treasuryKey && cluster.treasuryKey.publicKey !== cluster.wallet) {
+      throw new Error(`The ${cluster.name} treasury key is ${cluster.treasuryKey.publicKey}, not the deposit wallet ${cluster.wallet}`);
+    }
+  }
+  return Object.fromEntries(clusters.map(cluster => [cluster.name, cluster]));
+}
+
+// Clusters by name
+export const CLUSTERS = loadClusters();
+
+/**
+ * A cluster by name
+ * @param {string} name
+ * @returns {Object|null}
+ */
+export function getCluster(name) {
+  return Object.hasOwn(CLUSTERS, name) ? CLUSTERS[name] : null;
+}
+
+/**
+ * Whether a cluster can sponsor transactions (it has a fee payer)
+ * @param {Object} cluster
+ * @returns {boolean}
+ */
+export function isClusterEnabled(cluster) {
+  return Boolean(cluster.feePayer);
+}
+
+/**
+ * Clusters that can sponsor transactions
+ * @returns {Object[]}
+ */
+export function enabledClusters() {
+  return Object.values(CLUSTERS).filter(isClusterEnabled);
+}
+
+/**
+ * Assets a project can hold and pay with on a cluster: SOL and its configured mints
+ * @param {string} [name]
+ * @returns {string[]}
+ */
+export function clusterAssets(name = DEFAULT_CLUSTER) {
+  return ['SOL', ...Object.keys(CLUSTERS[name].mints)];
+}
+
+/**
+ * Explorer link for a transaction
+ * @param {Object} cluster
+ * @param {string} signature
+ * @returns {string}
+ */
+export function explorerUrl(cluster, signature) {
+  const base = 'https://explorer.solana.com/tx/' + signature;
+  if (cluster.name === 'mainnet') return base;
+  if (cluster.name === 'localnet') return base + '?cluster=custom&customUrl=' + encodeURIComponent(cluster.publicRpcUrl);
+  return base + '?cluster=' + cluster.name;
+}
+
+/**
+ * Public view of a cluster (no private RPC URLs)
+ * @param {Object} cluster
+ * @returns {Object}
+ */
+export function describeCluster(cluster) {
+  return {
+    network: cluster.name,
+    caip2: cluster.caip2,
+    status: isClusterEnabled(cluster) ? 'active' : 'unavailable',
+    feePayer: cluster.feePayer,
+    rpc: cluster.publicRpcUrl,
+    free: cluster.pricing.free,
+    depositWallet: cluster.pricing.free ? null : cluster.wallet,
+    accepts: cluster.pricing.free ? [] : clusterAssets(cluster.name),
+    mints: cluster.mints,
+    durableNonces: cluster.nonceAccounts.length
+  };
+}
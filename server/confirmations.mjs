@@ -0,0 +1,209 @@
+/**
+ * Confirmation tracking for sponsored transactions
+ *
+ * /sign_and_send broadcasts with skipPreflight and returns straight away, so
+ * the project is charged before anyone knows whether the transaction landed.
+ * Each sponsored signature is recorded as 'sent' and polled here until it is
+ * finalized, failed, or its blockhash expired without it landing. Expired
+ * transactions cost the fee payer nothing, so their charge is refunded and
+ * they stop counting against the project's spending policy (and, on a free
+ * cluster, its daily quota).
+ * A transaction on a durable nonce has no expiring blockhash: it can land
+ * until the nonce account's nonce moves on. Each cluster (clusters.mjs) is
+ * polled on its own RPC, and refunds go back to the balance on that cluster.
+ *
+ * Statuses: sent -> processed -> confirmed -> finalized | failed | expired
+ */
+
+import { rpcRequest } from './rpc.mjs';
+import { fetchNonceAccount } from './solana-tx.mjs';
+import { postEntry } from './ledger.mjs';
+import { rollbackSpend, returnFreeQuota } from './policies.mjs';
+import { emitEvent } from './webhooks.mjs';
+
+export const PENDING_STATUSES = ['sent', 'processed', 'confirmed'];
+export const FINAL_STATUSES = ['finalized', 'failed', 'expired'];
+
+// getSignatureStatuses accepts at most 256 signatures per call
+const STATUS_BATCH_SIZE = 256;
+
+// Webhook event for each final status
+const STATUS_EVENTS = {
+  finalized: 'transaction.confirmed',
+  failed: 'transaction.failed',
+  expired: 'transaction.expired'
+};
+
+/**
+ * Public view of a transaction record
+ * @param {Object} record
+ * @returns {Object}
+ */
+export function describeTransaction(record) {
+  return {
+    signature: record.signature,
+    projectId: record.projectId,
+    network: record.network || 'mainnet',
+    feePayer: record.feePayer ?? null,
+    status: record.status,
+    createdAt: record.createdAt,
+    slot: record.slot ?? null,
+    confirmedAt: record.confirmedAt ?? null,
+    finalizedAt: record.finalizedAt ?? null,
+    err: record.err ?? null,
+    cost: record.cost,
+    charged: record.charged,
+    refunded: record.refund || null
+  };
+}
+
+/**
+ * Mark a transaction that never landed expired, refund its charge and roll back its policy usage
+ * (on a free cluster: its policy usage and free quota slot)
+ * @param {Object} store - Storage backend
+ * @param {Object} record - Transaction record
+ * @returns {Object|null} Updated record, or null if it was no longer pending
+ */
+function expireTransaction(store, record) {
+  return store.transaction(() => {
+    // Never refund twice
+    const current = store.getTransaction(record.signature);
+    if (!PENDING_STATUSES.includes(current.status)) return null;
+
+    const spent = {
+      projectId: record.projectId,
+      cluster: record.network || 'mainnet',
+      user: record.user ?? null,
+      lamports: record.cost.networkCost,
+      rent: record.cost.rent || 0,
+      at: record.createdAt
+    };
+
+    // Transactions on free clusters (devnet, testnet) were never charged: they hand back their quota slot
+    if (!record.charged) {
+      rollbackSpend(store, spent);
+      returnFreeQuota(store, spent);
+      const expired = { ...record, status: 'expired', expiredAt: Date.now() };
+      store.saveTransaction(expired);
+      return expired;
+    }
+
+    const entry = postEntry(store, {
+      projectId: record.projectId,
+      cluster: record.network || 'mainnet',
+      type: 'refund',
+      asset: record.charged.asset,
+      amount: record.charged.amount,
+      source: 'sponsored_tx',
+      ref: record.signature,
+      memo: 'Transaction expired without landing'
+    });
+    rollbackSpend(store, spent);
+
+    const expired = {
+      ...record,
+      status: 'expired',
+      expiredAt: Date.now(),
+      refund: { asset: entry.asset, amount: entry.amount, ledgerEntryId: entry.id }
+    };
+    store.saveTransaction(expired);
+    return expired;
+  });
+}
+
+// Save a status change and tell the project's webhooks once it is final
+function saveStatus(store, record) {
+  store.saveTransaction(record);
+  if (STATUS_EVENTS[record.status]) {
+    emitEvent(store, record.projectId, STATUS_EVENTS[record.status], describeTransaction(record));
+  }
+}
+
+/**
+ * Apply an RPC signature status to a record
+ * @param {Object} record
+ * @param {Object} status - getSignatureStatuses value
+ * @returns {Object|null} Updated record, or null if nothing changed
+ */
+function applyStatus(record, status) {
+  const now = Date.now();
+  const next = { ...record, slot: status.slot };
+
+  if (status.err) {
+    // Failed transactions still pay their fee, so there is nothing to refund
+    next.status = 'failed';
+    next.err = status.err;
+  } else {
+    next.status = status.confirmationStatus || 'processed';
+  }
+
+  if (next.status === record.status) return null;
+  if (next.status === 'confirmed' || next.status === 'finalized' || next.status === 'failed') next.confirmedAt ??= now;
+  if (next.status === 'finalized') next.finalizedAt = now;
+  return next;
+}
+
+// Whether a transaction not seen yet can still land
+async function canStillLand(rpcUrl, record) {
+  if (record.nonceAccount) {
+    const account = await fetchNonceAccount(rpcUrl, record.nonceAccount);
+    return account?.nonce === record.recentBlockhash;
+  }
+  const valid = await rpcRequest(rpcUrl, 'isBlockhashValid', [record.recentBlockhash, { commitment: 'processed' }]);
+  return valid?.value !== false;
+}
+
+/**
+ * Poll the status of every pending sponsored transaction on one network once
+ * @param {Object} store - Storage backend
+ * @param {string} rpcUrl - That network's RPC
+ * @param {string} [network] - Cluster name (records without one are mainnet)
+ * @returns {Promise<{ checked: number, updated: number, expired: number }>}
+ */
+export async function checkConfirmations(store, rpcUrl, network = 'mainnet') {
+  const pending = store.listTransactionsByStatus(PENDING_STATUSES).filter(t => (t.network || 'mainnet') === network);
+  const counts = { checked: pending.length, updated: 0, expired: 0 };
+
+  for (let i = 0; i < pending.length; i += STATUS_BATCH_SIZE) {
+    const batch = pending.slice(i, i + STATUS_BATCH_SIZE);
+    const statuses = await rpcRequest(rpcUrl, 'getSignatureStatuses', [batch.map(t => t.signature)]);
+
+    for (const [index, record] of batch.entries()) {
+      const status = statuses?.value?.[index];
+
+      if (status) {
+        const next = applyStatus(record, status);
+        if (next) {
+          saveStatus(store, next);
+          counts.updated++;
+          if (next.status === 'failed') console.log(`[CONFIRM] ${record.signature} failed on-chain: ${JSON.stringify(status.err)}`);
+        }
+        continue;
+      }
+
+      // Not seen yet - it can still land until its blockhash expires (or its nonce advances)
+      if (!record.recentBlockhash) continue;
+      if (await canStillLand(rpcUrl, record)) continue;
+
+      // Expired; look once more in case it landed between the two calls
+      const final = await rpcRequest(rpcUrl, 'getSignatureStatuses', [[record.signature], { searchTransactionHistory: true }]);
+      const lateStatus = final?.value?.[0];
+      if (lateStatus) {
+        const next = applyStatus(record, lateStatus);
+        if (next) {
+          saveStatus(store, next);
+          counts.updated++;
+        }
+        continue;
+      }
+
+      const expired = expireTransaction(store, record);
+      if (!expired) continue;
+      emitEvent(store, record.projectId, 'transaction.expired', describeTransaction(expired));
+      counts.expired++;
+      console.log(`[CONFIRM] ${record.signature} expired` + (record.charged ? `, refunded ${record.charged.amount} ${record.charged.asset} to ${record.projectId}` : ''));
+    }
+  }
+
+  return counts;
+}
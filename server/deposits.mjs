@@ -0,0 +1,339 @@
+/**
+ * Deposit watching for MacGas
+ *
+ * Finds SOL and SPL token (tokens.mjs) transfers to our wallet that carry
+ * a project ID memo and credits the project. Pay-as-you-go projects are
+ * credited in the deposited token; prepaid projects get its lamport value.
+ *
+ * Each metered cluster (clusters.mjs) is watched on its own RPC, with one
+ * watcher per asset: SOL to the cluster's wallet, and each of its mints to
+ * the wallet's token account. Deposits credit the project's balance on
+ * that cluster.
+ *
+ * Each watcher persists the newest signature it has processed (state key
+ * `depositCursor:<asset>`, `depositCursor:<cluster>:<asset>` off mainnet)
+ * and pages backwards from the tip until it gets back to it, so bursts
+ * larger than one page are never skipped. Every credited deposit is
+ * recorded by signature, so restarts, overlapping polls and admin rescans
+ * can never credit the same transfer twice.
+ */
+
+import { rpcRequest } from './rpc.mjs';
+import { postEntry, getBalance } from './ledger.mjs';
+import { emitEvent } from './webhooks.mjs';
+import { MEMO_PROGRAM_ID } from './solana-tx.mjs';
+import { toDisplayAmount } from './tokens.mjs';
+import { assetToLamports } from './pricing.mjs';
+
+// getSignaturesForAddress returns at most 1000 signatures per call
+const PAGE_SIZE = 1000;
+
+// With no cursor yet (first start), only look at the newest page
+const BOOTSTRAP_PAGES = 1;
+
+// Upper bound on how far back a rescan walks (in pages)
+const MAX_RESCAN_PAGES = 50;
+
+// Ledger source of a memo deposit of each asset
+function depositSource(asset) {
+  if (asset === 'SOL') return 'deposit';
+  return asset === 'USDC' ? 'usdc_deposit' : 'token_deposit';
+}
+
+function cursorKey(asset, cluster) {
+  return cluster === 'mainnet' ? 'depositCursor:' + asset : `depositCursor:${cluster}:${asset}`;
+}
+
+/**
+ * Record deposits credited before deposits were tracked by signature,
+ * so the first backfill doesn't credit them again. Runs once.
+ * @param {Object} store - Storage backend
+ */
+export function seedDepositRecords(store) {
+  if (store.getState('depositsSeeded')) return;
+
+  store.transaction(() => {
+    for (const entry of store.iterateLedger()) {
+      const asset = { deposit: 'SOL', usdc_deposit: 'USDC' }[entry.source];
+      if (!asset || !entry.ref || store.getDeposit(entry.ref)) continue;
+      store.saveDeposit({
+        signature: entry.ref,
+        projectId: entry.projectId,
+        asset,
+        creditedAsset: entry.asset,
+        creditedAmount: entry.amount,
+        ledgerEntryId: entry.id,
+        creditedAt: entry.at
+      });
+    }
+    store.setState('depositsSeeded', true);
+  });
+}
+
+// Project ID from the transaction's memo, if any
+function getMemo(tx) {
+  for (const ix of tx.transaction.message.instructions) {
+    if (ix.program === 'spl-memo' || ix.programId === MEMO_PROGRAM_ID) {
+      const memo = ix.parsed || ix.data;
+      return typeof memo === 'string' ? memo.trim() : null;
+    }
+  }
+  return null;
+}
+
+// Lamports our wallet gained in the transaction
+function getSolDepositAmount(tx, wallet) {
+  const accountKeys = tx.transaction.message.accountKeys;
+  for (let i = 0; i < accountKeys.length; i++) {
+    const pubkey = accountKeys[i].pubkey || accountKeys[i];
+    if (pubkey === wallet) {
+      const gained = tx.meta.postBalances[i] - tx.meta.preBalances[i];
+      if (gained > 0) return gained;
+    }
+  }
+  return 0;
+}
+
+// Token base units transferred into our token account (top-level or inner instructions).
+// Only the destination counts - a transfer of the same mint elsewhere is not ours.
+function getTokenDepositAmount(tx, tokenAccount) {
+  const instructions = [
+    ...tx.transaction.message.instructions,
+    ...(tx.meta?.innerInstructions || []).flatMap(inner => inner.instructions)
+  ];
+
+  let amount = 0;
+  for (const ix of instructions) {
+    if (ix.parsed?.type !== 'transfer' && ix.parsed?.type !== 'transferChecked') continue;
+    const info = ix.parsed.info;
+    if (info.destination === tokenAccount) {
+      amount += parseInt(info.amount || info.tokenAmount?.amount || 0);
+    }
+  }
+  return amount;
+}
+
+// The address whose signatures a watcher follows
+async function getWatchedAddress(asset, config) {
+  if (asset === 'SOL') return config.wallet;
+
+  const accounts = await rpcRequest(config.rpcUrl, 'getTokenAccountsByOwner', [
+    config.wallet,
+    { mint: config.mints[asset] },
+    { encoding: 'jsonParsed' }
+  ]);
+  return accounts?.value?.[0]?.pubkey || null;
+}
+
+/**
+ * Page backwards through an address's signatures, newest first
+ * @param {string} rpcUrl
+ * @param {string} address
+ * @param {Object} [options]
+ * @param {string} [options.until] - Stop at (and exclude) this signature
+ * @param {number} [options.maxPages] - Give up after this many pages
+ * @param {Function} [options.stopWhen] - Stop paging once a page's last entry matches
+ * @returns {Promise<Object[]>} Signature infos, newest first
+ */
+async function listSignatures(rpcUrl, address, { until, maxPages = Infinity, stopWhen } = {}) {
+  const signatures = [];
+  let before;
+
+  for (let page = 0; page < maxPages; page++) {
+    const options = { limit: PAGE_SIZE };
+    if (before) options.before = before;
+    if (until) options.until = until;
+
+    const batch = await rpcRequest(rpcUrl, 'getSignaturesForAddress', [address, options]) || [];
+    signatures.push(...batch);
+
+    if (batch.length < PAGE_SIZE) break;
+    if (stopWhen?.(batch[batch.length - 1])) break;
+    before = batch[batch.length - 1].signature;
+  }
+
+  return signatures;
+}
+
+/**
+ * Credit one deposit unless its signature was already credited
+ * @param {Object} store - Storage backend
+ * @param {Object} config - { cluster, isPayg(project) }
+ * @param {Object} deposit - { asset, signature, projectId, amount, slot, blockTime }
+ * @returns {Object|null} The deposit record, or null if already credited
+ */
+function creditDeposit(store, config, { asset, signature, projectId, amount, slot, blockTime }) {
+  const credited = store.transaction(() => {
+    if (store.getDeposit(signature)) return null;
+
+    // Pay-as-you-go projects keep the token; prepaid ones are credited its lamport value
+    const project = store.getProject(projectId);
+    const creditedAsset = asset === 'SOL' || config.isPayg(project) ? asset : 'SOL';
+    const creditedAmount = creditedAsset === asset ? amount : assetToLamports(amount, asset);
+    if (creditedAmount <= 0) return null;
+
+    const entry = postEntry(store, {
+      projectId,
+      cluster: config.cluster,
+      type: 'credit',
+      asset: creditedAsset,
+      amount: creditedAmount,
+      source: depositSource(asset),
+      ref: signature,
+      memo: asset === 'SOL' ? null : `${toDisplayAmount(asset, amount)} ${asset}`
+    });
+
+    const updated = store.updateProject(projectId, (p) => {
+      p.lastDeposit = asset === 'SOL'
+        ? { lamports: amount, txSignature: signature, at: Date.now() }
+        : { type: asset, amount: toDisplayAmount(asset, amount), creditedAsset, creditedAmount, txSignature: signature, at: Date.now() };
+    });
+
+    const record = {
+      signature,
+      projectId,
+      cluster: config.cluster,
+      asset,
+      amount,
+      creditedAsset,
+      creditedAmount,
+      slot: slot ?? null,
+      blockTime: blockTime ?? null,
+      ledgerEntryId: entry.id,
+      creditedAt: Date.now()
+    };
+    store.saveDeposit(record);
+
+    return { record, balance: getBalance(updated, creditedAsset, config.cluster) };
+  });
+
+  if (!credited) return null;
+
+  const { creditedAsset, creditedAmount } = credited.record;
+  const on = config.cluster === 'mainnet' ? '' : ` on ${config.cluster}`;
+  if (asset === 'SOL') {
+    console.log(`[DEPOSIT] Credited ${amount} lamports to ${projectId}${on} from tx ${signature}`);
+  } else if (creditedAsset === asset) {
+    console.log(`[${asset} DEPOSIT] Credited ${toDisplayAmount(asset, amount)} ${asset} to ${projectId}${on} from tx ${signature}`);
+  } else {
+    console.log(`[${asset} DEPOSIT] Credited ${creditedAmount} lamports (${toDisplayAmount(asset, amount)} ${asset}) to ${projectId}${on}`);
+  }
+
+  emitEvent(store, projectId, 'deposit.credited', {
+    cluster: config.cluster,
+    asset,
+    amount,
+    creditedAsset,
+    creditedAmount,
+    signature,
+    balance: credited.balance
+  });
+
+  return credited.record;
+}
+
+/**
+ * Inspect one signature and credit it if it is a memo deposit
+ * @returns {Promise<Object|null>} Deposit record if credited
+ * @throws if the transaction can't be fetched yet (so the cursor is not advanced past it)
+ */
+async function processSignature(store, config, asset, address, sig) {
+  if (sig.err) return null;
+  if (store.getDeposit(sig.signature)) return null;
+
+  const tx = await rpcRequest(config.rpcUrl, 'getTransaction', [
+    sig.signature,
+    { encoding: 'jsonParsed', maxSupportedTransactionVersion: 0 }
+  ]);
+  if (!tx) throw new Error('Transaction not available yet: ' + sig.signature);
+
+  const projectId = getMemo(tx);
+  if (!projectId || !store.hasProject(projectId)) return null;
+
+  const amount = asset === 'SOL'
+    ? getSolDepositAmount(tx, config.wallet)
+    : getTokenDepositAmount(tx, address);
+  if (amount <= 0) return null;
+
+  return creditDeposit(store, config, {
+    asset,
+    signature: sig.signature,
+    projectId,
+    amount,
+    slot: sig.slot,
+    blockTime: sig.blockTime
+  });
+}
+
+/**
+ * Process every signature since the persisted cursor, oldest first
+ * @param {Object} store - Storage backend
+ * @param {Object} config - { cluster, rpcUrl, wallet, mints, isPayg(project) }
+ * @param {string} asset - SOL or a token symbol
+ * @returns {Promise<{ scanned: number, credited: number }>}
+ */
+export async function pollDeposits(store, config, asset) {
+  const address = await getWatchedAddress(asset, config);
+  if (!address) return { scanned: 0, credited: 0 };
+
+  const cursor = store.getState(cursorKey(asset, config.cluster));
+  const signatures = await listSignatures(config.rpcUrl, address, {
+    until: cursor || undefined,
+    maxPages: cursor ? Infinity : BOOTSTRAP_PAGES
+  });
+
+  let credited = 0;
+  for (const sig of signatures.reverse()) {
+    if (await processSignature(store, config, asset, address, sig)) credited++;
+    // Advance after each one so a crash mid-batch resumes where it stopped
+    store.setState(cursorKey(asset, config.cluster), sig.signature);
+  }
+
+  return { scanned: signatures.length, credited };
+}
+
+/**
+ * Re-examine past signatures in a slot or time range and credit any deposit
+ * that was missed. Already-credited signatures are skipped.
+ * @param {Object} store - Storage backend
+ * @param {Object} config - { cluster, rpcUrl, wallet, mints, isPayg(project) }
+ * @param {Object} range
+ * @param {string} range.asset - SOL or a token symbol
+ * @param {number} [range.fromSlot]
+ * @param {number} [range.toSlot]
+ * @param {number} [range.since] - Timestamp (ms), inclusive
+ * @param {number} [range.until] - Timestamp (ms), exclusive
+ * @returns {Promise<{ asset: string, scanned: number, credited: Object[] }>}
+ */
+export async function rescanDeposits(store, config, { asset, fromSlot, toSlot, since, until }) {
+  const address = await getWatchedAddress(asset, config);
+  if (!address) return { asset, scanned: 0, credited: [] };
+
+  const inRange = (sig) => {
+    if (fromSlot !== undefined && sig.slot < fromSlot) return false;
+    if (toSlot !== undefined && sig.slot > toSlot) return false;
+    const at = sig.blockTime ? sig.blockTime * 1000 : null;
+    if (since !== undefined && (at === null || at < since)) return false;
+    if (until !== undefined && (at === null || at >= until)) return false;
+    return true;
+  };
+
+  // Signatures come newest first, so stop paging once we're below the range
+  const olderThanRange = (sig) =>
+    (fromSlot !== undefined && sig.slot < fromSlot) ||
+    (since !== undefined && sig.blockTime && sig.blockTime * 1000 < since);
+
+  const signatures = await listSignatures(config.rpcUrl, address, {
+    maxPages: MAX_RESCAN_PAGES,
+    stopWhen: olderThanRange
+  });
+
+  const matching = signatures.filter(inRange).reverse();
+  const credited = [];
+  for (const sig of matching) {
+    const deposit = await processSignature(store, config, asset, address, sig);
+    if (deposit) credited.push(deposit);
+  }
+
+  return { asset, scanned: matching.length, credited };
+}
@@ -0,0 +1,126 @@
+/**
+ * Fee payer guard for MacGas
+ *
+ * The fee payer signs every sponsored transaction, so any instruction that
+ * names it can spend from it: a System transfer out of it, a token transfer
+ * or approval with it as authority, a close-account that swaps in its
+ * account, or Assign/Allocate that hands it to another program. We check
+ * this ourselves rather than trust the Kora config.
+ *
+ * The only instructions allowed to name the fee payer are the account
+ * creations it funds (see getFeePayerRent in fees.mjs), in the funding slot,
+ * whose rent is billed and governed by the project's sponsorRent policy; and
+ * the AdvanceNonceAccount that opens a transaction on a nonce account we
+ * leased to the project (nonces.mjs), where it is the nonce authority.
+ */
+
+import { randomBytes } from 'crypto';
+import {
+  SYSTEM_PROGRAM_ID,
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  getNonceAdvance
+} from './solana-tx.mjs';
+import { getFeePayerRent } from './fees.mjs';
+
+// Instruction names and account roles, for readable rejections
+const SYSTEM_INSTRUCTIONS = {
+  0: ['CreateAccount', ['funder', 'new account']],
+  1: ['Assign', ['account']],
+  2: ['Transfer', ['source', 'destination']],
+  3: ['CreateAccountWithSeed', ['funder', 'new account', 'base']],
+  4: ['AdvanceNonceAccount', ['nonce account', 'recent blockhashes', 'nonce authority']],
+  5: ['WithdrawNonceAccount', ['nonce account', 'destination', 'recent blockhashes', 'rent', 'nonce authority']],
+  7: ['AuthorizeNonceAccount', ['nonce account', 'nonce authority']],
+  8: ['Allocate', ['account']],
+  9: ['AllocateWithSeed', ['account', 'base']],
+  10: ['AssignWithSeed', ['account', 'base']],
+  11: ['TransferWithSeed', ['source', 'base', 'destination']]
+};
+
+const TOKEN_INSTRUCTIONS = {
+  3: ['Transfer', ['source', 'destination', 'authority']],
+  4: ['Approve', ['source', 'delegate', 'owner']],
+  5: ['Revoke', ['source', 'owner']],
+  6: ['SetAuthority', ['account', 'current authority']],
+  7: ['MintTo', ['mint', 'destination', 'mint authority']],
+  8: ['Burn', ['account', 'mint', 'authority']],
+  9: ['CloseAccount', ['account', 'destination', 'authority']],
+  10: ['FreezeAccount', ['account', 'mint', 'freeze authority']],
+  11: ['ThawAccount', ['account', 'mint', 'freeze authority']],
+  12: ['TransferChecked', ['source', 'mint', 'destination', 'authority']],
+  13: ['ApproveChecked', ['source', 'mint', 'delegate', 'owner']],
+  14: ['MintToChecked', ['mint', 'destination', 'mint authority']],
+  15: ['BurnChecked', ['account', 'mint', 'authority']]
+};
+
+// Name an instruction and the role of one of its account slots
+function describe(program, data, position) {
+  let known;
+  if (program === SYSTEM_PROGRAM_ID && data.length >= 4) {
+    known = SYSTEM_INSTRUCTIONS[data.readUInt32LE(0)];
+  } else if ((program === TOKEN_PROGRAM_ID || program === TOKEN_2022_PROGRAM_ID) && data.length >= 1) {
+    known = TOKEN_INSTRUCTIONS[data[0]];
+  }
+  if (!known) return { instructionName: null, role: `account ${position}` };
+  return { instructionName: known[0], role: known[1][position] || `account ${position}` };
+}
+
+/**
+ * Find every use of the fee payer other than paying fees and funding new accounts
+ * @param {Object} tx - Decoded transaction (solana-tx.mjs)
+ * @param {Array} accountKeys - Resolved account keys (resolveAccountKeys)
+ * @param {string} feePayer - Our fee payer address
+ * @param {Object} [options]
+ * @param {string} [options.nonceAccount] - Nonce account leased to the project, which the fee payer may advance
+ * @returns {Array} [{ instruction, programId, instructionName, role, writable, signer, message }], empty if none
+ */
+export function findFeePayerMisuse(tx, accountKeys, feePayer, { nonceAccount } = {}) {
+  const funded = new Set(getFeePayerRent(tx, accountKeys, feePayer).accounts.map(a => a.instruction));
+  const advance = getNonceAdvance(tx, accountKeys);
+  const leasedAdvance = Boolean(nonceAccount) && advance?.nonceAccount === nonceAccount && advance.authority === feePayer;
+  const misuse = [];
+
+  tx.instructions.forEach((ix, index) => {
+    const programId = tx.staticAccountKeys[ix.programIdIndex];
+
+    ix.accountIndexes.forEach((keyIndex, position) => {
+      const key = accountKeys[keyIndex];
+      if (key?.pubkey !== feePayer) return;
+      if (position === 0 && funded.has(index)) return;
+      if (position === 2 && index === 0 && leasedAdvance) return;
+
+      const { instructionName, role } = describe(programId, ix.data, position);
+      const what = instructionName ? `${instructionName} ${role}` : `${role} of ${programId}`;
+      misuse.push({
+        instruction: index,
+        programId,
+        instructionName,
+        role,
+        writable: key.writable,
+        signer: key.signer,
+        message: `Fee payer is the ${what} in instruction ${index}`
+      });
+    });
+  });
+
+  return misuse;
+}
+
+/**
+ * Keep a record of a blocked transaction for the project's security log
+ * @param {Object} store
+ * @param {string} projectId
+ * @param {Object} fields - { type, route, misuse, ... }
+ * @returns {Object} The saved event
+ */
+export function recordSecurityEvent(store, projectId, fields) {
+  const event = {
+    id: 'sec_' + randomBytes(8).toString('hex'),
+    projectId,
+    at: Date.now(),
+    ...fields
+  };
+  store.saveSecurityEvent(event);
+  return event;
+}
@@ -0,0 +1,295 @@
+/**
+ * Fee payer pools for MacGas
+ *
+ * A cluster can sponsor through several fee payer keys, so throughput isn't
+ * bound to one account and one key running dry doesn't stop sponsorship.
+ * The cluster's configured signer (clusters.mjs) is the first key; operators
+ * add keypair files and retire keys at runtime (POST /admin/fee-payers).
+ * Added and retired keys are kept in store state 'fee-payers' (mainnet) or
+ * 'fee-payers:<cluster>': { [address]: { address, keyPath, addedAt, retiredAt } }.
+ *
+ * Clients build on the fee payer GET /info hands out: round-robin or least
+ * recently used (FEE_PAYER_SELECTION). A transaction is signed by whichever
+ * pool key it names as fee payer. Each key's balance is read from the RPC
+ * periodically and lowered by what each sponsored transaction costs it in
+ * between. Statuses:
+ *   active  - handed out and signing
+ *   drained - below the floor (FEE_PAYER_FLOOR_LAMPORTS): no longer handed
+ *             out, but transactions already built on it are still signed.
+ *             When every key is drained they all stay in rotation.
+ *   retired - removed by an operator; signs nothing
+ *
+ * Durable nonce accounts have the configured fee payer as authority, so
+ * transactions on a leased nonce always use that key.
+ */
+
+import { loadKeypair } from './keypair.mjs';
+import { rpcRequest } from './rpc.mjs';
+import { createKeypairSigner } from './signers.mjs';
+
+export const SELECTION_STRATEGIES = ['lru', 'round-robin'];
+
+export const DEFAULT_FLOOR_LAMPORTS = 10_000_000; // 0.01 SOL
+
+// Pools by cluster name: { cluster, strategy, floorLamports, keys: Map(address -> key), next }
+const pools = new Map();
+
+function poolKey(cluster) {
+  return cluster === 'mainnet' ? 'fee-payers' : 'fee-payers:' + cluster;
+}
+
+function getStored(store, cluster) {
+  return store.getState(poolKey(cluster)) || {};
+}
+
+function saveKey(store, pool, key) {
+  store.transaction(() => {
+    store.setState(poolKey(pool.cluster), {
+      ...getStored(store, pool.cluster),
+      [key.address]: { address: key.address, keyPath: key.keyPath, addedAt: key.addedAt, retiredAt: key.retiredAt }
+    });
+  });
+}
+
+function statusOf(pool, key) {
+  if (key.retiredAt) return 'retired';
+  if (key.lamports !== null && key.lamports < pool.floorLamports) return 'drained';
+  return 'active';
+}
+
+function poolOf(cluster) {
+  const pool = pools.get(cluster);
+  if (!pool) throw new Error(`No fee payer pool for ${cluster}`);
+  return pool;
+}
+
+/**
+ * Set up a cluster's pool: its configured signer plus the keys added at runtime
+ * @param {Object} store
+ * @param {Object} cluster - From clusters.mjs
+ * @param {Object} [options]
+ * @param {string} [options.strategy] - lru | round-robin
+ * @param {number} [options.floorLamports] - Keys below this leave the rotation
+ */
+export function loadFeePayerPool(store, cluster, { strategy = 'lru', floorLamports = DEFAULT_FLOOR_LAMPORTS } = {}) {
+  if (!SELECTION_STRATEGIES.includes(strategy)) {
+    throw new Error(`FEE_PAYER_SELECTION must be one of ${SELECTION_STRATEGIES.join(', ')}`);
+  }
+
+  const pool = { cluster: cluster.name, strategy, floorLamports, keys: new Map(), next: 0 };
+  const stored = getStored(store, cluster.name);
+
+  if (cluster.signer) {
+    const address = cluster.signer.publicKey;
+    pool.keys.set(address, {
+      address,
+      signer: cluster.signer,
+      keyPath: null,
+      configured: true,
+      addedAt: stored[address]?.addedAt ?? null,
+      retiredAt: stored[address]?.retiredAt ?? null,
+      lamports: null,
+      balanceAt: null,
+      lastUsedAt: 0,
+      transactions: 0
+    });
+  }
+
+  for (const record of Object.values(stored)) {
+    if (pool.keys.has(record.address) || !record.keyPath) continue;
+    try {
+      const keypair = loadKeypair(record.keyPath);
+      if (keypair.publicKey !== record.address) throw new Error('the file now holds ' + keypair.publicKey);
+      pool.keys.set(record.address, {
+        ...record,
+        signer: createKeypairSigner(keypair),
+        configured: false,
+        lamports: null,
+        balanceAt: null,
+        lastUsedAt: 0,
+        transactions: 0
+      });
+    } catch (err) {
+      console.warn(`[FEE PAYER] Skipped ${cluster.name} fee payer ${record.address} at ${record.keyPath}: ${err.message}`);
+    }
+  }
+
+  pools.set(cluster.name, pool);
+}
+
+/**
+ * Public view of a pool key
+ * @param {string} cluster
+ * @param {Object} key
+ * @returns {Object}
+ */
+export function describeFeePayer(cluster, key) {
+  return {
+    address: key.address,
+    status: statusOf(poolOf(cluster), key),
+    signer: key.signer.kind,
+    source: key.configured ? 'config' : key.keyPath,
+    lamports: key.lamports,
+    balanceAt: key.balanceAt ? new Date(key.balanceAt).toISOString() : null,
+    transactions: key.transactions,
+    lastUsedAt: key.lastUsedAt ? new Date(key.lastUsedAt).toISOString() : null,
+    addedAt: key.addedAt ? new Date(key.addedAt).toISOString() : null,
+    retiredAt: key.retiredAt ? new Date(key.retiredAt).toISOString() : null
+  };
+}
+
+/**
+ * A cluster's pool settings and keys
+ * @param {string} cluster
+ * @returns {Object} { selection, floorLamports, keys }
+ */
+export function listFeePayers(cluster) {
+  const pool = poolOf(cluster);
+  return { selection: pool.strategy, floorLamports: pool.floorLamports, keys: [...pool.keys.values()] };
+}
+
+/**
+ * Fee payer for the next transaction a client builds
+ * @param {string} cluster
+ * @returns {Object|null} Pool key, or null if every key is retired
+ */
+export function pickFeePayer(cluster) {
+  const pool = poolOf(cluster);
+  const usable = [...pool.keys.values()].filter(key => !key.retiredAt);
+  const active = usable.filter(key => statusOf(pool, key) === 'active');
+  const candidates = active.length > 0 ? active : usable;
+  if (candidates.length === 0) return null;
+
+  let key;
+  if (pool.strategy === 'round-robin') {
+    key = candidates[pool.next % candidates.length];
+    pool.next = (pool.next + 1) % candidates.length;
+  } else {
+    key = candidates.reduce((oldest, k) => k.lastUsedAt < oldest.lastUsedAt ? k : oldest);
+  }
+  key.lastUsedAt = Date.now();
+  return key;
+}
+
+/**
+ * The pool key a transaction names as fee payer, if it may sign
+ * @param {string} cluster
+ * @param {string} address
+ * @returns {Object|null} Pool key, or null if it isn't ours or is retired
+ */
+export function findFeePayer(cluster, address) {
+  const key = pools.get(cluster)?.keys.get(address);
+  return key && !key.retiredAt ? key : null;
+}
+
+/**
+ * Count a sponsored transaction against the key that paid for it
+ * @param {string} cluster
+ * @param {string} address
+ * @param {number} lamports - What it cost the fee payer (fees and rent)
+ */
+export function recordFeePayerSpend(cluster, address, lamports) {
+  const key = pools.get(cluster)?.keys.get(address);
+  if (!key) return;
+
+  const pool = poolOf(cluster);
+  const before = statusOf(pool, key);
+  key.transactions++;
+  key.lastUsedAt = Date.now();
+  if (key.lamports !== null) key.lamports = Math.max(0, key.lamports - lamports);
+
+  if (statusOf(pool, key) === 'drained' && before !== 'drained') {
+    console.warn(`[FEE PAYER] ${key.address} on ${cluster} is down to about ${key.lamports / 1e9} SOL, below the floor; out of rotation`);
+  }
+}
+
+/**
+ * Read every key's balance from the cluster's RPC, logging keys that leave or rejoin the rotation
+ * @param {Object} cluster - From clusters.mjs
+ */
+export async function refreshFeePayerBalances(cluster) {
+  const pool = poolOf(cluster.name);
+  for (const key of pool.keys.values()) {
+    if (key.retiredAt) continue;
+    try {
+      const before = statusOf(pool, key);
+      key.lamports = (await rpcRequest(cluster.rpcUrl, 'getBalance', [key.address])).value;
+      key.balanceAt = Date.now();
+
+      const after = statusOf(pool, key);
+      if (after === 'drained' && before !== 'drained') {
+        console.warn(`[FEE PAYER] ${key.address} on ${cluster.name} is down to ${key.lamports / 1e9} SOL, below the floor; out of rotation`);
+      } else if (after === 'active' && before === 'drained') {
+        console.log(`[FEE PAYER] ${key.address} on ${cluster.name} is back in rotation (${key.lamports / 1e9} SOL)`);
+      }
+    } catch (err) {
+      console.error(`[FEE PAYER] Could not read ${key.address} on ${cluster.name}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Add a keypair file to a cluster's pool, or put a retired key back
+ * @param {Object} store
+ * @param {Object} cluster - From clusters.mjs
+ * @param {Object} options - { keyPath } of a Solana CLI keypair file, or { address } of a retired key
+ * @returns {Object} { key, reinstated } or { error }
+ */
+export function addFeePayer(store, cluster, { keyPath, address }) {
+  const pool = poolOf(cluster.name);
+
+  let signer = null;
+  if (keyPath) {
+    try {
+      signer = createKeypairSigner(loadKeypair(keyPath));
+    } catch (err) {
+      return { error: `Cannot load a keypair from ${keyPath}: ${err.message}` };
+    }
+    address = signer.publicKey;
+  }
+
+  const existing = pool.keys.get(address);
+  if (existing) {
+    if (!existing.retiredAt) return { error: address + ' is already in the pool' };
+    existing.retiredAt = null;
+    saveKey(store, pool, existing);
+    return { key: existing, reinstated: true };
+  }
+  if (!signer) return { error: 'keyPath required (address only puts back a retired key)' };
+
+  const key = {
+    address,
+    signer,
+    keyPath,
+    configured: false,
+    addedAt: Date.now(),
+    retiredAt: null,
+    lamports: null,
+    balanceAt: null,
+    lastUsedAt: 0,
+    transactions: 0
+  };
+  pool.keys.set(address, key);
+  saveKey(store, pool, key);
+  return { key, reinstated: false };
+}
+
+/**
+ * Take a key out of a cluster's pool: it signs nothing from now on
+ * @param {Object} store
+ * @param {string} cluster
+ * @param {string} address
+ * @returns {Object} { key } or { error }
+ */
+export function retireFeePayer(store, cluster, address) {
+  const pool = poolOf(cluster);
+  const key = pool.keys.get(address);
+  if (!key || key.retiredAt) return { error: 'Fee payer not found' };
+  if ([...pool.keys.values()].filter(k => !k.retiredAt).length === 1) {
+    return { error: 'Cannot retire the last fee payer; add another first' };
+  }
+
+  key.retiredAt = Date.now();
+  saveKey(store, pool, key);
+  return { key };
+}
@@ -0,0 +1,161 @@
+/**
+ * Transaction cost calculation for MacGas
+ *
+ * Works out what the fee payer actually spends on a transaction:
+ *   - base fee: 5000 lamports per signature
+ *   - priority fee: compute unit price x compute unit limit
+ *   - rent: lamports the fee payer puts into accounts it funds
+ *     (SystemProgram.createAccount[WithSeed], ATA creation)
+ *
+ * Token-2022 token accounts grow with their mint's extensions, so their rent
+ * can't be read off the transaction: the fee payer won't fund those ATAs.
+ */
+
+import {
+  SYSTEM_PROGRAM_ID,
+  COMPUTE_BUDGET_PROGRAM_ID,
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  TOKEN_PROGRAM_ID
+} from './solana-tx.mjs';
+
+export const LAMPORTS_PER_SIGNATURE = 5000;
+
+// Compute budget defaults (see the runtime's compute_budget limits)
+const DEFAULT_INSTRUCTION_COMPUTE_UNITS = 200_000;
+const MAX_COMPUTE_UNITS = 1_400_000;
+
+// Rent: (data bytes + 128 byte account overhead) x 3480 lamports/byte-year x 2 years
+const ACCOUNT_STORAGE_OVERHEAD = 128;
+const LAMPORTS_PER_BYTE_YEAR = 3480;
+const EXEMPTION_THRESHOLD_YEARS = 2;
+const TOKEN_ACCOUNT_SIZE = 165; // An SPL Token account; Token-2022 ones are larger
+
+/**
+ * Rent-exempt minimum for an account of a given size
+ * @param {number} bytes - Account data length
+ * @returns {number} Lamports
+ */
+export function rentExemptMinimum(bytes) {
+  return (bytes + ACCOUNT_STORAGE_OVERHEAD) * LAMPORTS_PER_BYTE_YEAR * EXEMPTION_THRESHOLD_YEARS;
+}
+
+/**
+ * Read the compute budget instructions of a transaction
+ * @param {Object} tx - Decoded transaction (solana-tx.mjs)
+ * @returns {{ computeUnitLimit: number, computeUnitPrice: bigint }} Price in micro-lamports per CU
+ */
+export function getComputeBudget(tx) {
+  let unitLimit = null;
+  let unitPrice = 0n;
+  let otherInstructions = 0;
+
+  for (const ix of tx.instructions) {
+    if (tx.staticAccountKeys[ix.programIdIndex] !== COMPUTE_BUDGET_PROGRAM_ID) {
+      otherInstructions++;
+      continue;
+    }
+    // SetComputeUnitLimit: [2, u32]
+    if (ix.data[0] === 2 && ix.data.length >= 5) unitLimit = ix.data.readUInt32LE(1);
+    // SetComputeUnitPrice: [3, u64 micro-lamports]
+    if (ix.data[0] === 3 && ix.data.length >= 9) unitPrice = ix.data.readBigUInt64LE(1);
+  }
+
+  const computeUnitLimit = Math.min(
+    unitLimit ?? otherInstructions * DEFAULT_INSTRUCTION_COMPUTE_UNITS,
+    MAX_COMPUTE_UNITS
+  );
+
+  return { computeUnitLimit, computeUnitPrice: unitPrice };
+}
+
+/**
+ * Lamports the fee payer puts into new accounts
+ * @param {Object} tx - Decoded transaction
+ * @param {Array<{pubkey: string}>} accountKeys - Resolved keys (static + lookups)
+ * @param {string} feePayer - Our fee payer address
+ * @returns {{ total: number, accounts: Array<{ instruction: number, kind: string, lamports: number }> }}
+ * @throws if the fee payer funds an ATA that isn't an SPL Token account
+ */
+export function getFeePayerRent(tx, accountKeys, feePayer) {
+  const accounts = [];
+
+  tx.instructions.forEach((ix, index) => {
+    const program = tx.staticAccountKeys[ix.programIdIndex];
+    const keyAt = (i) => accountKeys[ix.accountIndexes[i]]?.pubkey;
+
+    if (program === SYSTEM_PROGRAM_ID && ix.data.length >= 4) {
+      const kind = ix.data.readUInt32LE(0);
+
+      // CreateAccount: [u32 0, u64 lamports, u64 space, owner] accounts [from, new]
+      if (kind === 0 && ix.data.length >= 12 && keyAt(0) === feePayer) {
+        accounts.push({ instruction: index, kind: 'createAccount', lamports: Number(ix.data.readBigUInt64LE(4)) });
+      }
+
+      // CreateAccountWithSeed: [u32 3, base, u64 seed len, seed, u64 lamports, ...] accounts [from, new, base?]
+      if (kind === 3 && ix.data.length >= 44 && keyAt(0) === feePayer) {
+        const seedLength = Number(ix.data.readBigUInt64LE(36));
+        const offset = 44 + seedLength;
+        if (ix.data.length >= offset + 8) {
+          accounts.push({ instruction: index, kind: 'createAccountWithSeed', lamports: Number(ix.data.readBigUInt64LE(offset)) });
+        }
+      }
+    }
+
+    // Create / CreateIdempotent: data [] / [0] / [1], accounts [payer, ata, owner, mint, system, token program]
+    if (program === ASSOCIATED_TOKEN_PROGRAM_ID && (ix.data.length === 0 || ix.data[0] <= 1) && keyAt(0) === feePayer) {
+      if (keyAt(5) !== TOKEN_PROGRAM_ID) {
+        throw new Error(`instruction ${index} has the fee payer fund a token account of ${keyAt(5) || 'an unknown program'}; only SPL Token accounts can be sponsored (Token-2022 ones are sized by their mint's extensions), so have the owner pay for it`);
+      }
+      accounts.push({ instruction: index, kind: 'createAssociatedTokenAccount', lamports: rentExemptMinimum(TOKEN_ACCOUNT_SIZE) });
+    }
+  });
+
+  return { total: accounts.reduce((sum, a) => sum + a.lamports, 0), accounts };
+}
+
+/**
+ * Full lamport cost of sponsoring a transaction, plus our margin
+ * @param {Object} tx - Decoded transaction
+ * @param {Object} options
+ * @param {Array} options.accountKeys - Resolved account keys
+ * @param {string} options.feePayer - Fee payer address
+ * @param {number} [options.marginBps] - Margin in basis points on top of the network cost
+ * @returns {Object} Cost breakdown in lamports
+ * @throws if the rent can't be priced (see getFeePayerRent)
+ */
+export function computeTransactionCost(tx, { accountKeys, feePayer, marginBps = 0 }) {
+  const signatures = tx.header.numRequiredSignatures;
+  const baseFee = signatures * LAMPORTS_PER_SIGNATURE;
+
+  const { computeUnitLimit, computeUnitPrice } = getComputeBudget(tx);
+  // micro-lamports -> lamports, rounded up like the runtime does
+  const priorityFee = Number((computeUnitPrice * BigInt(computeUnitLimit) + 999_999n) / 1_000_000n);
+
+  const rent = getFeePayerRent(tx, accountKeys, feePayer);
+
+  const networkCost = baseFee + priorityFee + rent.total;
+  const margin = Math.ceil(networkCost * marginBps / 10_000);
+
+  return {
+    signatures,
+    baseFee,
+    computeUnitLimit,
+    computeUnitPriceMicroLamports: computeUnitPrice.toString(),
+    priorityFee,
+    rent: rent.total,
+    rentAccounts: rent.accounts,
+    networkCost,
+    marginBps,
+    margin,
+    totalLamports: networkCost + margin
+  };
+}
+
+/**
+ * One-line summary of a cost breakdown, used as the ledger memo
+ * @param {Object} cost - From computeTransactionCost
+ * @returns {string}
+ */
+export function describeCost(cost) {
+  return `base ${cost.baseFee} + priority ${cost.priorityFee} + rent ${cost.rent} + margin ${cost.margin} = ${cost.totalLamports} lamports`;
+}
@@ -1,9 +1,28 @@
 import express from 'express';
 import rateLimit from 'express-rate-limit';
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { join, dirname } from 'path';
+import { readFileSync, readdirSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname, relative, resolve, isAbsolute } from 'path';
 import { fileURLToPath } from 'url';
-import { build402Response, verifyPayment, createPaymentRequirements } from './x402-middleware.mjs';
+import { x402Middleware, send402, fundingAmount, createPaymentRequirements, configureX402, getFacilitatorMode, getPaymentNetwork } from './x402-middleware.mjs';
+import { SYSTEM_PROGRAM_ID, SYSVAR_RECENT_BLOCKHASHES_ID, decodeTransaction, encodeTransaction, resolveAccountKeys, getInvokedPrograms, getNonceAdvance, withDurableNonce, hasSignatures, isValidAddress, DEFAULT_ALLOWED_PROGRAMS, MAX_TRANSACTION_SIZE } from './solana-tx.mjs';
+import { computeTransactionCost, describeCost } from './fees.mjs';
+import { checkConfirmations, describeTransaction } from './confirmations.mjs';
+import { simulateTransaction } from './simulation.mjs';
+import { findFeePayerMisuse, recordSecurityEvent } from './fee-payer-guard.mjs';
+import { leaseNonce, checkNonceLease, claimNonceLease, releaseNonceClaim, useNonceLease, releaseNonceLease, listNonceLeases, describeLease, DEFAULT_LEASE_TTL_MS, MAX_LEASE_TTL_MS } from './nonces.mjs';
+import { validatePolicy, checkPolicy, reserveSpend, releaseSpend, commitSpend, getUserSigner, getDailyUsage, getRentSponsored, getFreeQuota, takeFreeQuota, returnFreeQuota } from './policies.mjs';
+import { pollDeposits, rescanDeposits, seedDepositRecords } from './deposits.mjs';
+import { configureWebhooks, createWebhook, validateWebhook, checkWebhookHost, describeWebhook, describeDelivery, emitEvent, checkLowBalance, processDueDeliveries, replayDelivery } from './webhooks.mjs';
+import { postEntry, rebuildBalances, getProjectEntries, entriesToCsv, placeHold, settleHold, releaseHold, getHeldAmount, getAvailableBalance, getBalance, getBalances, getLiabilities } from './ledger.mjs';
+import { toDisplayAmount } from './tokens.mjs';
+import { configurePricing, refreshPrice, describePricing, describeRate, isPriceAvailable, txCostUsd, lamportsToAsset, assetToLamports, REFERENCE_TX_LAMPORTS } from './pricing.mjs';
+import { createStore, DEFAULT_DATA_DIR } from './storage.mjs';
+import { CLUSTERS, CLUSTER_NAMES, DEFAULT_CLUSTER, getCluster, isClusterEnabled, enabledClusters, clusterAssets, describeCluster, explorerUrl } from './clusters.mjs';
+import { describeSigner } from './signers.mjs';
+import { loadFeePayerPool, pickFeePayer, findFeePayer, recordFeePayerSpend, refreshFeePayerBalances, listFeePayers, describeFeePayer, addFeePayer, retireFeePayer, DEFAULT_FLOOR_LAMPORTS } from './fee-payers.mjs';
+import { configureTreasury, runTreasury, describeTreasury } from './treasury.mjs';
+import { rpcRequest } from './rpc.mjs';
+import { issueApiKey, rotateApiKey, revokeApiKey, findApiKey, describeApiKey, validateScopes, API_KEY_SCOPES } from './api-keys.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const app = express();
@@ -23,23 +42,44 @@ const txLimiter = rateLimit({
   windowMs: 60 * 1000,
   max: 20,
   message: { error: 'Transaction rate limit exceeded' },
-  keyGenerator: (req) => req.headers['x-project-id'] || req.socket?.remoteAddress || 'unknown', // Rate limit per project
+  keyGenerator: (req) => req.headers['x-api-key'] || req.headers['x-project-id'] || req.socket?.remoteAddress || 'unknown', // Rate limit per key/project
   validate: { xForwardedForHeader: false },
 });
 
+// Free clusters (devnet, testnet) also have a per-IP hourly limit
+const FREE_CLUSTER_IP_HOURLY_LIMIT = parseInt(process.env.DEVNET_IP_HOURLY_LIMIT || '100', 10);
+const freeClusterLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: FREE_CLUSTER_IP_HOURLY_LIMIT,
+  message: { error: 'Free cluster rate limit exceeded', code: 'RATE_LIMITED' },
+  skip: (req) => !req.cluster.pricing.free,
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Request size limit (100KB max)
 app.use(express.json({ limit: '100kb' }));
 
 // Serve static files (landing page, video, etc.) from parent directory
-app.use(express.static(join(__dirname, '..')));
+const STATIC_ROOT = join(__dirname, '..');
+app.use(express.static(STATIC_ROOT));
 
 // Config
-const KORA_URL = process.env.KORA_URL || 'http://127.0.0.1:8080';
-const KORA_API_KEY = process.env.KORA_API_KEY || 'macmini-kora-secret-key-2026';
 const PORT = process.env.PORT || 3001;
-const COST_PER_TX = 0.000005; // SOL per transaction (5000 lamports, ~$0.0005)
-const DATA_FILE = join(__dirname, 'data.json');
+const FEE_MARGIN_BPS = parseInt(process.env.FEE_MARGIN_BPS || '0', 10); // Margin on top of the network cost, in basis points
+const MAX_PROJECT_PROGRAMS = 64; // Cap on custom programs per project allowlist
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'sqlite'; // sqlite | json (dev)
+const DATA_DIR = process.env.DATA_DIR || DEFAULT_DATA_DIR; // Must be outside STATIC_ROOT
+const DB_FILE = process.env.DB_FILE || join(DATA_DIR, 'macgas.db');
+const DATA_FILE = process.env.DATA_FILE || join(DATA_DIR, 'data.json');
+const PREFLIGHT = process.env.PREFLIGHT !== 'false'; // Simulate before broadcasting (callers can opt out per request)
+const WEBHOOK_ALLOW_HTTP = process.env.WEBHOOK_ALLOW_HTTP === 'true'; // Accept http:// webhook URLs (development only)
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true'; // Deliver to loopback/private hosts (development only)
+const WEBHOOK_RETRY_INTERVAL_MS = 10_000; // How often due webhook retries are sent
+const DEPOSIT_POLL_INTERVAL_MS = parseInt(process.env.DEPOSIT_POLL_INTERVAL_MS || '30000', 10);
+const CONFIRM_INTERVAL_MS = parseInt(process.env.CONFIRM_INTERVAL_MS || '5000', 10); // How often pending signatures are polled
 const ADMIN_KEY_FILE = join(__dirname, '.admin_key');
+const API_KEY_TOUCH_INTERVAL_MS = 60_000; // A key's lastUsedAt is written at most this often
 
 // Load admin key from file or env
 function getAdminKey() {
@@ -51,44 +91,289 @@ function getAdminKey() {
   }
 }
 
-// Load/save data
-function loadData() {
-  if (!existsSync(DATA_FILE)) {
-    return { projects: {} };
-  }
-  return JSON.parse(readFileSync(DATA_FILE, 'utf-8'));
+// The store holds webhook secrets, API key hashes and the ledger: refuse to keep it
+// anywhere express.static would hand it out
+const STORE_FILE = STORAGE_DRIVER === 'json' ? DATA_FILE : DB_FILE;
+const isStaticallyServed = (file) => {
+  const path = relative(STATIC_ROOT, resolve(file));
+  return !path.startsWith('..') && !isAbsolute(path);
+};
+if (isStaticallyServed(STORE_FILE)) {
+  console.error(`[STORAGE] ${STORE_FILE} is inside ${STATIC_ROOT}, which is served publicly.`);
+  console.error('[STORAGE] Set DATA_DIR (or DB_FILE / DATA_FILE) to a directory outside it.');
+  process.exit(1);
+}
+const exposedFiles = readdirSync(__dirname).filter(name => /^(macgas\.db|data\.json)/.test(name));
+if (exposedFiles.length > 0) {
+  console.error(`[STORAGE] ${exposedFiles.join(', ')} in ${__dirname} can be downloaded from the static file server.`);
+  console.error(`[STORAGE] Stop the server, move them to ${DATA_DIR} (or delete them) and start it again.`);
+  process.exit(1);
 }
+mkdirSync(dirname(STORE_FILE), { recursive: true, mode: 0o700 });
+
+// Initialize storage - balances are a projection of the ledger
+const store = createStore({
+  driver: STORAGE_DRIVER,
+  file: STORE_FILE
+});
 
-function saveData(data) {
-  writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
+// Don't silently start empty next to an unmigrated data.json
+if (store.driver === 'sqlite' && store.countProjects() === 0 && existsSync(DATA_FILE)) {
+  console.error(`[STORAGE] ${DATA_FILE} exists but ${DB_FILE} is empty.`);
+  console.error('[STORAGE] Run `npm run migrate` to import it, or set STORAGE_DRIVER=json.');
+  process.exit(1);
 }
 
-// Initialize
-let data = loadData();
+rebuildBalances(store);
 
 // CORS
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, X-Project-ID, x-api-key, x-admin-key');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, X-Project-ID, x-api-key, x-admin-key, X-Solana-Cluster');
   res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
   if (req.method === 'OPTIONS') return res.sendStatus(200);
   next();
 });
 
-// Config for deposit watching
-const MY_WALLET = 'F6i99DWMEMZtLDKnWGx1FW6drkqvtDnXWLHxgrwzVdWD';
-const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
-const RPC_URL = process.env.RPC_URL || 'https://api.mainnet-beta.solana.com';
-let lastSignature = null;
-let lastUsdcSignature = null;
+// ============ CLUSTERS ============
+
+// Every request runs on one cluster (clusters.mjs): a path prefix (/devnet/sign_and_send)
+// or the X-Solana-Cluster header picks it, mainnet otherwise. Sets req.cluster.
+app.use((req, res, next) => {
+  const prefixed = /^\/([a-z]+)(\/.*)?$/.exec(req.url);
+  const fromPath = prefixed && getCluster(prefixed[1]) ? prefixed[1] : null;
+  const fromHeader = req.headers['x-solana-cluster'];
+  
+  if (fromHeader !== undefined && !getCluster(fromHeader)) {
+    return res.status(400).json({ error: `Unknown cluster ${fromHeader} (expected ${CLUSTER_NAMES.join(', ')})`, code: 'UNKNOWN_CLUSTER' });
+  }
+  if (fromPath && fromHeader !== undefined && fromHeader !== fromPath) {
+    return res.status(400).json({ error: `Path is for ${fromPath} but X-Solana-Cluster says ${fromHeader}`, code: 'UNKNOWN_CLUSTER' });
+  }
+  
+  if (fromPath) req.url = prefixed[2] || '/';
+  req.cluster = getCluster(fromPath || fromHeader || DEFAULT_CLUSTER);
+  next();
+});
+
+// A route's path on a cluster, e.g. /devnet/sign_and_send
+function clusterPath(cluster, path) {
+  return cluster.name === DEFAULT_CLUSTER ? path : '/' + cluster.name + path;
+}
+
+// Cluster whose balances a request reads: its own, or mainnet's on free clusters (which have none)
+function billingCluster(cluster) {
+  return cluster.pricing.free ? CLUSTERS.mainnet : cluster;
+}
+
+// The request's cluster if it keeps project balances, or null after a 400
+function requireMeteredCluster(req, res) {
+  if (!req.cluster.pricing.free) return req.cluster;
+  res.status(400).json({ error: `${req.cluster.name} is free; projects have no balance there`, code: 'CLUSTER_FREE' });
+  return null;
+}
+
+// 503 body for a cluster with no fee payer configured
+function clusterUnavailable(cluster) {
+  return { error: `Sponsorship on ${cluster.name} is not configured on this server`, code: 'CLUSTER_UNAVAILABLE', network: cluster.name };
+}
+
+// Pricing: every SOL <-> token conversion goes through pricing.mjs
+const PRICE_REFRESH_MS = parseInt(process.env.PRICE_REFRESH_MS || '30000', 10);
+configurePricing({
+  source: process.env.PRICE_SOURCE || 'static', // static | file | pyth
+  solUsd: parseFloat(process.env.SOL_USD_PRICE || '100'),
+  file: process.env.PRICE_FEED_FILE || null,
+  pythAccount: process.env.PYTH_SOL_USD_ACCOUNT || null,
+  rpcUrl: CLUSTERS.mainnet.rpcUrl,
+  maxAgeMs: parseInt(process.env.PRICE_MAX_AGE_MS || '300000', 10), // Older prices are not used for conversions
+  spreadBps: parseInt(process.env.PRICE_SPREAD_BPS || '0', 10) // Added to the SOL price, in MacGas's favor
+});
+
+// x402 facilitator: remote (x402.org or X402_FACILITATOR_URL), local (built in, each cluster's fee payer signs)
+// or mock (tests). Every metered cluster with USDC takes payments on its own network.
+configureX402({
+  mode: process.env.X402_FACILITATOR || 'remote',
+  url: process.env.X402_FACILITATOR_URL || undefined,
+  networks: Object.values(CLUSTERS).filter(cluster => getPaymentNetwork(cluster.name)).map(cluster => {
+    const mainnet = cluster.name === DEFAULT_CLUSTER;
+    return {
+      network: cluster.caip2,
+      rpcUrl: (mainnet && process.env.X402_RPC_URL) || cluster.rpcUrl, // e.g. a stub RPC or solana-test-validator in mock mode
+      feePayer: (mainnet && process.env.X402_FEE_PAYER) || cluster.feePayer,
+      signer: cluster.signer
+    };
+  })
+});
+
+// Price of a typical transaction for messages, e.g. "$0.0005"
+function txCostLabel() {
+  return isPriceAvailable() ? '$' + Number(txCostUsd().toPrecision(2)) : 'see GET /pricing';
+}
+
+// "1 USDC = 2,000 transactions", for messages
+function rateLabel(asset) {
+  return asset === 'SOL' || isPriceAvailable() ? describeRate(asset) : 'see GET /pricing';
+}
+
+// 503 body when a conversion needs a price we don't have
+function priceUnavailable(res, err) {
+  return res.status(503).json({ error: 'Pricing unavailable: ' + err.message, code: 'PRICE_UNAVAILABLE' });
+}
 
-// USDC to lamports conversion (1 USDC = ~10,000 lamports at $100/SOL, but we'll be generous)
-// At $0.0005 per tx, 1 USDC = 2000 transactions = 10M lamports worth
-const USDC_TO_LAMPORTS_RATE = 10_000_000; // 1 USDC (1e6 units) = 10M lamports credit
+// Amounts by asset -> { sol, usdc, ... } in whole units, for responses
+function displayAmounts(amounts) {
+  return Object.fromEntries(Object.entries(amounts).map(([asset, amount]) => [asset.toLowerCase(), toDisplayAmount(asset, amount)]));
+}
 
 // Health check
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', projects: Object.keys(data.projects).length });
+  res.json({ status: 'ok', projects: store.countProjects() });
+});
+
+// ============ API KEYS ============
+
+// Resolve the caller's project from x-api-key and require a scope.
+// The project ID is public (it's the deposit memo), so it never authenticates anything.
+// Returns { projectId, project, key } or null after sending an error response.
+function authenticate(req, res, scope) {
+  const apiKey = req.headers['x-api-key'];
+  
+  if (!apiKey) {
+    res.status(401).json({ error: 'API key required (x-api-key header)' });
+    return null;
+  }
+  
+  const key = findApiKey(store, apiKey);
+  const project = key ? store.getProject(key.projectId) : null;
+  
+  if (!key || !project) {
+    res.status(401).json({ error: 'Invalid or revoked API key' });
+    return null;
+  }
+  
+  // A project named in the path or X-Project-ID header must be the key's own
+  const claimedId = req.params.projectId || req.headers['x-project-id'];
+  if (claimedId && claimedId !== key.projectId) {
+    res.status(403).json({ error: 'API key does not belong to this project' });
+    return null;
+  }
+  
+  if (!key.scopes.includes(scope)) {
+    res.status(403).json({ error: `API key lacks the '${scope}' scope`, scopes: key.scopes });
+    return null;
+  }
+  
+  // Not on every request: with the json driver each save rewrites the whole file
+  const now = Date.now();
+  if (!key.lastUsedAt || now - key.lastUsedAt >= API_KEY_TOUCH_INTERVAL_MS) {
+    store.saveApiKey({ ...key, lastUsedAt: now });
+  }
+  
+  return { projectId: key.projectId, project, key };
+}
+
+// authenticate() as route middleware, for routes that need the caller before their handler (paid routes)
+function requireAuth(scope) {
+  return (req, res, next) => {
+    const auth = authenticate(req, res, scope);
+    if (!auth) return;
+    req.auth = auth;
+    next();
+  };
+}
+
+// Find one of a project's keys by id
+function getProjectKey(projectId, keyId) {
+  return store.listApiKeys(projectId).find(k => k.id === keyId) || null;
+}
+
+// List a project's keys (never the secrets)
+app.get('/projects/:projectId/keys', (req, res) => {
+  const auth = authenticate(req, res, 'read');
+  if (!auth) return;
+  
+  res.json({
+    projectId: auth.projectId,
+    keys: store.listApiKeys(auth.projectId).map(describeApiKey),
+    scopes: API_KEY_SCOPES
+  });
+});
+
+// Create a named key with scopes
+app.post('/projects/:projectId/keys', (req, res) => {
+  const auth = authenticate(req, res, 'manage');
+  if (!auth) return;
+  
+  const { name, scopes } = req.body;
+  
+  if (!name) {
+    return res.status(400).json({ error: 'name required' });
+  }
+  
+  const scopeError = validateScopes(scopes);
+  if (scopeError) {
+    return res.status(400).json({ error: scopeError });
+  }
+  
+  try {
+    const issued = issueApiKey(store, auth.projectId, { name, scopes });
+    console.log(`[KEYS] Issued ${issued.key.id} (${scopes.join(',')}) for ${auth.projectId}`);
+    res.json({
+      success: true,
+      apiKey: issued.apiKey,
+      key: issued.key,
+      warning: 'Save this key - it will not be shown again'
+    });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Rotate a key: same id, name and scopes, new secret. The old secret stops working immediately.
+app.post('/projects/:projectId/keys/:keyId/rotate', (req, res) => {
+  const auth = authenticate(req, res, 'manage');
+  if (!auth) return;
+  
+  const record = getProjectKey(auth.projectId, req.params.keyId);
+  
+  if (!record || record.revokedAt) {
+    return res.status(404).json({ error: 'Key not found or revoked' });
+  }
+  
+  const rotated = rotateApiKey(store, record);
+  console.log(`[KEYS] Rotated ${record.id} for ${auth.projectId}`);
+  
+  res.json({
+    success: true,
+    apiKey: rotated.apiKey,
+    key: rotated.key,
+    warning: 'Save this key - it will not be shown again'
+  });
+});
+
+// Revoke a key
+app.post('/projects/:projectId/keys/:keyId/revoke', (req, res) => {
+  const auth = authenticate(req, res, 'manage');
+  if (!auth) return;
+  
+  const record = getProjectKey(auth.projectId, req.params.keyId);
+  
+  if (!record || record.revokedAt) {
+    return res.status(404).json({ error: 'Key not found or already revoked' });
+  }
+  
+  // Don't let a project lock itself out
+  const otherManagers = store.listApiKeys(auth.projectId)
+    .filter(k => k.id !== record.id && !k.revokedAt && k.scopes.includes('manage'));
+  if (record.scopes.includes('manage') && otherManagers.length === 0) {
+    return res.status(409).json({ error: "Cannot revoke the project's last key with the 'manage' scope" });
+  }
+  
+  const key = revokeApiKey(store, record);
+  console.log(`[KEYS] Revoked ${record.id} for ${auth.projectId}`);
+  
+  res.json({ success: true, key });
 });
 
 // ============ SELF-SERVICE REGISTRATION ============
@@ -104,7 +389,7 @@ app.post('/register', (req, res) => {
   // Generate unique project ID
   const projectId = 'proj_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
   
-  data.projects[projectId] = {
+  store.saveProject(projectId, {
     name,
     email: email || null,
     website: website || null,
@@ -114,33 +399,38 @@ app.post('/register', (req, res) => {
     createdAt: Date.now(),
     active: true,
     selfService: true
-  };
+  });
   
-  saveData(data);
+  const { apiKey } = issueApiKey(store, projectId);
+  const cluster = billingCluster(req.cluster);
   
   res.json({ 
     success: true, 
     projectId,
+    apiKey,
+    apiKeyNote: 'Send as x-api-key on every request. Save it - it will not be shown again. Your project ID is public (deposit memo) and is not a credential.',
     message: 'Project registered! Pay with SOL or USDC - no SOL required!',
-    depositAddress: MY_WALLET,
+    network: cluster.name,
+    depositAddress: cluster.wallet,
     depositMemo: projectId,
     pricing: {
-      costPerTx: '$0.0005 (0.000005 SOL equivalent)',
-      acceptedPayments: ['SOL', 'USDC'],
-      usdcRate: '1 USDC = 2,000 transactions'
+      costPerTx: `${txCostLabel()} (${REFERENCE_TX_LAMPORTS / 1e9} SOL equivalent)`,
+      acceptedPayments: clusterAssets(cluster.name),
+      usdcRate: rateLabel('USDC')
     },
     instructions: [
       '💰 OPTION 1: Pay with SOL',
-      '  - Send SOL to ' + MY_WALLET,
+      '  - Send SOL to ' + cluster.wallet,
       '  - Include memo: ' + projectId,
       '',
       '💵 OPTION 2: Pay with USDC (no SOL needed!)',
-      '  - Send USDC to ' + MY_WALLET,
+      '  - Send USDC to ' + cluster.wallet,
       '  - Include memo: ' + projectId,
-      '  - 1 USDC = 2,000 gasless transactions',
+      '  - ' + rateLabel('USDC'),
       '',
       '⏱️ Balance credited automatically within 1 minute',
-      '📊 Check balance: GET /balance/' + projectId
+      '📊 Check balance: GET ' + clusterPath(cluster, '/balance/' + projectId),
+      '🔑 Sponsor transactions: POST ' + clusterPath(cluster, '/sign_and_send') + ' with x-api-key header'
     ]
   });
 });
@@ -157,37 +447,41 @@ app.post('/payg/register', (req, res) => {
   
   const projectId = 'payg_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
   
-  data.projects[projectId] = {
+  store.saveProject(projectId, {
     name,
     tier: 'payg',
     balanceLamports: 0,
-    balanceUsdcLamports: 0, // Separate USDC balance tracking
+    balanceUsdcLamports: 0, // Separate USDC balance tracking (other tokens: tokenBalances)
     totalTxs: 0,
     createdAt: Date.now(),
     active: true
-  };
+  });
   
-  saveData(data);
+  const { apiKey } = issueApiKey(store, projectId);
+  const cluster = billingCluster(req.cluster);
   
   res.json({ 
     success: true, 
     tier: 'pay-as-you-go',
     projectId,
+    apiKey,
+    apiKeyNote: 'Send as x-api-key on every request. Save it - it will not be shown again.',
     message: '🚀 Pay-as-you-go activated! Users pay gas in SOL or USDC.',
     howItWorks: {
       forDev: 'Free to integrate - no upfront cost',
-      forUser: 'Users pay gas (~$0.0005/tx) in SOL or USDC - their choice',
+      forUser: `Users pay gas (${txCostLabel()}/tx) in SOL or USDC - their choice`,
       benefit: 'Users without SOL can pay with USDC instead'
     },
     userFunding: {
-      address: MY_WALLET,
+      network: cluster.name,
+      address: cluster.wallet,
       memo: projectId,
-      acceptedTokens: ['SOL', 'USDC'],
-      costPerTx: '~$0.0005 (0.000005 SOL or 0.0005 USDC)',
-      note: 'Users send SOL or USDC with memo to fund transactions. Defaults to SOL if available.'
+      acceptedTokens: clusterAssets(cluster.name),
+      costPerTx: `${txCostLabel()} (${REFERENCE_TX_LAMPORTS / 1e9} SOL)`,
+      note: 'Users send SOL or a supported token with memo to fund transactions. Defaults to SOL if available.'
     },
     example: {
-      curl: 'curl -X POST https://macgas.xyz/sign_and_send -H "Content-Type: application/json" -H "X-Project-ID: ' + projectId + '" -d \'{"transaction": "<base64>"}\''
+      curl: 'curl -X POST https://macgas.xyz/sign_and_send -H "Content-Type: application/json" -H "x-api-key: ' + apiKey + '" -d \'{"transaction": "<base64>"}\''
     },
     upgrade: 'Want to cover gas for your users? Use gasless tier: POST /register'
   });
@@ -201,33 +495,36 @@ app.post('/free/register', (req, res, next) => {
 
 // Pay-as-you-go balance check
 app.get('/payg/balance/:projectId', (req, res) => {
-  const project = data.projects[req.params.projectId];
+  const project = store.getProject(req.params.projectId);
   
   if (!project) {
     return res.status(404).json({ error: 'Project not found. Register at POST /payg/register' });
   }
   
-  const solBalance = (project.balanceLamports || 0) / 1e9;
-  const usdcBalance = (project.balanceUsdcLamports || 0) / 1e6;
-  const costLamports = COST_PER_TX * 1e9;
-  const txsFromSol = Math.floor((project.balanceLamports || 0) / costLamports);
-  const txsFromUsdc = Math.floor((project.balanceUsdcLamports || 0) / (COST_PER_TX * 100)); // USDC equivalent
+  // { sol, usdc, ..., estimatedTxsFromSol, estimatedTxsFromUsdc, ..., total }
+  // Token estimates are null while the price feed is unavailable
+  const cluster = billingCluster(req.cluster);
+  const balance = {};
+  let total = 0;
+  for (const [asset, amount] of Object.entries(getBalances(project, cluster.name))) {
+    const priced = asset === 'SOL' || isPriceAvailable();
+    const txs = priced ? Math.floor(amount / lamportsToAsset(REFERENCE_TX_LAMPORTS, asset)) : null;
+    balance[asset.toLowerCase()] = toDisplayAmount(asset, amount);
+    balance['estimatedTxsFrom' + asset[0] + asset.slice(1).toLowerCase()] = txs;
+    total += txs || 0;
+  }
+  balance.total = total;
   
   res.json({
     tier: 'pay-as-you-go',
     projectId: req.params.projectId,
-    balance: {
-      sol: solBalance,
-      usdc: usdcBalance,
-      estimatedTxsFromSol: txsFromSol,
-      estimatedTxsFromUsdc: txsFromUsdc,
-      total: txsFromSol + txsFromUsdc
-    },
-    costPerTx: '~$0.0005',
+    network: cluster.name,
+    balance,
+    costPerTx: txCostLabel(),
     topUp: {
-      address: MY_WALLET,
+      address: cluster.wallet,
       memo: req.params.projectId,
-      accepts: ['SOL', 'USDC']
+      accepts: clusterAssets(cluster.name)
     },
     totalAllTime: project.totalTxs
   });
@@ -241,653 +538,1616 @@ app.get('/free/balance/:projectId', (req, res, next) => {
 
 // Balance check via API key (for dashboard)
 app.get('/balance', (req, res) => {
-  const apiKey = req.headers['x-api-key'];
-  
-  if (!apiKey) {
-    return res.status(401).json({ error: 'API key required (x-api-key header)' });
-  }
+  const auth = authenticate(req, res, 'read');
+  if (!auth) return;
   
-  // Find project by API key (projectId IS the apiKey for self-service)
-  const project = data.projects[apiKey];
+  const { projectId, project } = auth;
+  const cluster = billingCluster(req.cluster);
+  const lamports = getBalance(project, 'SOL', cluster.name);
   
-  if (!project) {
-    return res.status(404).json({ error: 'Project not found. Check your API key.' });
-  }
-  
-  const balanceSol = (project.balanceLamports || 0) / 1e9;
-  const estimatedTxs = Math.floor((project.balanceLamports || 0) / (COST_PER_TX * 1e9));
+  const balanceSol = lamports / 1e9;
+  const estimatedTxs = Math.floor(lamports / REFERENCE_TX_LAMPORTS);
   
   res.json({
-    projectId: apiKey,
+    projectId,
     name: project.name,
+    network: cluster.name,
     balance: balanceSol,
-    balanceLamports: project.balanceLamports || 0,
+    balanceLamports: lamports,
     estimatedTxs,
     totalTxs: project.totalTxs || 0,
-    tier: project.balanceLamports > 0 ? 'sponsored' : 'pay-in-any-token',
+    tier: lamports > 0 ? 'sponsored' : 'pay-in-any-token',
     active: project.active
   });
 });
 
 // Public: Get deposit instructions for a project
 app.get('/deposit-info/:projectId', (req, res) => {
-  const project = data.projects[req.params.projectId];
+  const project = store.getProject(req.params.projectId);
   
   if (!project) {
     return res.status(404).json({ error: 'Project not found. Register first at POST /register' });
   }
   
-  const balanceSol = project.balanceLamports / 1e9;
-  const estimatedTxs = Math.floor(project.balanceLamports / (COST_PER_TX * 1e9));
+  const cluster = billingCluster(req.cluster);
+  const lamports = getBalance(project, 'SOL', cluster.name);
+  const balanceSol = lamports / 1e9;
+  const estimatedTxs = Math.floor(lamports / REFERENCE_TX_LAMPORTS);
+  const assets = clusterAssets(cluster.name);
   
   res.json({
     projectId: req.params.projectId,
-    depositAddress: MY_WALLET,
+    network: cluster.name,
+    depositAddress: cluster.wallet,
     depositMemo: req.params.projectId,
     currentBalance: {
-      lamports: project.balanceLamports,
+      lamports,
       sol: balanceSol,
       estimatedTransactions: estimatedTxs
     },
     acceptedPayments: {
       SOL: {
-        address: MY_WALLET,
+        address: cluster.wallet,
         memo: req.params.projectId,
-        rate: '1 SOL = ~200,000 transactions'
+        rate: rateLabel('SOL')
       },
-      USDC: {
-        address: MY_WALLET,
+      ...(assets.includes('USDC') && {
+        USDC: {
+          address: cluster.wallet,
+          memo: req.params.projectId,
+          rate: rateLabel('USDC'),
+          note: 'No SOL needed! Pay gas fees with USDC.'
+        }
+      }),
+      ...Object.fromEntries(assets.filter(a => a !== 'SOL' && a !== 'USDC').map(asset => [asset, {
+        address: cluster.wallet,
         memo: req.params.projectId,
-        rate: '1 USDC = 2,000 transactions',
-        note: 'No SOL needed! Pay gas fees with USDC.'
-      }
+        rate: rateLabel(asset)
+      }]))
     }
   });
 });
 
-// ============ DEPOSIT WATCHING ============
-
-async function checkDeposits() {
-  try {
-    const response = await fetch(RPC_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        jsonrpc: '2.0',
-        id: 1,
-        method: 'getSignaturesForAddress',
-        params: [MY_WALLET, { limit: 20 }]
-      })
-    });
-    
-    const result = await response.json();
-    if (!result.result || result.result.length === 0) return;
-    
-    const signatures = result.result;
-    
-    // Process new transactions
-    for (const sig of signatures) {
-      // Stop if we've seen this one before
-      if (sig.signature === lastSignature) break;
-      
-      // Skip errors
-      if (sig.err) continue;
-      
-      // Get transaction details
-      const txResponse = await fetch(RPC_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          jsonrpc: '2.0',
-          id: 1,
-          method: 'getTransaction',
-          params: [sig.signature, { encoding: 'jsonParsed', maxSupportedTransactionVersion: 0 }]
-        })
-      });
-      
-      const txResult = await txResponse.json();
-      if (!txResult.result) continue;
-      
-      const tx = txResult.result;
-      
-      // Look for memo containing project ID
-      let memo = null;
-      for (const ix of tx.transaction.message.instructions) {
-        if (ix.program === 'spl-memo' || ix.programId === 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr') {
-          memo = ix.parsed || ix.data;
-          break;
-        }
-      }
-      
-      if (!memo) continue;
-      
-      // Check if memo matches a project ID
-      const projectId = typeof memo === 'string' ? memo.trim() : null;
-      if (!projectId || !data.projects[projectId]) continue;
-      
-      // Calculate deposit amount (check pre/post balances for our wallet)
-      const preBalance = tx.meta.preBalances[0]; // Fee payer
-      const postBalance = tx.meta.postBalances[0];
-      
-      // Find our wallet's balance change
-      const accountKeys = tx.transaction.message.accountKeys;
-      let depositLamports = 0;
-      
-      for (let i = 0; i < accountKeys.length; i++) {
-        const pubkey = accountKeys[i].pubkey || accountKeys[i];
-        if (pubkey === MY_WALLET) {
-          const pre = tx.meta.preBalances[i];
-          const post = tx.meta.postBalances[i];
-          if (post > pre) {
-            depositLamports = post - pre;
-            break;
-          }
-        }
-      }
-      
-      if (depositLamports > 0) {
-        // Credit the project
-        data.projects[projectId].balanceLamports += depositLamports;
-        data.projects[projectId].lastDeposit = {
-          lamports: depositLamports,
-          txSignature: sig.signature,
-          at: Date.now()
-        };
-        saveData(data);
-        console.log(`[DEPOSIT] Credited ${depositLamports} lamports to ${projectId} from tx ${sig.signature}`);
-      }
-    }
-    
-    // Update last seen signature
-    if (signatures.length > 0) {
-      lastSignature = signatures[0].signature;
-    }
-  } catch (err) {
-    console.error('[DEPOSIT WATCH] Error:', err.message);
+// Assets a pay-as-you-go transaction is charged in on a cluster, in order of preference.
+// `requested` is the request's payWith (a symbol or an array); else the project's preference,
+// less the tokens the cluster doesn't accept. Returns { assets } or { error }.
+function resolvePayWith(project, requested, cluster = CLUSTERS.mainnet) {
+  if (!isPaygProject(project)) return { assets: ['SOL'] };
+  const accepted = clusterAssets(cluster.name);
+  if (requested === undefined || requested === null) {
+    const preferred = (project.payWith || []).filter(a => accepted.includes(a));
+    return { assets: preferred.length ? preferred : accepted };
   }
-}
-
-// ============ USDC DEPOSIT WATCHING ============
-
-async function checkUsdcDeposits() {
-  try {
-    // Get my USDC token account
-    const ataResponse = await fetch(RPC_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        jsonrpc: '2.0',
-        id: 1,
-        method: 'getTokenAccountsByOwner',
-        params: [MY_WALLET, { mint: USDC_MINT }, { encoding: 'jsonParsed' }]
-      })
-    });
-    
-    const ataResult = await ataResponse.json();
-    if (!ataResult.result?.value?.length) return;
-    
-    const usdcAccount = ataResult.result.value[0].pubkey;
-    
-    // Get recent signatures for my USDC account
-    const response = await fetch(RPC_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        jsonrpc: '2.0',
-        id: 1,
-        method: 'getSignaturesForAddress',
-        params: [usdcAccount, { limit: 20 }]
-      })
-    });
-    
-    const result = await response.json();
-    if (!result.result || result.result.length === 0) return;
-    
-    const signatures = result.result;
-    
-    for (const sig of signatures) {
-      if (sig.signature === lastUsdcSignature) break;
-      if (sig.err) continue;
-      
-      // Get transaction details
-      const txResponse = await fetch(RPC_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          jsonrpc: '2.0',
-          id: 1,
-          method: 'getTransaction',
-          params: [sig.signature, { encoding: 'jsonParsed', maxSupportedTransactionVersion: 0 }]
-        })
-      });
-      
-      const txResult = await txResponse.json();
-      if (!txResult.result) continue;
-      
-      const tx = txResult.result;
-      
-      // Look for memo containing project ID
-      let memo = null;
-      for (const ix of tx.transaction.message.instructions) {
-        if (ix.program === 'spl-memo' || ix.programId === 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr') {
-          memo = ix.parsed || ix.data;
-          break;
-        }
-      }
-      
-      if (!memo) continue;
-      
-      const projectId = typeof memo === 'string' ? memo.trim() : null;
-      if (!projectId || !data.projects[projectId]) continue;
-      
-      // Look for USDC transfer to my account
-      let usdcAmount = 0;
-      for (const ix of tx.transaction.message.instructions) {
-        if (ix.parsed?.type === 'transfer' || ix.parsed?.type === 'transferChecked') {
-          const info = ix.parsed.info;
-          if (info.destination === usdcAccount || info.mint === USDC_MINT) {
-            usdcAmount = parseInt(info.amount || info.tokenAmount?.amount || 0);
-          }
-        }
-      }
-      
-      // Also check inner instructions
-      if (tx.meta?.innerInstructions) {
-        for (const inner of tx.meta.innerInstructions) {
-          for (const ix of inner.instructions) {
-            if (ix.parsed?.type === 'transfer' || ix.parsed?.type === 'transferChecked') {
-              const info = ix.parsed.info;
-              if (info.destination === usdcAccount) {
-                usdcAmount = parseInt(info.amount || info.tokenAmount?.amount || 0);
-              }
-            }
-          }
-        }
-      }
-      
-      if (usdcAmount > 0) {
-        // Convert USDC to lamports credit (USDC has 6 decimals)
-        const lamportsCredit = Math.floor((usdcAmount / 1e6) * USDC_TO_LAMPORTS_RATE);
-        
-        data.projects[projectId].balanceLamports += lamportsCredit;
-        data.projects[projectId].lastDeposit = {
-          type: 'USDC',
-          usdcAmount: usdcAmount / 1e6,
-          lamportsCredit,
-          txSignature: sig.signature,
-          at: Date.now()
-        };
-        saveData(data);
-        console.log(`[USDC DEPOSIT] Credited ${lamportsCredit} lamports (${usdcAmount / 1e6} USDC) to ${projectId}`);
-      }
-    }
-    
-    if (signatures.length > 0) {
-      lastUsdcSignature = signatures[0].signature;
-    }
-  } catch (err) {
-    console.error('[USDC DEPOSIT WATCH] Error:', err.message);
+  
+  const assets = Array.isArray(requested) ? requested : [requested];
+  const unknown = assets.filter(a => !accepted.includes(a));
+  if (assets.length === 0 || unknown.length > 0) {
+    return { error: 'payWith must be one or more of ' + accepted.join(', ') };
   }
+  return { assets: [...new Set(assets)] };
 }
 
-// Start deposit watching (every 30 seconds)
-setInterval(checkDeposits, 30000);
-setInterval(checkUsdcDeposits, 30000);
-checkDeposits(); // Run immediately on start
-checkUsdcDeposits();
-
-// Register new project (admin only for now)
-app.post('/admin/projects', (req, res) => {
-  const { projectId, name, programs, adminKey } = req.body;
-  const validKey = getAdminKey();
+// View the order a pay-as-you-go project's balances are charged in
+app.get('/projects/:projectId/pay-with', (req, res) => {
+  const auth = authenticate(req, res, 'read');
+  if (!auth) return;
   
-  if (!validKey) {
-    return res.status(500).json({ error: 'Admin key not configured' });
-  }
-  
-  if (!adminKey || adminKey !== validKey) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-  
-  if (!projectId || !name) {
-    return res.status(400).json({ error: 'projectId and name required' });
-  }
-  
-  data.projects[projectId] = {
-    name,
-    programs: programs || [],
-    balanceLamports: 0,
-    totalTxs: 0,
-    createdAt: Date.now(),
-    active: true
-  };
+  const { project } = auth;
+  const cluster = billingCluster(req.cluster);
   
-  saveData(data);
-  res.json({ success: true, project: data.projects[projectId] });
+  res.json({
+    projectId: req.params.projectId,
+    network: cluster.name,
+    payWith: resolvePayWith(project, undefined, cluster).assets,
+    accepts: clusterAssets(cluster.name)
+  });
 });
 
-// Add balance (record a deposit)
-app.post('/admin/deposit', (req, res) => {
-  const { projectId, lamports, txSignature, adminKey } = req.body;
-  const validKey = getAdminKey();
+// Set the charge order. Body: { payWith: ['USDC', 'SOL'] } (null resets to the default)
+app.post('/projects/:projectId/pay-with', (req, res) => {
+  const auth = authenticate(req, res, 'manage');
+  if (!auth) return;
   
-  if (!validKey) {
-    return res.status(500).json({ error: 'Admin key not configured' });
+  if (!isPaygProject(auth.project)) {
+    return res.status(400).json({ error: 'Only pay-as-you-go projects can choose a payment token' });
   }
   
-  if (!adminKey || adminKey !== validKey) {
-    return res.status(401).json({ error: 'Unauthorized' });
+  const { payWith } = req.body;
+  let next = null;
+  if (payWith !== null) {
+    const resolved = resolvePayWith(auth.project, payWith ?? [], billingCluster(req.cluster));
+    if (resolved.error) return res.status(400).json({ error: resolved.error });
+    next = resolved.assets;
   }
   
-  if (!data.projects[projectId]) {
-    return res.status(404).json({ error: 'Project not found' });
-  }
+  const updated = store.updateProject(req.params.projectId, (p) => { p.payWith = next; });
   
-  data.projects[projectId].balanceLamports += lamports;
-  data.projects[projectId].lastDeposit = { lamports, txSignature, at: Date.now() };
+  console.log(`[PAYG] ${req.params.projectId} now pays with ${next ? next.join(', ') : 'the default order'}`);
   
-  saveData(data);
-  res.json({ 
-    success: true, 
-    newBalance: data.projects[projectId].balanceLamports,
-    estimatedTxs: Math.floor(data.projects[projectId].balanceLamports / (COST_PER_TX * 1e9))
+  res.json({
+    success: true,
+    projectId: req.params.projectId,
+    network: billingCluster(req.cluster).name,
+    payWith: resolvePayWith(updated, undefined, billingCluster(req.cluster)).assets
   });
 });
 
-// Check balance
-app.get('/balance/:projectId', (req, res) => {
-  const project = data.projects[req.params.projectId];
-  
-  if (!project) {
-    return res.status(404).json({ error: 'Project not found' });
-  }
+// ============ PROGRAM ALLOWLIST ============
+
+// Programs a project may invoke: the default set plus its own allowlist
+function getAllowedPrograms(project) {
+  return [...new Set([...DEFAULT_ALLOWED_PROGRAMS, ...(project.programs || [])])];
+}
+
+// View a project's program allowlist
+app.get('/projects/:projectId/programs', (req, res) => {
+  const auth = authenticate(req, res, 'read');
+  if (!auth) return;
   
-  const balanceSol = project.balanceLamports / 1e9;
-  const estimatedTxsRemaining = Math.floor(project.balanceLamports / (COST_PER_TX * 1e9));
+  const { project } = auth;
   
   res.json({
     projectId: req.params.projectId,
-    name: project.name,
-    balanceLamports: project.balanceLamports,
-    balanceSol,
-    estimatedTxsRemaining,
-    totalTxs: project.totalTxs,
-    active: project.active
+    programs: project.programs || [],
+    defaultPrograms: DEFAULT_ALLOWED_PROGRAMS,
+    maxPrograms: MAX_PROJECT_PROGRAMS
   });
 });
 
-// ============ x402 FUND ENDPOINT ============
-// For agents/developers to fund their project balance via x402
-
-app.post('/fund', async (req, res) => {
-  const projectId = req.headers['x-project-id'];
+// Update a project's program allowlist
+// Body: { programs: [...] } to replace, or { add: [...], remove: [...] } to edit
+app.post('/projects/:projectId/programs', (req, res) => {
+  const auth = authenticate(req, res, 'manage');
+  if (!auth) return;
   
-  if (!projectId) {
-    return res.status(400).json({ error: 'X-Project-ID header required' });
-  }
+  const { project } = auth;
   
-  const project = data.projects[projectId];
+  const { programs, add, remove } = req.body;
   
-  if (!project) {
-    return res.status(404).json({ error: 'Project not found. Register first at POST /register' });
+  if (programs === undefined && add === undefined && remove === undefined) {
+    return res.status(400).json({ error: 'programs, add or remove required' });
   }
   
-  // Get requested funding amount (default 100 txs = $0.10)
-  const txCount = parseInt(req.body.transactions) || 100;
-  const maxTxCount = 10000; // Cap at $10 per funding
-  const fundTxCount = Math.min(txCount, maxTxCount);
-  
-  // Check for x402 payment header
-  const paymentHeader = req.headers['x-payment'] || req.headers['payment-signature'];
-  
-  if (paymentHeader) {
-    try {
-      const requirements = createPaymentRequirements(fundTxCount);
-      const result = await verifyPayment(paymentHeader, requirements);
-      
-      if (result.valid) {
-        // Credit the balance
-        const creditLamports = result.txCount * COST_PER_TX * 1e9;
-        project.balanceLamports = (project.balanceLamports || 0) + creditLamports;
-        project.lastFunding = {
-          method: 'x402',
-          txCount: result.txCount,
-          lamports: creditLamports,
-          txSignature: result.txSignature,
-          at: Date.now()
-        };
-        saveData(data);
-        
-        console.log(`[x402 FUND] Credited ${result.txCount} txs to ${projectId}`);
-        
-        return res.json({
-          success: true,
-          funded: {
-            transactions: result.txCount,
-            lamports: creditLamports,
-            usdEquivalent: (result.txCount * 0.001).toFixed(4)
-          },
-          newBalance: {
-            lamports: project.balanceLamports,
-            estimatedTxs: Math.floor(project.balanceLamports / (COST_PER_TX * 1e9))
-          },
-          txSignature: result.txSignature
-        });
-      } else {
-        return res.status(402).json({
-          error: 'Payment verification failed',
-          details: result.error
-        });
-      }
-    } catch (err) {
-      console.error('[x402 FUND] Error:', err.message);
-      return res.status(500).json({ error: 'Payment processing failed: ' + err.message });
+  for (const list of [programs, add, remove]) {
+    if (list !== undefined && !Array.isArray(list)) {
+      return res.status(400).json({ error: 'programs, add and remove must be arrays of program IDs' });
     }
   }
   
-  // No payment header - return 402 with payment requirements
-  const x402Response = build402Response(fundTxCount);
-  res.set(x402Response.headers);
-  return res.status(402).json({
-    ...x402Response.body,
-    projectId,
-    currentBalance: {
-      lamports: project.balanceLamports || 0,
-      estimatedTxs: Math.floor((project.balanceLamports || 0) / (COST_PER_TX * 1e9))
-    },
-    requestedFunding: {
-      transactions: fundTxCount,
-      usdAmount: (fundTxCount * 0.001).toFixed(4)
-    },
-    instructions: [
-      'Your x402-compatible client should handle this payment automatically.',
-      'Or manually: send USDC to ' + MY_WALLET + ' with memo: ' + projectId
-    ]
-  });
-});
-
-// Proxy to Kora with metering
-app.post('/sign_and_send', txLimiter, async (req, res) => {
-  const projectId = req.headers['x-project-id'];
-  
-  if (!projectId) {
-    return res.status(400).json({ error: 'X-Project-ID header required' });
+  const invalid = [...(programs || []), ...(add || [])].filter(p => !isValidAddress(p));
+  if (invalid.length > 0) {
+    return res.status(400).json({ error: 'Invalid program ID', invalid });
   }
   
-  const project = data.projects[projectId];
+  let next = programs !== undefined ? [...programs] : [...(project.programs || [])];
+  next = next.concat(add || []).filter(p => !(remove || []).includes(p));
+  next = [...new Set(next)];
   
-  // Check for x402 payment header
-  const paymentHeader = req.headers['x-payment'] || req.headers['payment-signature'];
-  if (paymentHeader && project) {
-    try {
-      const requirements = createPaymentRequirements(100);
-      const result = await verifyPayment(paymentHeader, requirements);
-      
-      if (result.valid) {
-        // Credit the balance (convert tx count to lamports)
-        const creditLamports = result.txCount * COST_PER_TX * 1e9;
-        project.balanceLamports = (project.balanceLamports || 0) + creditLamports;
-        saveData(data);
-        console.log(`[x402] Credited ${result.txCount} txs (${creditLamports} lamports) to ${projectId} via x402`);
-      }
-    } catch (err) {
-      console.error('[x402] Payment verification error:', err.message);
-    }
+  if (next.length > MAX_PROJECT_PROGRAMS) {
+    return res.status(400).json({ error: `Allowlist limited to ${MAX_PROJECT_PROGRAMS} programs` });
   }
   
+  const updated = store.updateProject(req.params.projectId, (p) => { p.programs = next; });
+  
+  console.log(`[ALLOWLIST] ${req.params.projectId} now allows ${next.length} custom programs`);
+  
+  res.json({
+    success: true,
+    projectId: req.params.projectId,
+    programs: updated.programs,
+    defaultPrograms: DEFAULT_ALLOWED_PROGRAMS
+  });
+});
+
+// ============ SPENDING POLICIES ============
+
+// 403 body for a transaction a project's policy refuses
+function policyRejection(projectId, violation) {
+  return {
+    error: violation.message,
+    code: 'POLICY_VIOLATION',
+    policy: violation.policy,
+    limit: violation.limit,
+    actual: violation.actual,
+    manage: 'POST /projects/' + projectId + '/policy'
+  };
+}
+
+// View a project's spending policy and today's usage against it
+app.get('/projects/:projectId/policy', (req, res) => {
+  const auth = authenticate(req, res, 'read');
+  if (!auth) return;
+  
+  // Every cluster counts its own usage, free ones included
+  const { projectId, project } = auth;
+  const cluster = req.cluster;
+  const usage = getDailyUsage(store, projectId, Date.now(), cluster.name);
+  
+  res.json({
+    projectId,
+    policy: project.policy || null,
+    usage: {
+      network: cluster.name,
+      day: usage.day,
+      txs: usage.txs,
+      lamports: usage.lamports,
+      users: Object.keys(usage.users).length,
+      rentSponsoredLamports: getRentSponsored(store, projectId, cluster.name)
+    }
+  });
+});
+
+// Set a project's spending policy
+// Body: { policy: { maxTxsPerDay, maxLamportsPerDay, perUser, maxComputeUnitPrice, maxFeeLamports, window, sponsorRent, rentBudgetLamports } },
+// or { policy: null } to remove it
+app.post('/projects/:projectId/policy', (req, res) => {
+  const auth = authenticate(req, res, 'manage');
+  if (!auth) return;
+  
+  const { projectId } = auth;
+  const { policy } = req.body;
+  
+  if (policy === undefined) {
+    return res.status(400).json({ error: 'policy required (or null to remove it)' });
+  }
+  if (policy !== null) {
+    const invalid = validatePolicy(policy);
+    if (invalid) return res.status(400).json({ error: invalid });
+  }
+  
+  const updated = store.updateProject(projectId, (p) => {
+    if (policy) {
+      p.policy = policy;
+    } else {
+      delete p.policy;
+    }
+  });
+  
+  console.log(`[POLICY] ${projectId} ${policy ? 'set ' + JSON.stringify(policy) : 'removed its policy'}`);
+  
+  res.json({ success: true, projectId, policy: updated.policy || null });
+});
+
+// ============ SECURITY EVENTS ============
+
+// Transactions we refused for trying to use the fee payer, newest first
+app.get('/projects/:projectId/security-events', (req, res) => {
+  const auth = authenticate(req, res, 'read');
+  if (!auth) return;
+  
+  const before = req.query.before ? parseInt(req.query.before) : undefined;
+  if (Number.isNaN(before)) {
+    return res.status(400).json({ error: 'before must be a timestamp (ms)' });
+  }
+  
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  const events = store.listSecurityEvents(auth.projectId, { limit, before });
+  const nextCursor = events.length === limit ? events[events.length - 1].at : null;
+  
+  res.json({
+    projectId: auth.projectId,
+    events: events.map(e => ({ ...e, at: new Date(e.at).toISOString() })),
+    nextCursor
+  });
+});
+
+// ============ DURABLE NONCES ============
+
+// Lend the project a nonce account, so a transaction can wait for approval without its blockhash expiring.
+// With { transaction } (unsigned, our fee payer), it comes back rebuilt on the nonce.
+app.post('/nonce/lease', requireAuth('submit'), async (req, res) => {
+  const { projectId } = req.auth;
+  const cluster = req.cluster;
+  
+  if (cluster.nonceAccounts.length === 0) {
+    return res.status(503).json({ error: `Durable nonces are not enabled on ${cluster.name}`, code: 'NONCE_UNAVAILABLE' });
+  }
+  
+  const ttlSeconds = req.body.ttlSeconds ?? DEFAULT_LEASE_TTL_MS / 1000;
+  if (!Number.isInteger(ttlSeconds) || ttlSeconds < 60 || ttlSeconds * 1000 > MAX_LEASE_TTL_MS) {
+    return res.status(400).json({ error: `ttlSeconds must be an integer from 60 to ${MAX_LEASE_TTL_MS / 1000}` });
+  }
+  
+  let decodedTx = null;
+  if (req.body.transaction !== undefined) {
+    try {
+      decodedTx = decodeTransaction(req.body.transaction);
+    } catch (err) {
+      return res.status(400).json({ error: 'Invalid transaction: ' + err.message, code: 'INVALID_TRANSACTION' });
+    }
+    // The nonce authority signs the advance instruction, so it has to be the fee payer
+    if (decodedTx.feePayer !== cluster.feePayer) {
+      return res.status(400).json({ error: 'Transaction fee payer must be the nonce authority ' + cluster.feePayer, code: 'INVALID_TRANSACTION' });
+    }
+    if (hasSignatures(decodedTx)) {
+      return res.status(400).json({ error: 'Lease before signing: moving to the nonce voids signatures', code: 'INVALID_TRANSACTION' });
+    }
+  }
+  
+  const leased = await leaseNonce(store, {
+    projectId,
+    cluster: cluster.name,
+    accounts: cluster.nonceAccounts,
+    authority: cluster.feePayer,
+    rpcUrl: cluster.rpcUrl,
+    ttlMs: ttlSeconds * 1000
+  });
+  if (leased.error) {
+    return res.status(leased.code === 'NONCE_LEASE_LIMIT' ? 429 : 503).json({ error: leased.error, code: leased.code });
+  }
+  const { lease } = leased;
+  
+  let transaction;
+  if (decodedTx) {
+    try {
+      transaction = encodeTransaction(withDurableNonce(decodedTx, { nonceAccount: lease.nonceAccount, authority: cluster.feePayer, nonce: lease.nonce }));
+    } catch (err) {
+      releaseNonceLease(store, projectId, lease.id, cluster.name);
+      return res.status(400).json({ error: 'Cannot use a durable nonce: ' + err.message, code: 'INVALID_TRANSACTION' });
+    }
+    if (Buffer.from(transaction, 'base64').length > MAX_TRANSACTION_SIZE) {
+      releaseNonceLease(store, projectId, lease.id, cluster.name);
+      return res.status(400).json({ error: `Transaction with the nonce instruction exceeds ${MAX_TRANSACTION_SIZE} bytes`, code: 'INVALID_TRANSACTION' });
+    }
+  }
+  
+  const on = cluster.name === DEFAULT_CLUSTER ? '' : ` on ${cluster.name}`;
+  console.log(`[NONCE] Leased ${lease.nonceAccount}${on} to ${projectId} until ${new Date(lease.expiresAt).toISOString()}`);
+  
+  res.json({
+    ...describeLease(lease),
+    nonceAuthority: cluster.feePayer,
+    feePayer: cluster.feePayer,
+    // First instruction of the transaction; its blockhash must be `nonce`
+    advanceNonceInstruction: {
+      programId: SYSTEM_PROGRAM_ID,
+      accounts: [
+        { pubkey: lease.nonceAccount, isSigner: false, isWritable: true },
+        { pubkey: SYSVAR_RECENT_BLOCKHASHES_ID, isSigner: false, isWritable: false },
+        { pubkey: cluster.feePayer, isSigner: true, isWritable: true }
+      ],
+      data: Buffer.from([4, 0, 0, 0]).toString('base64')
+    },
+    transaction: transaction ?? null,
+    submit: 'POST ' + clusterPath(cluster, '/sign_and_send') + ' before expiresAt; the lease ends once that transaction is final'
+  });
+});
+
+// The project's nonce leases that are still holding an account
+app.get('/nonce/leases', requireAuth('read'), (req, res) => {
+  res.json({
+    projectId: req.auth.projectId,
+    leases: listNonceLeases(store, req.auth.projectId, req.cluster.name).map(describeLease)
+  });
+});
+
+// Give back a lease that won't be used
+app.post('/nonce/lease/:leaseId/release', requireAuth('submit'), (req, res) => {
+  const released = releaseNonceLease(store, req.auth.projectId, req.params.leaseId, req.cluster.name);
+  if (released.error) {
+    return res.status(released.error === 'Lease not found' ? 404 : 409).json({ error: released.error });
+  }
+  
+  console.log(`[NONCE] ${req.auth.projectId} released ${released.lease.nonceAccount}`);
+  res.json({ success: true, lease: describeLease(released.lease) });
+});
+
+// ============ LEDGER ============
+
+// Parse a timestamp query param (ms since epoch or ISO date)
+function parseTimeParam(value) {
+  if (value === undefined) return undefined;
+  const ms = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+  return Number.isNaN(ms) ? NaN : ms;
+}
+
+// Project ledger on a cluster: every credit, debit, refund and adjustment
+// Query: limit, before (cursor), since, until, format=csv
+app.get('/projects/:projectId/ledger', (req, res) => {
+  const auth = authenticate(req, res, 'read');
+  if (!auth) return;
+  
+  const { project } = auth;
+  const cluster = billingCluster(req.cluster);
+  
+  const since = parseTimeParam(req.query.since);
+  const until = parseTimeParam(req.query.until);
+  const before = req.query.before ? parseInt(req.query.before) : undefined;
+  
+  if (Number.isNaN(since) || Number.isNaN(until) || Number.isNaN(before)) {
+    return res.status(400).json({ error: 'since, until and before must be timestamps (ms or ISO) / entry ids' });
+  }
+  
+  // CSV export returns the whole range in one go
+  if (req.query.format === 'csv') {
+    const { entries } = getProjectEntries(store, req.params.projectId, { cluster: cluster.name, before, since, until });
+    const suffix = cluster.name === DEFAULT_CLUSTER ? '' : '-' + cluster.name;
+    res.set('Content-Type', 'text/csv');
+    res.set('Content-Disposition', `attachment; filename="${req.params.projectId}${suffix}-ledger.csv"`);
+    return res.send(entriesToCsv(entries));
+  }
+  
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+  const { entries, nextCursor } = getProjectEntries(store, req.params.projectId, { cluster: cluster.name, limit, before, since, until });
+  
+  res.json({
+    projectId: req.params.projectId,
+    network: cluster.name,
+    balances: getBalances(project, cluster.name),
+    entries,
+    nextCursor,
+    next: nextCursor ? clusterPath(cluster, `/projects/${req.params.projectId}/ledger?limit=${limit}&before=${nextCursor}`) : null
+  });
+});
+
+// ============ WEBHOOKS ============
+
+// List a project's webhooks (never the secrets)
+app.get('/projects/:projectId/webhooks', (req, res) => {
+  const auth = authenticate(req, res, 'read');
+  if (!auth) return;
+  
+  res.json({
+    projectId: auth.projectId,
+    webhooks: store.listWebhooks(auth.projectId).map(describeWebhook)
+  });
+});
+
+// Register a webhook - the signing secret is only returned here
+app.post('/projects/:projectId/webhooks', async (req, res) => {
+  const auth = authenticate(req, res, 'manage');
+  if (!auth) return;
+  
+  const { url, events, lowBalance } = req.body;
+  const invalid = validateWebhook({ url, events, lowBalance, allowHttp: WEBHOOK_ALLOW_HTTP }) || await checkWebhookHost(url);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+  
+  try {
+    const { secret, webhook } = createWebhook(store, auth.projectId, { url, events, lowBalance });
+    console.log(`[WEBHOOK] ${auth.projectId} registered ${webhook.id} for ${webhook.events.join(', ')}`);
+    res.json({
+      success: true,
+      secret,
+      webhook,
+      warning: 'Save this secret now - it is needed to verify X-MacGas-Signature and will not be shown again'
+    });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Remove a webhook (its delivery log is kept)
+app.post('/projects/:projectId/webhooks/:webhookId/delete', (req, res) => {
+  const auth = authenticate(req, res, 'manage');
+  if (!auth) return;
+  
+  const webhook = store.getWebhook(req.params.webhookId);
+  if (!webhook || webhook.projectId !== auth.projectId) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  
+  store.deleteWebhook(webhook.id);
+  res.json({ success: true, deleted: webhook.id });
+});
+
+// Delivery log, newest first
+app.get('/projects/:projectId/webhooks/deliveries', (req, res) => {
+  const auth = authenticate(req, res, 'read');
+  if (!auth) return;
+  
+  const before = req.query.before ? parseInt(req.query.before) : undefined;
+  if (Number.isNaN(before)) {
+    return res.status(400).json({ error: 'before must be a timestamp (ms)' });
+  }
+  
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  const deliveries = store.listWebhookDeliveries(auth.projectId, { limit, before });
+  const nextCursor = deliveries.length === limit ? deliveries[deliveries.length - 1].createdAt : null;
+  
+  res.json({
+    projectId: auth.projectId,
+    deliveries: deliveries.map(describeDelivery),
+    nextCursor
+  });
+});
+
+// Send a past event again (same event id, new delivery)
+app.post('/projects/:projectId/webhooks/deliveries/:deliveryId/replay', (req, res) => {
+  const auth = authenticate(req, res, 'manage');
+  if (!auth) return;
+  
+  const delivery = store.getWebhookDelivery(req.params.deliveryId);
+  if (!delivery || delivery.projectId !== auth.projectId) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+  
+  try {
+    const replay = replayDelivery(store, delivery);
+    res.json({ success: true, delivery: describeDelivery(replay) });
+  } catch (err) {
+    res.status(409).json({ error: err.message });
+  }
+});
+
+// ============ PRICING ============
+
+// Keep the SOL price fresh; a failed refresh keeps the last price until it goes stale
+async function updatePrice() {
+  try {
+    await refreshPrice();
+  } catch (err) {
+    console.error('[PRICING] Refresh failed:', err.message);
+  }
+}
+
+setInterval(updatePrice, PRICE_REFRESH_MS);
+updatePrice();
+
+// Public: current prices and what one transaction costs in each asset (free clusters: the quota)
+app.get('/pricing', (req, res) => {
+  const { pricing } = req.cluster;
+  if (pricing.free) {
+    return res.json({ network: req.cluster.name, free: true, transactionsPerProjectPerDay: pricing.dailyTxLimit });
+  }
+  
+  res.json({ network: req.cluster.name, ...describePricing(), accepts: clusterAssets(req.cluster.name) });
+});
+
+// ============ DEPOSIT WATCHING ============
+
+// Where and how deposits are watched on a metered cluster
+function depositConfig(cluster) {
+  return {
+    cluster: cluster.name,
+    rpcUrl: cluster.rpcUrl,
+    wallet: cluster.wallet,
+    mints: cluster.mints,
+    isPayg: isPaygProject
+  };
+}
+
+// One poll per cluster and asset at a time; the cursor is persisted, so a skipped tick loses nothing
+const depositPolls = {};
+async function checkDeposits(cluster, asset) {
+  const key = cluster.name + ':' + asset;
+  if (depositPolls[key]) return;
+  depositPolls[key] = true;
+  try {
+    await pollDeposits(store, depositConfig(cluster), asset);
+  } catch (err) {
+    console.error(`[DEPOSIT WATCH] ${asset} on ${cluster.name} error:`, err.message);
+  } finally {
+    depositPolls[key] = false;
+  }
+}
+
+seedDepositRecords(store);
+
+// Start deposit watching (every 30 seconds) on every metered cluster
+for (const cluster of enabledClusters().filter(c => !c.pricing.free && c.wallet)) {
+  for (const asset of clusterAssets(cluster.name)) {
+    setInterval(() => checkDeposits(cluster, asset), DEPOSIT_POLL_INTERVAL_MS);
+    checkDeposits(cluster, asset); // Run immediately on start
+  }
+}
+
+// ============ CONFIRMATIONS ============
+
+// Poll sponsored signatures until they finalize, fail or expire (expired ones are refunded)
+let confirming = false;
+async function runConfirmations() {
+  if (confirming) return;
+  confirming = true;
+  try {
+    for (const cluster of enabledClusters()) {
+      try {
+        await checkConfirmations(store, cluster.rpcUrl, cluster.name);
+      } catch (err) {
+        console.error(`[CONFIRM] ${cluster.name} error:`, err.message);
+      }
+    }
+  } finally {
+    confirming = false;
+  }
+}
+
+setInterval(runConfirmations, CONFIRM_INTERVAL_MS);
+
+configureWebhooks({ allowPrivateHosts: WEBHOOK_ALLOW_PRIVATE });
+
+// Retry webhook deliveries whose backoff has elapsed
+let retryingWebhooks = false;
+setInterval(async () => {
+  if (retryingWebhooks) return;
+  retryingWebhooks = true;
+  try {
+    await processDueDeliveries(store);
+  } catch (err) {
+    console.error('[WEBHOOK] Retry error:', err.message);
+  } finally {
+    retryingWebhooks = false;
+  }
+}, WEBHOOK_RETRY_INTERVAL_MS);
+
+// Status of a sponsored transaction
+app.get('/tx/:signature', (req, res) => {
+  const auth = authenticate(req, res, 'read');
+  if (!auth) return;
+  
+  const record = store.getTransaction(req.params.signature);
+  if (!record || record.projectId !== auth.projectId) {
+    return res.status(404).json({ error: 'Transaction not found' });
+  }
+  
+  res.json(describeTransaction(record));
+});
+
+// Register new project (admin only for now)
+app.post('/admin/projects', (req, res) => {
+  const { projectId, name, programs, adminKey } = req.body;
+  const validKey = getAdminKey();
+  
+  if (!validKey) {
+    return res.status(500).json({ error: 'Admin key not configured' });
+  }
+  
+  if (!adminKey || adminKey !== validKey) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  
+  if (!projectId || !name) {
+    return res.status(400).json({ error: 'projectId and name required' });
+  }
+  
+  const project = {
+    name,
+    programs: programs || [],
+    balanceLamports: 0,
+    totalTxs: 0,
+    createdAt: Date.now(),
+    active: true
+  };
+  
+  store.saveProject(projectId, project);
+  const { apiKey } = issueApiKey(store, projectId);
+  
+  res.json({ success: true, project, apiKey });
+});
+
+// Issue a key for a project (e.g. projects created before API keys existed)
+app.post('/admin/projects/:projectId/keys', (req, res) => {
+  const { name, scopes, adminKey } = req.body;
+  const validKey = getAdminKey();
+  
+  if (!validKey) {
+    return res.status(500).json({ error: 'Admin key not configured' });
+  }
+  
+  if (!adminKey || adminKey !== validKey) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  
+  if (!store.hasProject(req.params.projectId)) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  
+  const scopeError = scopes !== undefined ? validateScopes(scopes) : null;
+  if (scopeError) {
+    return res.status(400).json({ error: scopeError });
+  }
+  
+  try {
+    const issued = issueApiKey(store, req.params.projectId, { name: name || 'default', scopes: scopes || API_KEY_SCOPES });
+    res.json({ success: true, apiKey: issued.apiKey, key: issued.key });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Add balance (record a deposit)
+app.post('/admin/deposit', (req, res) => {
+  const { projectId, lamports, txSignature, adminKey } = req.body;
+  const validKey = getAdminKey();
+  
+  if (!validKey) {
+    return res.status(500).json({ error: 'Admin key not configured' });
+  }
+  
+  if (!adminKey || adminKey !== validKey) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  
+  if (!store.hasProject(projectId)) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  
+  if (!Number.isInteger(lamports) || lamports <= 0) {
+    return res.status(400).json({ error: 'lamports must be a positive integer' });
+  }
+  
+  const cluster = requireMeteredCluster(req, res);
+  if (!cluster) return;
+  
+  const project = store.transaction(() => {
+    postEntry(store, {
+      projectId,
+      cluster: cluster.name,
+      type: 'credit',
+      asset: 'SOL',
+      amount: lamports,
+      source: 'admin_deposit',
+      ref: txSignature || null
+    });
+    return store.updateProject(projectId, (p) => {
+      p.lastDeposit = { lamports, txSignature, at: Date.now() };
+    });
+  });
+  
+  const balance = getBalance(project, 'SOL', cluster.name);
+  
+  emitEvent(store, projectId, 'deposit.credited', {
+    cluster: cluster.name,
+    asset: 'SOL',
+    amount: lamports,
+    creditedAsset: 'SOL',
+    creditedAmount: lamports,
+    signature: txSignature || null,
+    balance
+  });
+  
+  res.json({ 
+    success: true, 
+    network: cluster.name,
+    newBalance: balance,
+    estimatedTxs: Math.floor(balance / REFERENCE_TX_LAMPORTS)
+  });
+});
+
+// Re-examine a slot or time range of deposits and credit anything the watcher missed
+app.post('/admin/deposits/rescan', async (req, res) => {
+  const { adminKey, asset, fromSlot, toSlot } = req.body;
+  const validKey = getAdminKey();
+  
+  if (!validKey) {
+    return res.status(500).json({ error: 'Admin key not configured' });
+  }
+  
+  if (!adminKey || adminKey !== validKey) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  
+  const cluster = requireMeteredCluster(req, res);
+  if (!cluster) return;
+  
+  const assets = clusterAssets(cluster.name);
+  if (asset !== undefined && !assets.includes(asset)) {
+    return res.status(400).json({ error: 'asset must be one of ' + assets.join(', ') });
+  }
+  
+  const since = parseTimeParam(req.body.since);
+  const until = parseTimeParam(req.body.until);
+  if (Number.isNaN(since) || Number.isNaN(until)) {
+    return res.status(400).json({ error: 'since and until must be timestamps (ms or ISO)' });
+  }
+  
+  for (const slot of [fromSlot, toSlot]) {
+    if (slot !== undefined && (!Number.isInteger(slot) || slot < 0)) {
+      return res.status(400).json({ error: 'fromSlot and toSlot must be non-negative integers' });
+    }
+  }
+  
+  if (fromSlot === undefined && since === undefined) {
+    return res.status(400).json({ error: 'A lower bound (fromSlot or since) is required' });
+  }
+  
+  try {
+    const results = [];
+    for (const a of asset ? [asset] : assets) {
+      results.push(await rescanDeposits(store, depositConfig(cluster), { asset: a, fromSlot, toSlot, since, until }));
+    }
+    console.log(`[ADMIN] Deposit rescan on ${cluster.name} credited ${results.reduce((n, r) => n + r.credited.length, 0)} missed deposits`);
+    res.json({ success: true, network: cluster.name, results });
+  } catch (err) {
+    console.error('[ADMIN] Deposit rescan error:', err.message);
+    res.status(502).json({ error: 'Rescan failed: ' + err.message });
+  }
+});
+
+// Manual balance adjustment (positive or negative), recorded in the ledger
+app.post('/admin/adjustment', (req, res) => {
+  const { projectId, amount, asset, reason, adminKey } = req.body;
+  const validKey = getAdminKey();
+  
+  if (!validKey) {
+    return res.status(500).json({ error: 'Admin key not configured' });
+  }
+  
+  if (!adminKey || adminKey !== validKey) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  
+  if (!store.hasProject(projectId)) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  
+  if (!Number.isInteger(amount) || amount === 0) {
+    return res.status(400).json({ error: 'amount must be a non-zero integer (base units)' });
+  }
+  
+  const cluster = requireMeteredCluster(req, res);
+  if (!cluster) return;
+  
+  const assets = clusterAssets(cluster.name);
+  if (asset && !assets.includes(asset)) {
+    return res.status(400).json({ error: 'asset must be one of ' + assets.join(', ') });
+  }
+  
+  if (!reason) {
+    return res.status(400).json({ error: 'reason required' });
+  }
+  
+  const entry = postEntry(store, {
+    projectId,
+    cluster: cluster.name,
+    type: 'adjustment',
+    asset: asset || 'SOL',
+    amount,
+    source: 'adjustment',
+    memo: reason
+  });
+  
+  res.json({ success: true, entry });
+});
+
+// Switch a project off (or back on). Inactive projects can't submit transactions.
+app.post('/admin/projects/:projectId/deactivate', (req, res) => {
+  setProjectActive(req, res, false);
+});
+
+app.post('/admin/projects/:projectId/activate', (req, res) => {
+  setProjectActive(req, res, true);
+});
+
+function setProjectActive(req, res, active) {
+  const { adminKey, reason } = req.body;
+  const validKey = getAdminKey();
+  
+  if (!validKey) {
+    return res.status(500).json({ error: 'Admin key not configured' });
+  }
+  
+  if (!adminKey || adminKey !== validKey) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  
+  const { projectId } = req.params;
+  if (!store.hasProject(projectId)) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  
+  const project = store.updateProject(projectId, (p) => {
+    p.active = active;
+    p.deactivatedAt = active ? null : Date.now();
+    p.deactivationReason = active ? null : (reason || null);
+  });
+  
+  console.log(`[ADMIN] ${projectId} ${active ? 'activated' : 'deactivated'}${reason ? ': ' + reason : ''}`);
+  if (!active) {
+    emitEvent(store, projectId, 'project.deactivated', { reason: reason || null });
+  }
+  
+  res.json({ success: true, projectId, active: project.active });
+}
+
+// Check balance
+app.get('/balance/:projectId', (req, res) => {
+  const project = store.getProject(req.params.projectId);
+  
   if (!project) {
-    return res.status(404).json({ error: 'Project not found. Register at POST /free/register (free) or POST /register (paid)' });
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  
+  const lamports = getBalance(project, 'SOL', billingCluster(req.cluster).name);
+  const balanceSol = lamports / 1e9;
+  const estimatedTxsRemaining = Math.floor(lamports / REFERENCE_TX_LAMPORTS);
+  
+  res.json({
+    projectId: req.params.projectId,
+    name: project.name,
+    network: billingCluster(req.cluster).name,
+    balanceLamports: lamports,
+    balanceSol,
+    estimatedTxsRemaining,
+    totalTxs: project.totalTxs,
+    active: project.active
+  });
+});
+
+// ============ x402 FUND ENDPOINT ============
+// For agents/developers to fund their project balance via x402
+
+// Which funding bounds apply to a project (see FUNDING_BOUNDS)
+function fundingTier(project) {
+  return isPaygProject(project) ? 'payg' : 'sponsored';
+}
+
+// Credit a verified, settled x402 payment - exactly the amount paid, once, on the cluster it was paid on.
+// Pay-as-you-go projects keep the USDC; sponsored ones get its lamport value, priced before it settled.
+// Returns { creditedAsset, creditedAmount, balance }, or null if the settlement was already credited.
+function creditX402Payment({ projectId, project }, payment) {
+  const creditedAsset = isPaygProject(project) ? 'USDC' : 'SOL';
+  const credited = store.transaction(() => {
+    // A facilitator may report the same settlement again for a replayed payload
+    if (store.getX402Payment(payment.txSignature)) return null;
+    
+    const creditedAmount = creditedAsset === 'USDC' ? payment.amount : payment.lamports;
+    const entry = postEntry(store, {
+      projectId,
+      cluster: payment.cluster,
+      type: 'credit',
+      asset: creditedAsset,
+      amount: creditedAmount,
+      source: 'x402',
+      ref: payment.txSignature,
+      memo: `${toDisplayAmount('USDC', payment.amount)} USDC (${payment.txCount} txs)`
+    });
+    store.saveX402Payment({
+      signature: payment.txSignature,
+      payloadHash: payment.payloadHash,
+      projectId,
+      cluster: payment.cluster,
+      payer: payment.payer,
+      amount: payment.amount,
+      creditedAsset,
+      creditedAmount,
+      ledgerEntryId: entry.id,
+      settledAt: Date.now()
+    });
+    const updated = store.updateProject(projectId, (p) => {
+      p.lastFunding = {
+        method: 'x402',
+        txCount: payment.txCount,
+        usdc: payment.amount,
+        creditedAsset,
+        creditedAmount,
+        txSignature: payment.txSignature,
+        at: Date.now()
+      };
+    });
+    return { creditedAsset, creditedAmount, balance: getBalance(updated, creditedAsset, payment.cluster) };
+  });
+  if (!credited) return null;
+  
+  const creditedLabel = creditedAsset === 'USDC' ? '' : ` (${toDisplayAmount('USDC', payment.amount)} USDC)`;
+  const on = payment.cluster === DEFAULT_CLUSTER ? '' : ` on ${payment.cluster}`;
+  console.log(`[x402] Credited ${toDisplayAmount(creditedAsset, credited.creditedAmount)} ${creditedAsset}${creditedLabel} to ${projectId}${on} from ${payment.txSignature}`);
+  emitEvent(store, projectId, 'x402.settled', {
+    cluster: payment.cluster,
+    asset: 'USDC',
+    amount: payment.amount,
+    creditedAsset,
+    creditedAmount: credited.creditedAmount,
+    txCount: payment.txCount,
+    signature: payment.txSignature,
+    balance: credited.balance
+  });
+  
+  return credited;
+}
+
+// The payment layer of every paid route: settles X-Payment / Payment-Signature into the project balance
+const x402Payments = x402Middleware({
+  getPayer: (req) => req.auth,
+  getCluster: (req) => req.cluster.name,
+  getTier: fundingTier,
+  isReplay: (payloadHash) => store.findX402PaymentByPayload(payloadHash) !== null,
+  // Refuse before settling whatever the route would refuse after it, so nobody pays for a 403 or 503.
+  // Every payment is priced (verifyPayment), whichever asset it is credited in.
+  checkCredit: (project, cluster) => {
+    if (!isClusterEnabled(CLUSTERS[cluster])) return clusterUnavailable(CLUSTERS[cluster]).error;
+    if (!project.active) return 'Project inactive';
+    if (!isPriceAvailable()) return 'Pricing unavailable, try again shortly';
+    return null;
+  },
+  credit: creditX402Payment
+});
+
+// Paid routes: the caller's project, then any payment it sent
+function paidRoute(scope) {
+  return [requireAuth(scope), x402Payments];
+}
+
+app.post('/fund', ...paidRoute('fund'), async (req, res) => {
+  const { projectId, project } = req.auth;
+  
+  const cluster = requireMeteredCluster(req, res);
+  if (!cluster) return;
+  if (!isClusterEnabled(cluster)) {
+    return res.status(503).json(clusterUnavailable(cluster));
+  }
+  
+  // Requested funding amount (default 100 txs); the 402 also offers larger amounts,
+  // all within the tier's bounds (FUNDING_BOUNDS)
+  const fundTxCount = Math.max(parseInt(req.body.transactions) || 100, 1);
+  
+  // Paid - the payment layer has already credited it
+  const result = req.x402Payment;
+  if (result) {
+    return res.json({
+      success: true,
+      network: cluster.name,
+      funded: {
+        transactions: result.txCount,
+        usdc: toDisplayAmount('USDC', result.amount),
+        creditedAsset: result.creditedAsset,
+        creditedAmount: result.creditedAmount,
+        usdEquivalent: toDisplayAmount('USDC', result.amount).toFixed(6)
+      },
+      newBalance: {
+        asset: result.creditedAsset,
+        amount: result.balance,
+        lamports: getBalance(store.getProject(projectId), 'SOL', cluster.name),
+        estimatedTxs: result.creditedAsset === 'SOL' || isPriceAvailable()
+          ? Math.floor(result.balance / lamportsToAsset(REFERENCE_TX_LAMPORTS, result.creditedAsset))
+          : null
+      },
+      txSignature: result.txSignature
+    });
+  }
+  
+  // No payment - return 402 with payment requirements
+  const lamports = getBalance(project, 'SOL', cluster.name);
+  return send402(res, { tier: fundingTier(project), txCount: fundTxCount, cluster: cluster.name }, {
+    projectId,
+    network: cluster.name,
+    currentBalance: {
+      lamports,
+      estimatedTxs: Math.floor(lamports / REFERENCE_TX_LAMPORTS)
+    },
+    requestedFunding: {
+      transactions: fundTxCount,
+      usdAmount: isPriceAvailable() ? toDisplayAmount('USDC', fundingAmount(fundTxCount, fundingTier(project))).toFixed(6) : null
+    },
+    instructions: [
+      'Your x402-compatible client should handle this payment automatically.',
+      'Or manually: send USDC to ' + cluster.wallet + ' with memo: ' + projectId
+    ]
+  });
+});
+
+// ============ TRANSACTION ADMISSION ============
+
+// Pay-as-you-go projects can pay per tx in SOL or any accepted token; sponsored ones only from prepaid lamports
+function isPaygProject(project) {
+  return project.tier === 'payg' || project.tier === 'free';
+}
+
+// Checks shared by /sign_and_send and /estimate on every cluster: decode, size, fee payer, allowlist, nonce lease, fee payer guard, pricing.
+// Returns { decodedTx, feePayer, cost, nonceAccount, nonceLease }, or { status, rejection } with the error response body.
+async function inspectTransaction(project, projectId, transaction, route, cluster = CLUSTERS.mainnet) {
+  let decodedTx;
+  try {
+    decodedTx = decodeTransaction(transaction);
+  } catch (err) {
+    return { status: 400, rejection: { error: 'Invalid transaction: ' + err.message, code: 'INVALID_TRANSACTION' } };
+  }
+  
+  if (decodedTx.size > MAX_TRANSACTION_SIZE) {
+    return {
+      status: 400,
+      rejection: { error: `Transaction is ${decodedTx.size} bytes (max ${MAX_TRANSACTION_SIZE})`, code: 'INVALID_TRANSACTION' }
+    };
+  }
+  
+  // Any key of the cluster's fee payer pool that isn't retired
+  const feePayer = decodedTx.feePayer;
+  if (!findFeePayer(cluster.name, feePayer)) {
+    return {
+      status: 400,
+      rejection: {
+        error: `Transaction fee payer ${feePayer} is not a ${cluster.name} fee payer; use the one GET ${clusterPath(cluster, '/info')} returns`,
+        code: 'INVALID_TRANSACTION'
+      }
+    };
+  }
+  
+  const allowedPrograms = getAllowedPrograms(project);
+  const blockedPrograms = getInvokedPrograms(decodedTx).filter(p => !allowedPrograms.includes(p));
+  
+  if (blockedPrograms.length > 0) {
+    console.log(`[ALLOWLIST] Rejected tx from ${projectId}: ${blockedPrograms.join(', ')}`);
+    return {
+      status: 403,
+      rejection: {
+        error: 'Program not allowed for this project',
+        code: 'PROGRAM_NOT_ALLOWED',
+        programs: blockedPrograms,
+        manage: 'POST /projects/' + projectId + '/programs'
+      }
+    };
+  }
+  
+  let accountKeys;
+  try {
+    accountKeys = await resolveAccountKeys(decodedTx, cluster.rpcUrl);
+  } catch (err) {
+    return { status: 400, rejection: { error: 'Invalid transaction: ' + err.message, code: 'INVALID_TRANSACTION' } };
+  }
+  
+  // On a durable nonce the fee payer is the nonce authority: only of a nonce leased to this project
+  // (on a cluster without nonce accounts, the guard below refuses it)
+  const advance = getNonceAdvance(decodedTx, accountKeys);
+  let nonceLease = null;
+  if (cluster.nonceAccounts.length > 0 && advance?.authority === cluster.feePayer) {
+    const leased = checkNonceLease(store, { projectId, cluster: cluster.name, nonceAccount: advance.nonceAccount, recentBlockhash: decodedTx.recentBlockhash });
+    if (leased.error) {
+      return { status: 409, rejection: { error: leased.error, code: leased.code, lease: 'POST ' + clusterPath(cluster, '/nonce/lease') } };
+    }
+    nonceLease = leased.lease;
+  }
+  
+  // The fee payer may pay fees and fund new accounts, nothing else
+  const misuse = findFeePayerMisuse(decodedTx, accountKeys, feePayer, { nonceAccount: nonceLease?.nonceAccount });
+  if (misuse.length > 0) {
+    console.log(`[SECURITY] Blocked tx from ${projectId} on ${route}: ${misuse.map(m => m.message).join('; ')}`);
+    const event = recordSecurityEvent(store, projectId, {
+      type: 'fee_payer_misuse',
+      route,
+      user: getUserSigner(decodedTx, feePayer),
+      misuse
+    });
+    emitEvent(store, projectId, 'security.blocked', { eventId: event.id, type: event.type, route, misuse });
+    return {
+      status: 403,
+      rejection: {
+        error: 'Transaction uses the fee payer for more than fees: ' + misuse[0].message,
+        code: 'FEE_PAYER_MISUSE',
+        misuse
+      }
+    };
+  }
+  
+  // Price the transaction: base fee + priority fee + rent the fee payer funds, plus margin
+  try {
+    const cost = computeTransactionCost(decodedTx, { accountKeys, feePayer, marginBps: FEE_MARGIN_BPS });
+    return { decodedTx, feePayer, cost, nonceAccount: advance?.nonceAccount ?? null, nonceLease };
+  } catch (err) {
+    return { status: 400, rejection: { error: 'Invalid transaction: ' + err.message, code: 'INVALID_TRANSACTION' } };
+  }
+}
+
+// Put a transaction nobody has signed yet on a fresh blockhash of its cluster (refreshBlockhash: true).
+// Returns { transaction }, or { status, rejection } with the error response body.
+async function refreshBlockhash(transaction, cluster = CLUSTERS.mainnet) {
+  let decodedTx;
+  try {
+    decodedTx = decodeTransaction(transaction);
+  } catch (err) {
+    return { status: 400, rejection: { error: 'Invalid transaction: ' + err.message, code: 'INVALID_TRANSACTION' } };
+  }
+  
+  if (hasSignatures(decodedTx)) {
+    return {
+      status: 400,
+      rejection: { error: 'refreshBlockhash needs a transaction nobody has signed yet: a new blockhash voids signatures', code: 'INVALID_TRANSACTION' }
+    };
+  }
+  if (getNonceAdvance(decodedTx)) {
+    return {
+      status: 400,
+      rejection: { error: 'Transaction uses a durable nonce, which is its blockhash', code: 'INVALID_TRANSACTION' }
+    };
+  }
+  
+  try {
+    const latest = await rpcRequest(cluster.rpcUrl, 'getLatestBlockhash', [{ commitment: 'confirmed' }]);
+    return { transaction: encodeTransaction({ ...decodedTx, recentBlockhash: latest.value.blockhash }) };
+  } catch (err) {
+    return { status: 502, rejection: { error: 'Could not fetch a recent blockhash: ' + err.message } };
+  }
+}
+
+// Quote a transaction without debiting or broadcasting anything (free clusters: check it against the quota)
+app.post('/estimate', txLimiter, async (req, res) => {
+  const auth = authenticate(req, res, 'submit');
+  if (!auth) return;
+  
+  const { projectId, project } = auth;
+  const cluster = req.cluster;
+  const free = cluster.pricing.free;
+  const isPayg = isPaygProject(project);
+  
+  if (!isClusterEnabled(cluster)) {
+    return res.status(503).json(clusterUnavailable(cluster));
+  }
+  
+  const payWith = free ? { assets: [] } : resolvePayWith(project, req.body.payWith, cluster);
+  if (payWith.error) {
+    return res.status(400).json({ error: payWith.error });
+  }
+  const available = Object.fromEntries(payWith.assets.map(asset => [asset, getAvailableBalance(store, projectId, asset, cluster.name)]));
+  
+  const estimate = {
+    projectId,
+    network: cluster.name,
+    tier: free ? 'free' : isPayg ? 'pay-as-you-go' : 'sponsored',
+    sponsorable: false,
+    cost: null,
+    quote: null,
+    payWith: null,
+    balance: free ? null : available,
+    remaining: null,
+    ...(free && { quota: getFreeQuota(store, cluster, projectId) }),
+    simulation: null,
+    rejection: null
+  };
+  
+  if (!project.active) {
+    estimate.rejection = { error: 'Project inactive' };
+    return res.json(estimate);
+  }
+  
+  const inspected = await inspectTransaction(project, projectId, req.body.transaction, clusterPath(cluster, '/estimate'), cluster);
+  if (inspected.rejection) {
+    estimate.rejection = inspected.rejection;
+    return res.json(estimate);
+  }
+  
+  const { decodedTx, feePayer, cost } = inspected;
+  
+  // Daily caps count what's already reserved, so this is what /sign_and_send would say right now
+  const violation = checkPolicy(store, { projectId, cluster: cluster.name, policy: project.policy, cost, user: getUserSigner(decodedTx, feePayer), free });
+  if (violation) {
+    estimate.cost = cost;
+    estimate.rejection = policyRejection(projectId, violation);
+    return res.json(estimate);
   }
   
+  if (free) {
+    estimate.cost = cost;
+    if (estimate.quota.used >= estimate.quota.limit) {
+      estimate.rejection = freeQuotaExceeded(cluster);
+      return res.json(estimate);
+    }
+  } else {
+    let quote;
+    try {
+      quote = Object.fromEntries(payWith.assets.map(asset => [asset, lamportsToAsset(cost.totalLamports, asset)]));
+    } catch (err) {
+      return priceUnavailable(res, err);
+    }
+    estimate.cost = cost;
+    estimate.quote = quote;
+    
+    // Same order /sign_and_send charges in: the first asset that covers the cost
+    const asset = payWith.assets.find(a => available[a] >= quote[a]);
+    if (asset) {
+      estimate.payWith = asset;
+      estimate.remaining = { asset, amount: available[asset] - quote[asset] };
+    } else {
+      estimate.rejection = {
+        error: isPayg ? 'Insufficient balance' : 'Project balance empty',
+        code: 'INSUFFICIENT_BALANCE',
+        required: quote
+      };
+      return res.json(estimate);
+    }
+  }
+  
+  // The transaction is usually not signed yet, so skip signature checks and use a fresh blockhash
+  const preflight = typeof req.body.preflight === 'boolean' ? req.body.preflight : PREFLIGHT;
+  if (preflight) {
+    try {
+      estimate.simulation = await simulateTransaction(cluster.rpcUrl, req.body.transaction, decodedTx, {
+        sigVerify: false,
+        replaceRecentBlockhash: true
+      });
+    } catch (err) {
+      return res.status(502).json({ error: 'Simulation failed: ' + err.message });
+    }
+    
+    if (!estimate.simulation.ok) {
+      estimate.rejection = {
+        error: 'Transaction simulation failed: ' + estimate.simulation.error.message,
+        code: 'INVALID_TRANSACTION'
+      };
+      return res.json(estimate);
+    }
+  }
+  
+  estimate.sponsorable = true;
+  res.json(estimate);
+});
+
+// Signature of the pool key the transaction names as fee payer (fee-payers.mjs, signers.mjs).
+// Returns { signed }, or { status, body } if there is no such key or its signer refused. Throws if the signer is unreachable.
+async function signAsFeePayer(cluster, transaction, feePayer) {
+  const key = findFeePayer(cluster.name, feePayer);
+  if (!key) {
+    return { status: 400, body: { error: `Fee payer ${feePayer} was retired; build the transaction on a fee payer from GET ${clusterPath(cluster, '/info')}`, code: 'INVALID_TRANSACTION' } };
+  }
+  
+  try {
+    return { signed: await key.signer.signTransaction(transaction) };
+  } catch (err) {
+    if (!err.rejected) throw err;
+    return { status: 400, body: { error: err.message, code: 'INVALID_TRANSACTION' } };
+  }
+}
+
+// Sign with the transaction's fee payer, simulate unless preflight is off, and send.
+// Returns { signature }, or { status, body } with the error response (a 502 if the RPC is unreachable).
+// Throws if the signer is unreachable.
+async function signAndBroadcast(cluster, transaction, decodedTx, { projectId, preflight }) {
+  const signing = await signAsFeePayer(cluster, transaction, decodedTx.feePayer);
+  if (!signing.signed) return signing;
+  
+  // Preflight: a transaction that would fail on-chain still costs the fee payer, so reject it uncharged
+  if (preflight) {
+    let simulation;
+    try {
+      simulation = await simulateTransaction(cluster.rpcUrl, signing.signed, decodedTx);
+    } catch (err) {
+      console.error('[PREFLIGHT] Simulation error:', err.message);
+      return { status: 502, body: { error: 'Simulation failed: ' + err.message } };
+    }
+    
+    if (!simulation.ok) {
+      console.log(`[PREFLIGHT] Rejected ${cluster.name} tx from ${projectId}: ${simulation.error.message}`);
+      return {
+        status: 400,
+        body: {
+          error: 'Transaction simulation failed: ' + simulation.error.message,
+          code: 'INVALID_TRANSACTION',
+          simulation
+        }
+      };
+    }
+  }
+  
+  // Send to Solana
+  let sendResult;
+  try {
+    const sendRes = await fetch(cluster.rpcUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: Date.now(),
+        method: 'sendTransaction',
+        params: [signing.signed, { encoding: 'base64', skipPreflight: true }]
+      })
+    });
+    sendResult = await sendRes.json();
+  } catch (err) {
+    console.error(`[RPC] sendTransaction on ${cluster.name} failed:`, err.message);
+    return { status: 502, body: { error: 'Failed to broadcast: ' + err.message } };
+  }
+  
+  if (sendResult.error || !sendResult.result) {
+    return { status: 400, body: { error: sendResult.error?.message || 'Send failed', code: 'INVALID_TRANSACTION' } };
+  }
+  return { signature: sendResult.result };
+}
+
+// Sign as the cluster's fee payer and send, metered from the project balance (free clusters: within the quota)
+app.post('/sign_and_send', txLimiter, freeClusterLimiter, ...paidRoute('submit'), async (req, res) => {
+  const { projectId } = req.auth;
+  const cluster = req.cluster;
+  // A payment sent with the request has been credited by now
+  const project = req.x402Payment ? store.getProject(projectId) : req.auth.project;
+  
+  if (!isClusterEnabled(cluster)) {
+    return res.status(503).json(clusterUnavailable(cluster));
+  }
   if (!project.active) {
     return res.status(403).json({ error: 'Project inactive' });
   }
   
-  // Check balance based on tier
-  const costLamports = COST_PER_TX * 1e9;
-  const costUsdc = Math.ceil(COST_PER_TX * 100 * 1e6); // ~0.0005 USDC in micro-units
+  // A transaction built a while ago and not signed yet can be moved to a fresh blockhash
+  let transaction = req.body.transaction;
+  if (req.body.refreshBlockhash === true) {
+    const refreshed = await refreshBlockhash(transaction, cluster);
+    if (refreshed.rejection) {
+      return res.status(refreshed.status).json(refreshed.rejection);
+    }
+    transaction = refreshed.transaction;
+  }
+  
+  // Decode, size-check, allowlist and price the transaction before sponsoring
+  const inspected = await inspectTransaction(project, projectId, transaction, clusterPath(cluster, '/sign_and_send'), cluster);
+  if (inspected.rejection) {
+    return res.status(inspected.status).json(cluster.name === DEFAULT_CLUSTER ? inspected.rejection : {
+      ...inspected.rejection,
+      network: cluster.name,
+      hint: 'Make sure your transaction uses a fee payer from GET ' + clusterPath(cluster, '/info')
+    });
+  }
+  const preflight = typeof req.body.preflight === 'boolean' ? req.body.preflight : PREFLIGHT;
+  
+  if (cluster.pricing.free) {
+    return sendFree(req, res, cluster, project, transaction, inspected, preflight);
+  }
+  
+  const { decodedTx, feePayer, cost, nonceAccount, nonceLease } = inspected;
+  
+  const payWith = resolvePayWith(project, req.body.payWith, cluster);
+  if (payWith.error) {
+    return res.status(400).json({ error: payWith.error });
+  }
+  
+  // Spending policy: reserve this tx's share of the daily caps (committed on broadcast, like the hold)
+  const user = getUserSigner(decodedTx, feePayer);
+  const spend = reserveSpend(store, { projectId, cluster: cluster.name, policy: project.policy, cost, user });
+  if (spend.violation) {
+    console.log(`[POLICY] Rejected tx from ${projectId}: ${spend.violation.policy} (${spend.violation.message})`);
+    return res.status(403).json(policyRejection(projectId, spend.violation));
+  }
+  const { reservation } = spend;
+  
+  // Reserve the cost up front; the hold is settled on broadcast or released on failure
+  const costLamports = cost.totalLamports;
+  const isPayg = isPaygProject(project);
+  let hold = null;
   
-  if (project.tier === 'payg' || project.tier === 'free') {
-    // Pay-as-you-go: check SOL first, then USDC
-    const hasSol = (project.balanceLamports || 0) >= costLamports;
-    const hasUsdc = (project.balanceUsdcLamports || 0) >= costUsdc;
+  if (isPayg) {
+    // Pay-as-you-go: the first token in payWith order that covers the cost
+    let required;
+    try {
+      required = Object.fromEntries(payWith.assets.map(asset => [asset, lamportsToAsset(costLamports, asset)]));
+    } catch (err) {
+      releaseSpend(reservation);
+      return priceUnavailable(res, err);
+    }
+    for (const asset of payWith.assets) {
+      hold = placeHold(store, { projectId, cluster: cluster.name, asset, amount: required[asset] });
+      if (hold) break;
+    }
     
-    if (!hasSol && !hasUsdc) {
+    if (!hold) {
+      releaseSpend(reservation);
       // Return x402-compatible 402 response
-      const x402Response = build402Response(100);
-      res.set(x402Response.headers);
-      return res.status(402).json({ 
-        ...x402Response.body,
+      const accepts = clusterAssets(cluster.name);
+      return send402(res, { tier: 'payg', cluster: cluster.name }, {
         tier: 'pay-as-you-go',
-        balance: {
-          sol: (project.balanceLamports || 0) / 1e9,
-          usdc: (project.balanceUsdcLamports || 0) / 1e6
-        },
-        required: {
-          sol: COST_PER_TX,
-          usdc: COST_PER_TX * 100
-        },
+        network: cluster.name,
+        balance: displayAmounts(Object.fromEntries(payWith.assets.map(asset => [asset, getBalance(project, asset, cluster.name)]))),
+        inFlight: displayAmounts(Object.fromEntries(payWith.assets.map(asset => [asset, getHeldAmount(projectId, asset, cluster.name)]))),
+        required: displayAmounts(required),
+        payWith: payWith.assets,
+        cost,
         topUp: {
-          address: MY_WALLET,
+          address: cluster.wallet,
           memo: projectId,
-          accepts: ['SOL', 'USDC'],
-          instruction: 'Send SOL or USDC with memo to fund transactions'
+          accepts,
+          instruction: `Send ${accepts.join(', ')} with memo to fund transactions`
         }
       });
     }
-    // Store which currency will be used
-    project._payWith = hasSol ? 'SOL' : 'USDC';
   } else {
-    // Gasless tier: dev prepaid, just check lamports balance
-    if ((project.balanceLamports || 0) < costLamports) {
-      // Sponsored tier - admin must fund, not per-tx payment
-      return res.status(402).json({ 
+    // Gasless tier: dev prepaid, just lamports
+    hold = placeHold(store, { projectId, cluster: cluster.name, asset: 'SOL', amount: costLamports });
+    
+    if (!hold) {
+      releaseSpend(reservation);
+      // Sponsored tier - the prepaid balance is topped up, not paid per tx (x402 here tops it up too)
+      return send402(res, { tier: 'sponsored', cluster: cluster.name }, {
         error: 'Project balance empty',
-        message: 'Admin must fund the project balance',
+        message: 'Fund the project balance: pay the x402 offer, POST ' + clusterPath(cluster, '/fund') + ', or deposit with memo',
         tier: 'sponsored',
-        balanceLamports: project.balanceLamports || 0,
+        network: cluster.name,
+        balanceLamports: getBalance(project, 'SOL', cluster.name),
+        inFlightLamports: getHeldAmount(projectId, 'SOL', cluster.name),
         required: costLamports,
-        fundEndpoint: 'POST /fund with X-Project-ID header',
-        manualFund: 'Send SOL or USDC to ' + MY_WALLET + ' with memo: ' + projectId
+        cost,
+        fundEndpoint: 'POST ' + clusterPath(cluster, '/fund') + ' with x-api-key header',
+        manualFund: 'Send SOL or USDC to ' + cluster.wallet + ' with memo: ' + projectId
       });
     }
   }
   
+  // One submission per leased nonce at a time
+  if (nonceLease && !claimNonceLease(nonceLease)) {
+    releaseHold(hold);
+    releaseSpend(reservation);
+    return res.status(409).json({ error: 'A transaction on this nonce is already being submitted', code: 'NONCE_LEASE_USED' });
+  }
+  
   try {
-    // Forward to Kora (JSON-RPC format) - Kora signs but doesn't send
-    const koraRes = await fetch(KORA_URL, {
-      method: 'POST',
-      headers: { 
-        'Content-Type': 'application/json',
-        'x-api-key': KORA_API_KEY
-      },
-      body: JSON.stringify({
-        jsonrpc: '2.0',
-        id: Date.now(),
-        method: 'signAndSendTransaction',
-        params: { transaction: req.body.transaction }
-      })
-    });
-    
-    const koraText = await koraRes.text();
-    if (!koraText) {
-      return res.status(502).json({ error: 'Empty response from Kora' });
-    }
-    
-    let rpcResult;
+    let sent;
     try {
-      rpcResult = JSON.parse(koraText);
-    } catch (e) {
-      return res.status(502).json({ error: 'Invalid JSON from Kora: ' + koraText.substring(0, 100) });
+      sent = await signAndBroadcast(cluster, transaction, decodedTx, { projectId, preflight });
+    } catch (err) {
+      console.error(`Fee payer error on ${cluster.name}:`, err);
+      sent = { status: 502, body: { error: 'Failed to reach fee payer service' } };
     }
-    
-    if (rpcResult.error) {
-      return res.status(400).json({ error: rpcResult.error.message || 'Kora error' });
+    if (!sent.signature) {
+      return res.status(sent.status).json(sent.body);
     }
     
-    const koraResult = rpcResult.result;
+    const result = { signature: sent.signature };
+    const asset = hold.asset;
     
-    // Kora returns signed_transaction, we need to send it ourselves
-    if (!koraResult.signed_transaction) {
-      return res.status(500).json({ error: 'No signed transaction from Kora' });
+    // Settle the hold and record the tx in one transaction
+    let updated;
+    try {
+      updated = store.transaction(() => {
+        const entry = settleHold(store, hold, {
+          source: 'sponsored_tx',
+          ref: result.signature,
+          memo: describeCost(cost)
+        });
+        commitSpend(store, reservation);
+        if (nonceLease) useNonceLease(store, nonceLease, result.signature);
+        store.saveTransaction({
+          signature: result.signature,
+          projectId,
+          network: cluster.name,
+          feePayer,
+          user,
+          status: 'sent',
+          createdAt: Date.now(),
+          recentBlockhash: decodedTx.recentBlockhash,
+          nonceAccount,
+          cost,
+          charged: { asset, amount: hold.amount },
+          ledgerEntryId: entry.id
+        });
+        return store.updateProject(projectId, (p) => {
+          p.totalTxs = (p.totalTxs || 0) + 1;
+          p.lastTx = { signature: result.signature, at: Date.now() };
+        });
+      });
+    } catch (err) {
+      // On-chain already: the caller must not resubmit, and the operator must see it was not charged
+      console.error(`[LEDGER] ${result.signature} on ${cluster.name} was sent but not settled for ${projectId}:`, err);
+      return res.status(500).json({
+        error: 'Transaction was sent but recording it failed',
+        code: 'SETTLEMENT_FAILED',
+        signature: result.signature,
+        network: cluster.name
+      });
     }
     
-    // Send to Solana
-    const rpcUrl = process.env.RPC_URL || 'https://api.mainnet-beta.solana.com';
-    const sendRes = await fetch(rpcUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        jsonrpc: '2.0',
-        id: Date.now(),
-        method: 'sendTransaction',
-        params: [koraResult.signed_transaction, { encoding: 'base64', skipPreflight: true }]
-      })
-    });
-    
-    const sendResult = await sendRes.json();
+    recordFeePayerSpend(cluster.name, feePayer, cost.networkCost);
     
-    if (sendResult.error) {
-      return res.status(400).json({ error: sendResult.error.message || 'Send failed' });
+    const balanceAfter = getBalance(updated, asset, cluster.name);
+    if (cluster.name === DEFAULT_CLUSTER) {
+      checkLowBalance(store, projectId, asset, balanceAfter + hold.amount, balanceAfter);
     }
     
-    const result = { signature: sendResult.result };
+    result.network = cluster.name;
+    result.feePayer = feePayer;
+    result.cost = { ...cost, charged: { asset, amount: hold.amount } };
+    result.status = 'sent';
+    result.statusUrl = '/tx/' + result.signature;
+    if (cluster.name !== DEFAULT_CLUSTER) result.explorer = explorerUrl(cluster, result.signature);
+    if (transaction !== req.body.transaction) result.recentBlockhash = decodedTx.recentBlockhash;
     
-    if (result.signature) {
-      const costLamports = COST_PER_TX * 1e9;
-      const costUsdc = Math.ceil(COST_PER_TX * 100 * 1e6);
-      
-      project.totalTxs += 1;
-      project.lastTx = { signature: result.signature, at: Date.now() };
-      
-      if (project.tier === 'payg' || project.tier === 'free') {
-        // Pay-as-you-go: deduct from SOL or USDC based on what was checked
-        if (project._payWith === 'USDC') {
-          project.balanceUsdcLamports = (project.balanceUsdcLamports || 0) - costUsdc;
-          result.paidWith = 'USDC';
-          result.remainingUsdc = project.balanceUsdcLamports / 1e6;
-        } else {
-          project.balanceLamports = (project.balanceLamports || 0) - costLamports;
-          result.paidWith = 'SOL';
-          result.remainingSol = project.balanceLamports / 1e9;
-        }
-        result.tier = 'pay-as-you-go';
-        delete project._payWith;
-      } else {
-        // Gasless tier: deduct from lamports
-        project.balanceLamports = (project.balanceLamports || 0) - costLamports;
-        result.tier = 'gasless';
-        result.remainingBalance = project.balanceLamports;
-        result.estimatedTxsRemaining = Math.floor(project.balanceLamports / costLamports);
+    if (isPayg) {
+      result.paidWith = asset;
+      result.remaining = { asset, amount: toDisplayAmount(asset, balanceAfter) };
+      if (asset === 'USDC') {
+        result.remainingUsdc = balanceAfter / 1e6;
+      } else if (asset === 'SOL') {
+        result.remainingSol = balanceAfter / 1e9;
       }
-      
-      saveData(data);
+      result.tier = 'pay-as-you-go';
+    } else {
+      // Gasless tier: deducted from lamports
+      result.tier = 'gasless';
+      result.remainingBalance = balanceAfter;
+      result.estimatedTxsRemaining = Math.floor(balanceAfter / REFERENCE_TX_LAMPORTS);
     }
     
-    res.status(koraRes.status).json(result);
-  } catch (err) {
-    console.error('Kora proxy error:', err);
-    res.status(502).json({ error: 'Failed to reach fee payer service' });
+    res.json(result);
+  } finally {
+    // Not sent, or sent but not settled: nothing was charged
+    releaseHold(hold);
+    releaseSpend(reservation);
+    releaseNonceClaim(nonceLease);
   }
 });
 
@@ -905,28 +2165,31 @@ app.get('/admin/projects', async (req, res) => {
   }
   
   // Calculate stats
-  const projects = Object.entries(data.projects).map(([id, p]) => ({ id, ...p }));
+  const projects = store.listProjects();
   const totalProjects = projects.length;
   const activeProjects = projects.filter(p => p.active).length;
   const totalTxs = projects.reduce((sum, p) => sum + (p.totalTxs || 0), 0);
-  const totalBalanceLamports = projects.reduce((sum, p) => sum + (p.balanceLamports || 0), 0);
   
-  // Get Kora fee payer balance
-  let koraBalance = 0;
-  try {
-    const balRes = await fetch(RPC_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        jsonrpc: '2.0', id: 1,
-        method: 'getBalance',
-        params: ['3web11FBh1KuejjJTv8NjuaXGh6qgyXBFcx8khyJ8Wpv']
-      })
-    });
-    const balData = await balRes.json();
-    koraBalance = balData.result?.value || 0;
-  } catch (e) {
-    console.error('Failed to get Kora balance:', e.message);
+  // What projects are owed, per metered cluster and asset (the ledger's view, as the treasury uses it);
+  // totalBalanceLamports is mainnet's in lamports, null while tokens can't be priced
+  const liabilities = Object.fromEntries(Object.values(CLUSTERS)
+    .filter(cluster => !cluster.pricing.free)
+    .map(cluster => [cluster.name, getLiabilities(store, cluster.name)]));
+  const mainnetOwed = Object.entries(liabilities.mainnet);
+  const totalBalanceLamports = mainnetOwed.every(([asset]) => asset === 'SOL') || isPriceAvailable()
+    ? mainnetOwed.reduce((sum, [asset, amount]) => sum + assetToLamports(amount, asset), 0)
+    : null;
+  
+  // Fee payer balance on each cluster we sponsor on (koraBalance: mainnet's)
+  const feePayers = {};
+  for (const cluster of enabledClusters()) {
+    let lamports = null;
+    try {
+      lamports = (await rpcRequest(cluster.rpcUrl, 'getBalance', [cluster.feePayer])).value;
+    } catch (e) {
+      console.error(`Failed to get ${cluster.name} fee payer balance:`, e.message);
+    }
+    feePayers[cluster.name] = { address: cluster.feePayer, lamports, pool: listFeePayers(cluster.name).keys.map(key => describeFeePayer(cluster.name, key)) };
   }
   
   res.json({ 
@@ -934,105 +2197,358 @@ app.get('/admin/projects', async (req, res) => {
     activeProjects,
     totalTxs,
     totalBalanceLamports,
-    koraBalance,
+    liabilities,
+    koraBalance: feePayers.mainnet?.lamports || 0,
+    feePayers,
     projects: projects.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
   });
 });
 
-// ============ DEVNET SUPPORT ============
+// ============ FEE PAYER POOLS ============
+
+// Each enabled cluster signs through a pool of fee payer keys (fee-payers.mjs): its configured
+// signer plus keypair files added here. GET /info hands keys out; drained keys leave the rotation.
+const FEE_PAYER_BALANCE_INTERVAL_MS = parseInt(process.env.FEE_PAYER_BALANCE_INTERVAL_MS || '30000', 10);
+for (const cluster of enabledClusters()) {
+  loadFeePayerPool(store, cluster, {
+    strategy: process.env.FEE_PAYER_SELECTION || 'lru',
+    floorLamports: parseInt(process.env.FEE_PAYER_FLOOR_LAMPORTS || String(DEFAULT_FLOOR_LAMPORTS), 10)
+  });
+  setInterval(() => refreshFeePayerBalances(cluster), FEE_PAYER_BALANCE_INTERVAL_MS);
+  refreshFeePayerBalances(cluster); // Run immediately on start
+}
+
+// The request's cluster's pool (admin)
+app.get('/admin/fee-payers', (req, res) => {
+  const adminKey = req.headers['x-admin-key'];
+  const validKey = getAdminKey();
+  
+  if (!validKey) {
+    return res.status(500).json({ error: 'Admin key not configured' });
+  }
+  
+  if (!adminKey || adminKey !== validKey) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  
+  const cluster = req.cluster;
+  if (!isClusterEnabled(cluster)) {
+    return res.status(503).json(clusterUnavailable(cluster));
+  }
+  
+  const { selection, floorLamports, keys } = listFeePayers(cluster.name);
+  res.json({ network: cluster.name, selection, floorLamports, feePayers: keys.map(key => describeFeePayer(cluster.name, key)) });
+});
+
+// Add a keypair file to the pool ({ keyPath }), or put a retired key back ({ address })
+app.post('/admin/fee-payers', async (req, res) => {
+  const { adminKey } = req.body;
+  const validKey = getAdminKey();
+  
+  if (!validKey) {
+    return res.status(500).json({ error: 'Admin key not configured' });
+  }
+  
+  if (!adminKey || adminKey !== validKey) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  
+  const cluster = req.cluster;
+  if (!isClusterEnabled(cluster)) {
+    return res.status(503).json(clusterUnavailable(cluster));
+  }
+  
+  const { keyPath, address } = req.body;
+  if (typeof (keyPath ?? address) !== 'string') {
+    return res.status(400).json({ error: 'keyPath (a keypair file on this server) or address required' });
+  }
+  
+  const added = addFeePayer(store, cluster, { keyPath, address });
+  if (added.error) {
+    return res.status(400).json({ error: added.error });
+  }
+  
+  await refreshFeePayerBalances(cluster);
+  console.log(`[FEE PAYER] ${added.reinstated ? 'Put back' : 'Added'} ${added.key.address} ${added.reinstated ? 'into' : 'to'} the ${cluster.name} pool`);
+  res.json({ success: true, network: cluster.name, feePayer: describeFeePayer(cluster.name, added.key) });
+});
+
+// Take a key out of the pool; transactions built on it are refused from now on
+app.post('/admin/fee-payers/:address/retire', (req, res) => {
+  const { adminKey } = req.body;
+  const validKey = getAdminKey();
+  
+  if (!validKey) {
+    return res.status(500).json({ error: 'Admin key not configured' });
+  }
+  
+  if (!adminKey || adminKey !== validKey) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  
+  const cluster = req.cluster;
+  if (!isClusterEnabled(cluster)) {
+    return res.status(503).json(clusterUnavailable(cluster));
+  }
+  
+  const retired = retireFeePayer(store, cluster.name, req.params.address);
+  if (retired.error) {
+    return res.status(retired.error === 'Fee payer not found' ? 404 : 409).json({ error: retired.error });
+  }
+  
+  console.log(`[FEE PAYER] Retired ${retired.key.address} from the ${cluster.name} pool`);
+  res.json({ success: true, network: cluster.name, feePayer: describeFeePayer(cluster.name, retired.key) });
+});
+
+// ============ TREASURY ============
+
+// Clusters with their deposit wallet's key configured top up their fee payers from it (treasury.mjs),
+// swapping accumulated USDC for SOL through TREASURY_SWAP when the wallet's SOL runs short
+const TREASURY_INTERVAL_MS = parseInt(process.env.TREASURY_INTERVAL_MS || '60000', 10);
+const optionalInt = (name) => process.env[name] ? parseInt(process.env[name], 10) : undefined;
+configureTreasury({
+  lowWaterLamports: optionalInt('TREASURY_LOW_WATER_LAMPORTS'),
+  targetLamports: optionalInt('TREASURY_TARGET_LAMPORTS'),
+  reserveLamports: optionalInt('TREASURY_RESERVE_LAMPORTS'),
+  slippageBps: optionalInt('TREASURY_SWAP_SLIPPAGE_BPS'),
+  swap: process.env.TREASURY_SWAP || 'none',
+  swapUrl: process.env.TREASURY_SWAP_URL
+});
+
+async function runTreasuryPass(cluster) {
+  try {
+    return await runTreasury(store, cluster);
+  } catch (err) {
+    console.error(`[TREASURY] ${cluster.name} pass failed:`, err.message);
+    return [];
+  }
+}
+
+for (const cluster of enabledClusters().filter(c => c.treasuryKey)) {
+  setInterval(() => runTreasuryPass(cluster), TREASURY_INTERVAL_MS);
+}
+
+function describeMovement(movement) {
+  return { ...movement, at: new Date(movement.at).toISOString() };
+}
+
+// The request's cluster's treasury and its movements, newest first (admin)
+app.get('/admin/treasury', async (req, res) => {
+  const adminKey = req.headers['x-admin-key'];
+  const validKey = getAdminKey();
+  
+  if (!validKey) {
+    return res.status(500).json({ error: 'Admin key not configured' });
+  }
+  
+  if (!adminKey || adminKey !== validKey) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  
+  const before = req.query.before ? Date.parse(req.query.before) : undefined;
+  if (Number.isNaN(before)) {
+    return res.status(400).json({ error: 'before must be an ISO timestamp' });
+  }
+  
+  const cluster = req.cluster;
+  if (!isClusterEnabled(cluster)) {
+    return res.status(503).json(clusterUnavailable(cluster));
+  }
+  
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  const movements = store.listTreasuryMovements(cluster.name, { limit, before });
+  const nextCursor = movements.length === limit ? new Date(movements[movements.length - 1].at).toISOString() : null;
+  
+  res.json({
+    ...await describeTreasury(store, cluster),
+    movements: movements.map(describeMovement),
+    nextCursor
+  });
+});
+
+// Run a top-up pass now instead of waiting for the next one
+app.post('/admin/treasury/run', async (req, res) => {
+  const { adminKey } = req.body;
+  const validKey = getAdminKey();
+  
+  if (!validKey) {
+    return res.status(500).json({ error: 'Admin key not configured' });
+  }
+  
+  if (!adminKey || adminKey !== validKey) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  
+  const cluster = req.cluster;
+  if (!isClusterEnabled(cluster)) {
+    return res.status(503).json(clusterUnavailable(cluster));
+  }
+  if (!cluster.treasuryKey) {
+    return res.status(409).json({ error: `No ${cluster.name} treasury key configured`, code: 'TREASURY_DISABLED' });
+  }
+  
+  await refreshFeePayerBalances(cluster);
+  const movements = await runTreasuryPass(cluster);
+  res.json({ success: true, network: cluster.name, movements: movements.map(describeMovement) });
+});
+
+// ============ FREE CLUSTERS ============
+
+// Devnet and testnet run the metered pipeline (validation, fee payer guard, preflight,
+// confirmation tracking) with their own fee payer keypair. They are free, within quotas:
+// FREE_CLUSTER_IP_HOURLY_LIMIT requests per IP, and pricing.dailyTxLimit transactions per project
+// (the free quota, policies.mjs).
 
-const DEVNET_RPC = 'https://api.devnet.solana.com';
-const DEVNET_FEE_PAYER = 'E49sMiLoroWEGVK9w7LjmWN3rbPpN9YL6hzt1iuvRzRG';
-const DEVNET_FEE_PAYER_KEY_PATH = '/root/.openclaw/workspaces/macmini/kora/devnet-keys/fee-payer.json';
+// 429 body once a project's daily quota is used up
+function freeQuotaExceeded(cluster) {
+  return {
+    error: `${cluster.name} quota of ${cluster.pricing.dailyTxLimit} transactions per day used up`,
+    code: 'RATE_LIMITED',
+    network: cluster.name
+  };
+}
 
-// Devnet sign and send - FREE for testing
-app.post('/devnet/sign_and_send', async (req, res) => {
+// The free half of /sign_and_send: nothing is charged, the quota is counted instead.
+// The spending policy applies as on mainnet, and rent is never sponsored.
+async function sendFree(req, res, cluster, project, transaction, inspected, preflight) {
+  const { projectId } = req.auth;
+  const { decodedTx, feePayer, cost, nonceAccount, nonceLease } = inspected;
+  const tag = '[' + cluster.name.toUpperCase() + ']';
+  
+  const user = getUserSigner(decodedTx, feePayer);
+  const spend = reserveSpend(store, { projectId, cluster: cluster.name, policy: project.policy, cost, user, free: true });
+  if (spend.violation) {
+    console.log(`[POLICY] Rejected ${cluster.name} tx from ${projectId}: ${spend.violation.policy} (${spend.violation.message})`);
+    return res.status(403).json({ ...policyRejection(projectId, spend.violation), network: cluster.name });
+  }
+  const { reservation } = spend;
+  
+  const takenAt = Date.now();
+  const quota = takeFreeQuota(store, cluster, projectId);
+  if (!quota) {
+    releaseSpend(reservation);
+    return res.status(429).json(freeQuotaExceeded(cluster));
+  }
+  if (nonceLease && !claimNonceLease(nonceLease)) {
+    releaseSpend(reservation);
+    returnFreeQuota(store, { projectId, cluster: cluster.name, at: takenAt });
+    return res.status(409).json({ error: 'A transaction on this nonce is already being submitted', code: 'NONCE_LEASE_USED' });
+  }
+  
   try {
-    const { transaction } = req.body;
-    
-    if (!transaction) {
-      return res.status(400).json({ error: 'transaction required (base64)' });
+    let sent;
+    try {
+      sent = await signAndBroadcast(cluster, transaction, decodedTx, { projectId, preflight });
+    } catch (err) {
+      console.error(`${tag} Send error:`, err.message);
+      sent = { status: 502, body: { error: `${cluster.name} transaction failed: ` + err.message } };
+    }
+    if (!sent.signature) {
+      returnFreeQuota(store, { projectId, cluster: cluster.name, at: takenAt });
+      return res.status(sent.status).json({ ...sent.body, network: cluster.name });
     }
     
-    // Load devnet fee payer
-    const feePayerKey = JSON.parse(readFileSync(DEVNET_FEE_PAYER_KEY_PATH, 'utf-8'));
-    
-    // Decode transaction
-    const txBuffer = Buffer.from(transaction, 'base64');
-    
-    // For devnet, we'll use a simple approach - deserialize, add fee payer sig, send
-    // This is a simplified version - in production Kora handles this better
-    
-    // Send to devnet with fee payer signature
-    const sendRes = await fetch(DEVNET_RPC, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        jsonrpc: '2.0',
-        id: Date.now(),
-        method: 'sendTransaction',
-        params: [transaction, { encoding: 'base64', skipPreflight: true }]
-      })
-    });
-    
-    const sendResult = await sendRes.json();
-    
-    if (sendResult.error) {
-      return res.status(400).json({ 
-        error: sendResult.error.message || 'Send failed',
-        network: 'devnet',
-        feePayer: DEVNET_FEE_PAYER,
-        hint: 'Make sure your transaction uses fee payer: ' + DEVNET_FEE_PAYER
+    store.transaction(() => {
+      commitSpend(store, reservation);
+      if (nonceLease) useNonceLease(store, nonceLease, sent.signature);
+      store.saveTransaction({
+        signature: sent.signature,
+        projectId,
+        network: cluster.name,
+        feePayer,
+        user,
+        status: 'sent',
+        createdAt: Date.now(),
+        recentBlockhash: decodedTx.recentBlockhash,
+        nonceAccount,
+        cost,
+        charged: null
       });
-    }
+    });
+    recordFeePayerSpend(cluster.name, feePayer, cost.networkCost);
+    console.log(`${tag} ${projectId} sent ${sent.signature} (${quota.used}/${quota.limit} today)`);
     
     res.json({ 
-      signature: sendResult.result,
-      network: 'devnet',
-      feePayer: DEVNET_FEE_PAYER,
-      explorer: `https://explorer.solana.com/tx/${sendResult.result}?cluster=devnet`
+      signature: sent.signature,
+      network: cluster.name,
+      feePayer,
+      cost,
+      status: 'sent',
+      statusUrl: '/tx/' + sent.signature,
+      quota: { used: quota.used, limit: quota.limit },
+      explorer: explorerUrl(cluster, sent.signature),
+      ...(transaction !== req.body.transaction && { recentBlockhash: decodedTx.recentBlockhash })
     });
-  } catch (err) {
-    console.error('Devnet error:', err);
-    res.status(500).json({ error: 'Devnet transaction failed: ' + err.message });
+  } finally {
+    releaseSpend(reservation);
+    releaseNonceClaim(nonceLease);
+  }
+}
+
+// ============ CLUSTER INFO ============
+
+// The request's cluster: fee payer, RPC, how it is paid for (/devnet/info, /localnet/info, ...)
+app.get('/info', (req, res) => {
+  const cluster = req.cluster;
+  const info = describeCluster(cluster);
+  
+  // A key from the fee payer pool; clients build their next transaction on it
+  if (isClusterEnabled(cluster)) {
+    info.feePayer = pickFeePayer(cluster.name)?.address ?? null;
+  }
+  if (cluster.pricing.free) {
+    info.note = 'Free for testing, with the same checks as mainnet. Needs an API key (POST /register).';
+    info.quotas = {
+      transactionsPerProjectPerDay: cluster.pricing.dailyTxLimit,
+      requestsPerIpPerHour: FREE_CLUSTER_IP_HOURLY_LIMIT
+    };
   }
+  info.usage = {
+    endpoint: 'POST ' + clusterPath(cluster, '/sign_and_send'),
+    headers: { 'x-api-key': 'Your API key' },
+    body: '{ "transaction": "<base64>" }',
+    tip: 'Set feePayer to ' + info.feePayer + ' in your transaction'
+  };
+  
+  res.json(info);
 });
 
-// Devnet info endpoint
-app.get('/devnet/info', (req, res) => {
+// Every cluster and whether it is sponsoring on this server
+app.get('/clusters', (req, res) => {
   res.json({
-    network: 'devnet',
-    feePayer: DEVNET_FEE_PAYER,
-    rpc: DEVNET_RPC,
-    status: 'active',
-    note: 'Free for testing. No registration required.',
-    usage: {
-      endpoint: 'POST /devnet/sign_and_send',
-      body: '{ "transaction": "<base64>" }',
-      tip: 'Set feePayer to ' + DEVNET_FEE_PAYER + ' in your transaction'
-    }
+    default: DEFAULT_CLUSTER,
+    clusters: Object.values(CLUSTERS).map(describeCluster),
+    select: 'Prefix a route with the cluster (POST /devnet/sign_and_send) or send X-Solana-Cluster: devnet'
   });
 });
 
 // x402 payment info endpoint
-app.get('/x402', (req, res) => {
-  const requirements = createPaymentRequirements(100);
+app.get('/x402', async (req, res) => {
+  const cluster = req.cluster;
+  let requirements;
+  try {
+    requirements = await createPaymentRequirements({ cluster: cluster.name });
+  } catch (err) {
+    return res.status(503).json({ error: 'x402 payments unavailable: ' + err.message });
+  }
   res.json({
     protocol: 'x402',
     version: 2,
     description: 'HTTP 402 Payment Required - automatic payment for gasless transactions',
     supported: true,
-    network: 'solana:5eykt4UsFv8P8NJdTREpY1vzqKqZKvdp',
+    network: cluster.caip2,
+    cluster: cluster.name,
     accepts: requirements.accepts,
+    paidRoutes: ['POST ' + clusterPath(cluster, '/fund'), 'POST ' + clusterPath(cluster, '/sign_and_send')],
     howItWorks: [
-      '1. Call POST /sign_and_send with X-Project-ID header',
+      '1. Call POST ' + clusterPath(cluster, '/sign_and_send') + ' with x-api-key header',
       '2. If balance is 0, receive HTTP 402 with X-Payment-Required header',
       '3. Your x402-compatible client pays automatically via USDC',
-      '4. Retry the request - now with balance!',
+      '4. Retry the request with the payment in X-Payment (or Payment-Signature) - it is credited first, receipt in X-Payment-Response',
       '5. Transaction gets sponsored ✓'
     ],
     pricing: {
-      perTransaction: '$0.001',
+      perTransaction: txCostLabel(),
       fundingOptions: ['USDC on Solana (x402 automatic)', 'Manual SOL/USDC with memo']
     },
     docs: 'https://docs.x402.org',
@@ -1042,8 +2558,13 @@ app.get('/x402', (req, res) => {
 
 app.listen(PORT, '127.0.0.1', () => {
   console.log(`MacMini Gas Station running on port ${PORT}`);
-  console.log(`Proxying to Kora at ${KORA_URL}`);
-  console.log(`Cost per tx: ${COST_PER_TX} SOL`);
-  console.log(`Devnet fee payer: ${DEVNET_FEE_PAYER}`);
-  console.log(`x402 payment support: enabled`);
+  console.log(`Pricing: ${describePricing().source} source, typical tx ${txCostLabel()}`);
+  console.log(`Fee margin: ${FEE_MARGIN_BPS} bps`);
+  console.log(`Preflight simulation: ${PREFLIGHT ? 'on' : 'off'}`);
+  for (const cluster of Object.values(CLUSTERS)) {
+    const pricing = cluster.pricing.free ? `free, ${cluster.pricing.dailyTxLimit} txs/project/day` : 'metered';
+    const prefix = cluster.name === DEFAULT_CLUSTER ? '' : cluster.name.toUpperCase() + '_';
+    console.log(`Cluster ${cluster.name}: ${cluster.feePayer ? `fee payer ${cluster.feePayer} (${describeSigner(cluster.signer)}), ${listFeePayers(cluster.name).keys.length} in the pool${cluster.treasuryKey ? ', topped up from the treasury' : ''}, ${pricing}, ${cluster.nonceAccounts.length} nonce accounts` : `off (no fee payer key: set ${prefix}FEE_PAYER_KEY_PATH or ${prefix}FEE_PAYER_KEY)`}`);
+  }
+  console.log(`x402 payment support: enabled (${getFacilitatorMode()} facilitator)`);
 });
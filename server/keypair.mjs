@@ -0,0 +1,82 @@
+/**
+ * Fee payer keypairs for MacGas
+ *
+ * Loads Solana CLI keypair files (a JSON array of 64 bytes: the secret seed
+ * then the public key), or the same bytes from an environment variable as
+ * JSON or base58 (a wallet's exported secret key), and adds the fee payer's
+ * signature to a transaction in-process. ed25519 comes from node:crypto - no
+ * web3.js dependency.
+ */
+
+import { readFileSync } from 'fs';
+import { createPrivateKey, createPublicKey, sign } from 'crypto';
+import { base58Decode, base58Encode, decodeTransaction, encodeTransaction } from './solana-tx.mjs';
+
+/**
+ * Keypair from its 64 secret key bytes
+ * @param {Uint8Array} bytes - Seed (32) then public key (32)
+ * @returns {{ publicKey: string, privateKey: KeyObject }}
+ * @throws if the bytes are not a valid keypair
+ */
+export function keypairFromBytes(bytes) {
+  if (bytes.length !== 64) throw new Error('A keypair is 64 bytes, got ' + bytes.length);
+  const seed = Buffer.from(bytes.subarray(0, 32));
+  const publicKey = Buffer.from(bytes.subarray(32));
+
+  const privateKey = createPrivateKey({
+    key: { kty: 'OKP', crv: 'Ed25519', d: seed.toString('base64url'), x: publicKey.toString('base64url') },
+    format: 'jwk'
+  });
+  if (createPublicKey(privateKey).export({ format: 'jwk' }).x !== publicKey.toString('base64url')) {
+    throw new Error('Keypair public key does not match its secret key');
+  }
+
+  return { publicKey: base58Encode(publicKey), privateKey };
+}
+
+/**
+ * Keypair from its secret key as text: a JSON array of 64 bytes, or base58
+ * @param {string} text
+ * @returns {{ publicKey: string, privateKey: KeyObject }}
+ * @throws if the text is not a keypair
+ */
+export function parseKeypair(text) {
+  const trimmed = text.trim();
+  if (!trimmed.startsWith('[')) return keypairFromBytes(base58Decode(trimmed));
+
+  const bytes = JSON.parse(trimmed);
+  if (!Array.isArray(bytes)) throw new Error('Not a keypair');
+  return keypairFromBytes(Uint8Array.from(bytes));
+}
+
+/**
+ * Load a Solana CLI keypair file
+ * @param {string} path
+ * @returns {{ publicKey: string, privateKey: KeyObject }}
+ * @throws if the file is missing or not a keypair
+ */
+export function loadKeypair(path) {
+  const bytes = JSON.parse(readFileSync(path, 'utf-8'));
+  if (!Array.isArray(bytes)) throw new Error(path + ' is not a keypair file');
+  return keypairFromBytes(Uint8Array.from(bytes));
+}
+
+/**
+ * Add a keypair's signature to a transaction it is a required signer of,
+ * leaving the other signatures as they are (legacy and v0)
+ * @param {string} transaction - Base64 wire transaction
+ * @param {Object} keypair - From loadKeypair
+ * @returns {string} Base64 signed transaction
+ * @throws if the keypair is not a signer of the transaction
+ */
+export function signTransaction(transaction, keypair) {
+  const tx = decodeTransaction(transaction);
+  const index = tx.staticAccountKeys.indexOf(keypair.publicKey);
+  if (index < 0 || index >= tx.header.numRequiredSignatures) {
+    throw new Error(keypair.publicKey + ' is not a signer of this transaction');
+  }
+
+  const signatures = [...tx.signatures];
+  signatures[index] = sign(null, tx.messageBytes, keypair.privateKey);
+  return encodeTransaction({ ...tx, signatures });
+}
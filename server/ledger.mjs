@@ -0,0 +1,378 @@
+/**
+ * Append-only credit ledger for MacGas
+ *
+ * Every balance change is a journal entry with two legs: the account that is
+ * debited and the account that is credited. Project balances are never
+ * mutated directly - they are a projection rebuilt from the ledger.
+ *
+ * Amounts are integers in the asset's base units (lamports for SOL,
+ * the mint's smallest unit for tokens - see tokens.mjs).
+ *
+ * Each entry belongs to one cluster (clusters.mjs), and so does the balance
+ * it moves: mainnet balances are the project fields below, other clusters'
+ * live in project.clusterBalances[cluster][asset]. Entries recorded before
+ * clusters existed are mainnet.
+ */
+
+import { isKnownAsset } from './tokens.mjs';
+import { DEFAULT_CLUSTER, clusterAssets } from './clusters.mjs';
+
+// Entry types
+export const ENTRY_TYPES = ['credit', 'debit', 'refund', 'adjustment'];
+
+// Assets projected into their own project field. Every other token's
+// balance lives in project.tokenBalances[symbol].
+export const ASSET_FIELDS = {
+  SOL: 'balanceLamports',
+  USDC: 'balanceUsdcLamports'
+};
+
+// Contra account for each entry source
+const SOURCE_ACCOUNTS = {
+  deposit: 'deposits:sol',
+  usdc_deposit: 'deposits:usdc',
+  token_deposit: 'deposits:token',
+  admin_deposit: 'deposits:manual',
+  x402: 'x402:settlements',
+  sponsored_tx: 'revenue:sponsorship',
+  opening_balance: 'equity:opening',
+  adjustment: 'adjustments'
+};
+
+// In-flight holds by project: Map<projectId, Map<holdId, hold>> (each hold names its cluster).
+// A hold belongs to one request - placed at admission, then settled into a
+// debit or released. They are in memory on purpose: a restart drops the
+// requests that placed them too.
+const holds = new Map();
+let nextHoldId = 1;
+
+const CSV_COLUMNS = ['id', 'at', 'projectId', 'cluster', 'type', 'asset', 'amount', 'debit', 'credit', 'source', 'ref', 'balanceAfter', 'memo'];
+
+/**
+ * Ledger account name for a project
+ * @param {string} projectId
+ * @returns {string}
+ */
+export function projectAccount(projectId) {
+  return 'project:' + projectId;
+}
+
+/**
+ * A project's balance in one asset
+ * @param {Object} project
+ * @param {string} asset - SOL or a token symbol
+ * @param {string} [cluster]
+ * @returns {number} Base units
+ */
+export function getBalance(project, asset, cluster = DEFAULT_CLUSTER) {
+  if (cluster !== DEFAULT_CLUSTER) return project.clusterBalances?.[cluster]?.[asset] || 0;
+  if (ASSET_FIELDS[asset]) return project[ASSET_FIELDS[asset]] || 0;
+  return project.tokenBalances?.[asset] || 0;
+}
+
+function setBalance(project, asset, amount, cluster = DEFAULT_CLUSTER) {
+  if (cluster !== DEFAULT_CLUSTER) {
+    const balances = project.clusterBalances || {};
+    project.clusterBalances = { ...balances, [cluster]: { ...balances[cluster], [asset]: amount } };
+  } else if (ASSET_FIELDS[asset]) {
+    project[ASSET_FIELDS[asset]] = amount;
+  } else {
+    project.tokenBalances = { ...project.tokenBalances, [asset]: amount };
+  }
+}
+
+/**
+ * Every balance of a project on a cluster, including zero ones
+ * @param {Object} project
+ * @param {string} [cluster]
+ * @returns {Object<string, number>} Base units by asset
+ */
+export function getBalances(project, cluster = DEFAULT_CLUSTER) {
+  return Object.fromEntries(clusterAssets(cluster).map(asset => [asset, getBalance(project, asset, cluster)]));
+}
+
+/**
+ * What a cluster owes its projects: their balances summed, by asset
+ * @param {Object} store - Storage backend
+ * @param {string} [cluster]
+ * @returns {Object<string, number>} Base units by asset
+ */
+export function getLiabilities(store, cluster = DEFAULT_CLUSTER) {
+  const totals = {};
+  for (const project of store.listProjects()) {
+    for (const [asset, amount] of Object.entries(getBalances(project, cluster))) {
+      if (amount > 0) totals[asset] = (totals[asset] || 0) + amount;
+    }
+  }
+  return totals;
+}
+
+/**
+ * Append an entry to the ledger and update the project's projected balance
+ * @param {Object} store - Storage backend (see storage.mjs)
+ * @param {Object} entry
+ * @param {string} entry.projectId
+ * @param {string} [entry.cluster] - Cluster whose balance it moves (default mainnet)
+ * @param {string} entry.type - credit | debit | refund | adjustment
+ * @param {string} entry.asset - SOL or a token symbol
+ * @param {number} entry.amount - Base units; negative only for adjustments
+ * @param {string} entry.source - What caused it (deposit, x402, sponsored_tx, ...)
+ * @param {string} [entry.ref] - Deposit signature, settlement signature, tx signature...
+ * @param {string} [entry.memo] - Free-form note
+ * @returns {Object} The recorded entry
+ */
+export function postEntry(store, { projectId, cluster = DEFAULT_CLUSTER, type, asset = 'SOL', amount, source, ref = null, memo = null }) {
+  if (!ENTRY_TYPES.includes(type)) throw new Error('Unknown entry type: ' + type);
+  if (!isKnownAsset(asset)) throw new Error('Unknown asset: ' + asset);
+  if (!Number.isInteger(amount) || amount === 0) throw new Error('Amount must be a non-zero integer');
+  if (amount < 0 && type !== 'adjustment') throw new Error('Only adjustments may be negative');
+
+  const contra = SOURCE_ACCOUNTS[source] || SOURCE_ACCOUNTS.adjustment;
+  const account = projectAccount(projectId);
+
+  // Money flows into the project on credit/refund, out of it on debit.
+  // Adjustments go either way depending on sign.
+  const intoProject = type === 'credit' || type === 'refund' || (type === 'adjustment' && amount > 0);
+  const magnitude = Math.abs(amount);
+
+  return store.transaction(() => {
+    const project = store.getProject(projectId);
+    if (!project) throw new Error('Unknown project: ' + projectId);
+
+    const balanceAfter = getBalance(project, asset, cluster) + (intoProject ? magnitude : -magnitude);
+
+    const recorded = store.appendLedgerEntry({
+      at: Date.now(),
+      projectId,
+      cluster,
+      type,
+      asset,
+      amount: magnitude,
+      debit: intoProject ? contra : account,
+      credit: intoProject ? account : contra,
+      source,
+      ref,
+      memo,
+      balanceAfter
+    });
+
+    setBalance(project, asset, balanceAfter, cluster);
+    store.saveProject(projectId, project);
+
+    return recorded;
+  });
+}
+
+/**
+ * Total currently held for a project in one asset
+ * @param {string} projectId
+ * @param {string} asset - SOL or a token symbol
+ * @param {string} [cluster]
+ * @returns {number} Base units
+ */
+export function getHeldAmount(projectId, asset, cluster = DEFAULT_CLUSTER) {
+  let total = 0;
+  for (const hold of holds.get(projectId)?.values() || []) {
+    if (hold.asset === asset && hold.cluster === cluster) total += hold.amount;
+  }
+  return total;
+}
+
+/**
+ * Balance minus in-flight holds
+ * @param {Object} store - Storage backend
+ * @param {string} projectId
+ * @param {string} asset - SOL or a token symbol
+ * @param {string} [cluster]
+ * @returns {number} Base units
+ */
+export function getAvailableBalance(store, projectId, asset, cluster = DEFAULT_CLUSTER) {
+  const project = store.getProject(projectId);
+  if (!project) return 0;
+  return getBalance(project, asset, cluster) - getHeldAmount(projectId, asset, cluster);
+}
+
+/**
+ * Reserve funds for an in-flight request.
+ * Check and reservation happen synchronously, so concurrent requests can
+ * never both claim the same balance.
+ * @param {Object} store - Storage backend
+ * @param {Object} options
+ * @param {string} options.projectId
+ * @param {string} [options.cluster]
+ * @param {string} options.asset - SOL or a token symbol
+ * @param {number} options.amount - Base units
+ * @returns {Object|null} The hold, or null if the available balance is too low
+ */
+export function placeHold(store, { projectId, cluster = DEFAULT_CLUSTER, asset, amount }) {
+  if (!isKnownAsset(asset)) throw new Error('Unknown asset: ' + asset);
+  if (!Number.isInteger(amount) || amount <= 0) throw new Error('Hold amount must be a positive integer');
+
+  if (getAvailableBalance(store, projectId, asset, cluster) < amount) return null;
+
+  const hold = {
+    id: nextHoldId++,
+    projectId,
+    cluster,
+    asset,
+    amount,
+    placedAt: Date.now(),
+    state: 'held'
+  };
+
+  if (!holds.has(projectId)) holds.set(projectId, new Map());
+  holds.get(projectId).set(hold.id, hold);
+
+  return hold;
+}
+
+/**
+ * Release a hold without charging anything. Safe to call more than once,
+ * and a no-op once the hold has been settled.
+ * @param {Object} hold
+ */
+export function releaseHold(hold) {
+  if (!hold || hold.state !== 'held') return;
+  hold.state = 'released';
+  const projectHolds = holds.get(hold.projectId);
+  projectHolds?.delete(hold.id);
+  if (projectHolds?.size === 0) holds.delete(hold.projectId);
+}
+
+/**
+ * Convert a hold into a debit entry
+ * @param {Object} store - Storage backend
+ * @param {Object} hold
+ * @param {Object} options
+ * @param {string} options.source - Entry source (e.g. sponsored_tx)
+ * @param {string} [options.ref] - Reference recorded on the entry
+ * @param {number} [options.amount] - Final charge; defaults to the held amount
+ * @param {string} [options.memo]
+ * @returns {Object} The debit entry
+ */
+export function settleHold(store, hold, { source, ref = null, amount = hold.amount, memo = null }) {
+  if (hold.state !== 'held') throw new Error(`Hold ${hold.id} already ${hold.state}`);
+
+  const entry = postEntry(store, {
+    projectId: hold.projectId,
+    cluster: hold.cluster,
+    type: 'debit',
+    asset: hold.asset,
+    amount,
+    source,
+    ref,
+    memo
+  });
+
+  releaseHold(hold);
+  hold.state = 'settled';
+
+  return entry;
+}
+
+/**
+ * Recompute every project's balances from the ledger.
+ * Projects that predate the ledger get an opening balance entry first.
+ * @param {Object} store - Storage backend
+ */
+export function rebuildBalances(store) {
+  store.transaction(() => {
+    if (!store.getState('ledgerInitialized') && store.countLedgerEntries() === 0) {
+      for (const { id, ...project } of store.listProjects()) {
+        const openings = {};
+        for (const [asset, field] of Object.entries(ASSET_FIELDS)) {
+          openings[asset] = project[field] || 0;
+          if (field in project) project[field] = 0;
+        }
+        store.saveProject(id, project);
+
+        for (const [asset, opening] of Object.entries(openings)) {
+          if (opening === 0) continue;
+          postEntry(store, {
+            projectId: id,
+            type: 'adjustment',
+            asset,
+            amount: opening,
+            source: 'opening_balance',
+            memo: 'Balance carried over from pre-ledger data.json'
+          });
+        }
+      }
+    }
+    store.setState('ledgerInitialized', true);
+
+    // totals[projectId][cluster][asset]
+    const totals = {};
+    for (const entry of store.iterateLedger()) {
+      const delta = entry.credit === projectAccount(entry.projectId) ? entry.amount : -entry.amount;
+      const cluster = entry.cluster || DEFAULT_CLUSTER;
+      totals[entry.projectId] ??= {};
+      totals[entry.projectId][cluster] ??= {};
+      totals[entry.projectId][cluster][entry.asset] = (totals[entry.projectId][cluster][entry.asset] || 0) + delta;
+    }
+
+    for (const { id, ...project } of store.listProjects()) {
+      const { [DEFAULT_CLUSTER]: mainnet = {}, ...others } = totals[id] || {};
+      for (const [asset, field] of Object.entries(ASSET_FIELDS)) {
+        const total = mainnet[asset] || 0;
+        if (field in project || total !== 0) project[field] = total;
+      }
+      // Token and other clusters' balances are rebuilt from scratch (a removed mint keeps its ledger history)
+      delete project.tokenBalances;
+      delete project.clusterBalances;
+      for (const [asset, total] of Object.entries(mainnet)) {
+        if (!ASSET_FIELDS[asset] && total !== 0) setBalance(project, asset, total);
+      }
+      for (const [cluster, assets] of Object.entries(others)) {
+        for (const [asset, total] of Object.entries(assets)) {
+          if (total !== 0) setBalance(project, asset, total, cluster);
+        }
+      }
+      store.saveProject(id, project);
+    }
+  });
+}
+
+/**
+ * Query a project's ledger entries, newest first
+ * @param {Object} store - Storage backend
+ * @param {string} projectId
+ * @param {Object} [options]
+ * @param {string} [options.cluster] - Only this cluster's entries
+ * @param {number} [options.limit] - Page size (omit for all matches)
+ * @param {number} [options.before] - Only entries with id < before (pagination cursor)
+ * @param {number} [options.since] - Only entries at or after this timestamp (ms)
+ * @param {number} [options.until] - Only entries before this timestamp (ms)
+ * @returns {{ entries: Object[], nextCursor: number|null }}
+ */
+export function getProjectEntries(store, projectId, { cluster, limit, before, since, until } = {}) {
+  // Fetch one extra row to know whether there is another page
+  const entries = store.queryLedger(projectId, { cluster, limit: limit ? limit + 1 : undefined, before, since, until });
+
+  if (limit && entries.length > limit) {
+    entries.length = limit;
+    return { entries, nextCursor: entries[entries.length - 1].id };
+  }
+
+  return { entries, nextCursor: null };
+}
+
+/**
+ * Render ledger entries as CSV
+ * @param {Object[]} entries
+ * @returns {string}
+ */
+export function entriesToCsv(entries) {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    const str = String(value);
+    return /[",\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+  };
+
+  const rows = entries.map(entry => CSV_COLUMNS.map(col => {
+    if (col === 'at') return new Date(entry.at).toISOString();
+    return escape(entry[col]);
+  }).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
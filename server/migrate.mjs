@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * One-shot migration from data.json to SQLite
+ * Usage: node migrate.mjs [data.json] [macgas.db]
+ * Both default to DATA_DIR (~/.macgas), like the server.
+ *
+ * Imports projects, API keys and ledger entries, then rebuilds balances
+ * from the ledger. Refuses to run against a database that already has projects.
+ */
+
+import { existsSync, renameSync } from 'fs';
+import { join } from 'path';
+import { createStore, DEFAULT_DATA_DIR } from './storage.mjs';
+import { rebuildBalances } from './ledger.mjs';
+
+const dataDir = process.env.DATA_DIR || DEFAULT_DATA_DIR;
+const from = process.argv[2] || process.env.DATA_FILE || join(dataDir, 'data.json');
+const to = process.argv[3] || process.env.DB_FILE || join(dataDir, 'macgas.db');
+
+if (!existsSync(from)) {
+  console.error(`❌ ${from} not found`);
+  process.exit(1);
+}
+
+const source = createStore({ driver: 'json', file: from });
+const target = createStore({ driver: 'sqlite', file: to });
+
+if (target.countProjects() > 0) {
+  console.error(`❌ ${to} already has ${target.countProjects()} projects - refusing to migrate twice`);
+  process.exit(1);
+}
+
+const ledger = source.iterateLedger();
+
+target.transaction(() => {
+  for (const { id, ...project } of source.listProjects()) {
+    target.saveProject(id, project);
+    for (const key of source.listApiKeys(id)) target.saveApiKey(key);
+  }
+
+  for (const entry of ledger) {
+    target.appendLedgerEntry(entry);
+  }
+
+  // A data.json written before the ledger existed carries only balances
+  if (ledger.length > 0) target.setState('ledgerInitialized', true);
+
+  rebuildBalances(target);
+});
+
+console.log(`✅ Migrated ${target.countProjects()} projects and ${target.countLedgerEntries()} ledger entries to ${to}`);
+
+target.close();
+
+// Move the old file aside so the server doesn't keep reading it
+renameSync(from, from + '.migrated');
+console.log(`   ${from} renamed to ${from}.migrated`);
@@ -0,0 +1,217 @@
+/**
+ * Durable nonce leases for MacGas
+ *
+ * A transaction on a recent blockhash has to land within about a minute,
+ * which agents waiting on a user's approval often miss. The operator creates
+ * nonce accounts with the fee payer as nonce authority (NONCE_ACCOUNTS), and
+ * POST /nonce/lease lends one to a project: its transaction uses the stored
+ * nonce as blockhash and advances it in the first instruction, so it stays
+ * valid until submitted.
+ *
+ * A lease ends when it expires unused, when the project releases it, or
+ * once the transaction submitted on it is final (landed, failed or expired);
+ * by then the nonce has moved on and the account can be lent again.
+ *
+ * Each cluster (clusters.mjs) lends its own pool. Leases are kept in store
+ * state 'nonce-leases' (mainnet) or 'nonce-leases:<cluster>':
+ * { [nonceAccount]: lease }.
+ */
+
+import { randomBytes } from 'crypto';
+import { fetchNonceAccount } from './solana-tx.mjs';
+import { PENDING_STATUSES } from './confirmations.mjs';
+
+export const DEFAULT_LEASE_TTL_MS = 60 * 60 * 1000;  // 1 hour
+export const MAX_LEASE_TTL_MS = 24 * 60 * 60 * 1000; // 1 day
+
+// Nonce accounts one project may hold at once, so one project can't drain the pool
+export const MAX_LEASES_PER_PROJECT = 5;
+
+// Nonce accounts being read from the RPC for a lease right now (by slotKey)
+const leasing = new Set();
+
+// Leased nonces with a submission in flight, so the same nonce isn't sponsored twice (by slotKey)
+const submitting = new Set();
+
+function leasesKey(cluster) {
+  return cluster === 'mainnet' ? 'nonce-leases' : 'nonce-leases:' + cluster;
+}
+
+// One nonce account on one cluster
+function slotKey(cluster, nonceAccount) {
+  return cluster + ':' + nonceAccount;
+}
+
+function getLeases(store, cluster) {
+  return store.getState(leasesKey(cluster)) || {};
+}
+
+// Still holding its nonce account: unused and unexpired, or its transaction still pending
+function isActive(store, lease, now) {
+  if (lease.signature) {
+    const tx = store.getTransaction(lease.signature);
+    return Boolean(tx && PENDING_STATUSES.includes(tx.status));
+  }
+  return now < lease.expiresAt;
+}
+
+/**
+ * Public view of a lease
+ * @param {Object} lease
+ * @returns {Object}
+ */
+export function describeLease(lease) {
+  return {
+    leaseId: lease.id,
+    cluster: lease.cluster || 'mainnet',
+    nonceAccount: lease.nonceAccount,
+    nonce: lease.nonce,
+    leasedAt: new Date(lease.leasedAt).toISOString(),
+    expiresAt: new Date(lease.expiresAt).toISOString(),
+    signature: lease.signature || null
+  };
+}
+
+/**
+ * A project's active leases on a cluster
+ * @param {Object} store
+ * @param {string} projectId
+ * @param {string} [cluster]
+ * @param {number} [now]
+ * @returns {Array}
+ */
+export function listNonceLeases(store, projectId, cluster = 'mainnet', now = Date.now()) {
+  return Object.values(getLeases(store, cluster)).filter(l => l.projectId === projectId && isActive(store, l, now));
+}
+
+/**
+ * Lend a free nonce account to a project, reading its current nonce on-chain
+ * @param {Object} store
+ * @param {Object} options
+ * @param {string} options.projectId
+ * @param {string} [options.cluster]
+ * @param {string[]} options.accounts - The cluster's nonce account pool
+ * @param {string} options.authority - Nonce authority the accounts must have (the fee payer)
+ * @param {string} options.rpcUrl
+ * @param {number} [options.ttlMs]
+ * @returns {Promise<Object>} { lease } or { error, code }
+ */
+export async function leaseNonce(store, { projectId, cluster = 'mainnet', accounts, authority, rpcUrl, ttlMs = DEFAULT_LEASE_TTL_MS }) {
+  if (listNonceLeases(store, projectId, cluster).length >= MAX_LEASES_PER_PROJECT) {
+    return { error: `At most ${MAX_LEASES_PER_PROJECT} nonce leases per project; release or use one first`, code: 'NONCE_LEASE_LIMIT' };
+  }
+
+  const leases = getLeases(store, cluster);
+  const now = Date.now();
+  const free = accounts.filter(a => !leasing.has(slotKey(cluster, a)) && !(leases[a] && isActive(store, leases[a], now)));
+
+  for (const nonceAccount of free) {
+    leasing.add(slotKey(cluster, nonceAccount));
+    try {
+      const account = await fetchNonceAccount(rpcUrl, nonceAccount);
+      if (!account || account.authority !== authority) {
+        console.warn(`[NONCE] ${nonceAccount} is not a nonce account with authority ${authority}, skipped`);
+        continue;
+      }
+
+      const lease = {
+        id: 'nl_' + randomBytes(8).toString('hex'),
+        cluster,
+        nonceAccount,
+        projectId,
+        nonce: account.nonce,
+        leasedAt: Date.now(),
+        expiresAt: Date.now() + ttlMs
+      };
+      store.transaction(() => {
+        store.setState(leasesKey(cluster), { ...getLeases(store, cluster), [nonceAccount]: lease });
+      });
+      return { lease };
+    } catch (err) {
+      console.error(`[NONCE] Could not read ${nonceAccount}:`, err.message);
+    } finally {
+      leasing.delete(slotKey(cluster, nonceAccount));
+    }
+  }
+
+  return { error: 'No durable nonce account is free right now; try again shortly', code: 'NONCE_UNAVAILABLE' };
+}
+
+/**
+ * Check a transaction may use a nonce account: leased to this project, unused,
+ * unexpired, and the transaction's blockhash is the leased nonce
+ * @param {Object} store
+ * @param {Object} options - { projectId, cluster, nonceAccount, recentBlockhash, now }
+ * @returns {Object} { lease } or { error, code }
+ */
+export function checkNonceLease(store, { projectId, cluster = 'mainnet', nonceAccount, recentBlockhash, now = Date.now() }) {
+  const lease = getLeases(store, cluster)[nonceAccount];
+  if (!lease || lease.projectId !== projectId) {
+    return { error: 'Nonce account ' + nonceAccount + ' is not leased to this project', code: 'NONCE_NOT_LEASED' };
+  }
+  if (lease.signature) {
+    return { error: 'Nonce lease already used by ' + lease.signature, code: 'NONCE_LEASE_USED' };
+  }
+  if (now >= lease.expiresAt) {
+    return { error: 'Nonce lease expired at ' + new Date(lease.expiresAt).toISOString(), code: 'NONCE_LEASE_EXPIRED' };
+  }
+  if (recentBlockhash !== lease.nonce) {
+    return { error: 'Transaction blockhash must be the leased nonce ' + lease.nonce, code: 'NONCE_MISMATCH' };
+  }
+  return { lease };
+}
+
+/**
+ * Claim a lease for one submission
+ * @param {Object} lease
+ * @returns {boolean} false if another submission holds it
+ */
+export function claimNonceLease(lease) {
+  const slot = slotKey(lease.cluster || 'mainnet', lease.nonceAccount);
+  if (submitting.has(slot)) return false;
+  submitting.add(slot);
+  return true;
+}
+
+/**
+ * Let go of a claim (safe to call with null)
+ * @param {Object|null} lease
+ */
+export function releaseNonceClaim(lease) {
+  if (lease) submitting.delete(slotKey(lease.cluster || 'mainnet', lease.nonceAccount));
+}
+
+/**
+ * Record the transaction that used a lease. Call inside the store transaction
+ * that records the sponsored transaction.
+ * @param {Object} store
+ * @param {Object} lease
+ * @param {string} signature
+ */
+export function useNonceLease(store, lease, signature) {
+  const cluster = lease.cluster || 'mainnet';
+  const leases = getLeases(store, cluster);
+  if (leases[lease.nonceAccount]?.id !== lease.id) return;
+  store.setState(leasesKey(cluster), { ...leases, [lease.nonceAccount]: { ...leases[lease.nonceAccount], signature, usedAt: Date.now() } });
+}
+
+/**
+ * Give back an unused lease early
+ * @param {Object} store
+ * @param {string} projectId
+ * @param {string} leaseId
+ * @param {string} [cluster]
+ * @returns {Object} { lease } or { error }
+ */
+export function releaseNonceLease(store, projectId, leaseId, cluster = 'mainnet') {
+  return store.transaction(() => {
+    const leases = getLeases(store, cluster);
+    const lease = Object.values(leases).find(l => l.id === leaseId && l.projectId === projectId);
+    if (!lease) return { error: 'Lease not found' };
+    if (lease.signature) return { error: 'Lease already used by ' + lease.signature };
+
+    const { [lease.nonceAccount]: _, ...rest } = leases;
+    store.setState(leasesKey(cluster), rest);
+    return { lease };
+  });
+}
@@ -0,0 +1,394 @@
+/**
+ * Per-project spending policies for MacGas
+ *
+ * Projects sponsor end users they don't fully trust, so each project can
+ * limit what /sign_and_send will sponsor for it (project.policy):
+ *   maxTxsPerDay        - sponsored transactions per UTC day
+ *   maxLamportsPerDay   - fee payer spend (network cost) per UTC day
+ *   perUser             - { maxTxsPerDay, maxLamportsPerDay } per end-user wallet,
+ *                         keyed on the transaction's first signer that isn't the fee payer
+ *   maxComputeUnitPrice - priority fee rate, in micro-lamports per compute unit
+ *   maxFeeLamports      - base fee + priority fee of one transaction
+ *   window              - { from: 'HH:MM', to: 'HH:MM' } UTC hours when sponsoring
+ *                         is allowed (wraps past midnight if from > to)
+ *   sponsorRent         - let the fee payer fund new accounts (ATA creation,
+ *                         SystemProgram.createAccount). Off by default: rent is
+ *                         ~0.002 SOL an account, hundreds of times a fee.
+ *   rentBudgetLamports  - total rent the fee payer may put up for the project
+ *
+ * Daily usage is persisted per project (state key `spend:<projectId>`) and
+ * resets at 00:00 UTC; rent sponsored is a running total (`rent:<projectId>`).
+ * Each metered cluster counts on its own (`spend:<cluster>:<projectId>` off
+ * mainnet), so localnet traffic never uses up a mainnet cap. Free clusters
+ * (devnet, testnet) apply the same caps but never sponsor rent, and on top
+ * of them allow pricing.dailyTxLimit transactions per project per UTC day
+ * (the free quota, state key `<cluster>:<projectId>`).
+ * Like balance holds, a request reserves its share at admission, so
+ * concurrent requests can't overshoot a cap; the reservation is committed
+ * when the transaction is broadcast, or released. A transaction that expires
+ * without landing is refunded and rolled back out of the usage (and the free
+ * quota) too.
+ */
+
+export const POLICY_FIELDS = [
+  'maxTxsPerDay', 'maxLamportsPerDay', 'perUser', 'maxComputeUnitPrice', 'maxFeeLamports', 'window',
+  'sponsorRent', 'rentBudgetLamports'
+];
+
+const USER_POLICY_FIELDS = ['maxTxsPerDay', 'maxLamportsPerDay'];
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// In-flight reservations by usage key: Map<usageKey, Set<reservation>>
+const reservations = new Map();
+
+// Mainnet keys predate clusters
+function clusterPrefix(cluster) {
+  return cluster === 'mainnet' ? '' : cluster + ':';
+}
+
+function usageKey(projectId, cluster = 'mainnet') {
+  return 'spend:' + clusterPrefix(cluster) + projectId;
+}
+
+function rentKey(projectId, cluster = 'mainnet') {
+  return 'rent:' + clusterPrefix(cluster) + projectId;
+}
+
+// UTC day, e.g. 2026-01-31
+function dayOf(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+// Minutes since 00:00 of 'HH:MM'
+function minutesOf(time) {
+  const [, hours, minutes] = TIME_OF_DAY.exec(time);
+  return parseInt(hours) * 60 + parseInt(minutes);
+}
+
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Check a policy submitted by a project
+ * @param {Object} policy
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validatePolicy(policy) {
+  if (typeof policy !== 'object' || policy === null || Array.isArray(policy)) return 'policy must be an object';
+
+  const unknown = Object.keys(policy).filter(field => !POLICY_FIELDS.includes(field));
+  if (unknown.length > 0) return `Unknown policy fields: ${unknown.join(', ')} (expected ${POLICY_FIELDS.join(', ')})`;
+
+  for (const field of ['maxTxsPerDay', 'maxLamportsPerDay', 'maxComputeUnitPrice', 'maxFeeLamports', 'rentBudgetLamports']) {
+    if (policy[field] !== undefined && !isCount(policy[field])) return `${field} must be a non-negative integer`;
+  }
+
+  if (policy.perUser !== undefined) {
+    if (typeof policy.perUser !== 'object' || policy.perUser === null) return 'perUser must be an object';
+    for (const [field, value] of Object.entries(policy.perUser)) {
+      if (!USER_POLICY_FIELDS.includes(field)) return `perUser fields must be ${USER_POLICY_FIELDS.join(', ')}`;
+      if (!isCount(value)) return `perUser.${field} must be a non-negative integer`;
+    }
+  }
+
+  if (policy.sponsorRent !== undefined && typeof policy.sponsorRent !== 'boolean') return 'sponsorRent must be true or false';
+
+  if (policy.window !== undefined) {
+    const { from, to } = policy.window || {};
+    if (!TIME_OF_DAY.test(from || '') || !TIME_OF_DAY.test(to || '')) return "window must be { from: 'HH:MM', to: 'HH:MM' } (UTC)";
+    if (from === to) return 'window from and to must differ';
+  }
+  return null;
+}
+
+/**
+ * The end user a transaction sponsors: its first signer that isn't the fee payer
+ * @param {Object} tx - Decoded transaction (solana-tx.mjs)
+ * @param {string} feePayer
+ * @returns {string|null}
+ */
+export function getUserSigner(tx, feePayer) {
+  const signers = tx.staticAccountKeys.slice(0, tx.header.numRequiredSignatures);
+  return signers.find(key => key !== feePayer) || null;
+}
+
+/**
+ * Today's persisted usage of a project
+ * @param {Object} store - Storage backend
+ * @param {string} projectId
+ * @param {number} [now]
+ * @param {string} [cluster]
+ * @returns {Object} { day, txs, lamports, users: { [wallet]: { txs, lamports } } }
+ */
+export function getDailyUsage(store, projectId, now = Date.now(), cluster = 'mainnet') {
+  const usage = store.getState(usageKey(projectId, cluster));
+  const day = dayOf(now);
+  return usage?.day === day ? usage : { day, txs: 0, lamports: 0, users: {} };
+}
+
+/**
+ * Rent the fee payer has put up for a project so far
+ * @param {Object} store - Storage backend
+ * @param {string} projectId
+ * @param {string} [cluster]
+ * @returns {number} Lamports
+ */
+export function getRentSponsored(store, projectId, cluster = 'mainnet') {
+  return store.getState(rentKey(projectId, cluster))?.lamports || 0;
+}
+
+// Persisted usage plus what in-flight requests have reserved
+function getReservedUsage(store, projectId, cluster, user, now) {
+  const usage = getDailyUsage(store, projectId, now, cluster);
+  const userUsage = (user && usage.users[user]) || { txs: 0, lamports: 0 };
+  const total = {
+    txs: usage.txs,
+    lamports: usage.lamports,
+    userTxs: userUsage.txs,
+    userLamports: userUsage.lamports,
+    rent: getRentSponsored(store, projectId, cluster)
+  };
+
+  for (const reservation of reservations.get(usageKey(projectId, cluster)) || []) {
+    total.txs++;
+    total.lamports += reservation.lamports;
+    total.rent += reservation.rent;
+    if (user && reservation.user === user) {
+      total.userTxs++;
+      total.userLamports += reservation.lamports;
+    }
+  }
+  return total;
+}
+
+function violation(policy, limit, actual, message) {
+  return { policy, limit, actual, message };
+}
+
+/**
+ * Evaluate a project's policy for one transaction. Rent is refused unless
+ * the policy opts in, so this applies to projects without a policy too.
+ * @param {Object} store - Storage backend
+ * @param {Object} request
+ * @param {string} request.projectId
+ * @param {string} [request.cluster] - Cluster whose usage counts (default mainnet)
+ * @param {Object} [request.policy] - project.policy
+ * @param {Object} request.cost - computeTransactionCost() breakdown
+ * @param {string|null} request.user - End-user wallet (getUserSigner)
+ * @param {boolean} [request.free] - A free cluster: nobody is billed for rent, so it is never sponsored
+ * @param {number} [request.now]
+ * @returns {Object|null} The first violation - { policy, limit, actual, message } - or null
+ */
+export function checkPolicy(store, { projectId, cluster = 'mainnet', policy, cost, user, free = false, now = Date.now() }) {
+  if (cost.rent > 0 && free) {
+    return violation('sponsorRent', false, cost.rent,
+      `The fee payer doesn't fund new accounts on ${cluster} (${cost.rent} lamports of rent); have the user pay for them`);
+  }
+  if (cost.rent > 0 && !policy?.sponsorRent) {
+    const count = cost.rentAccounts.length;
+    return violation('sponsorRent', false, cost.rent,
+      `Transaction has the fee payer fund ${count} new account${count === 1 ? '' : 's'} (${cost.rent} lamports of rent); rent sponsoring is off for this project`);
+  }
+  if (!policy) return null;
+
+  if (policy.window) {
+    const date = new Date(now);
+    const minute = date.getUTCHours() * 60 + date.getUTCMinutes();
+    const from = minutesOf(policy.window.from);
+    const to = minutesOf(policy.window.to);
+    const open = from < to ? minute >= from && minute < to : minute >= from || minute < to;
+    if (!open) {
+      return violation('window', policy.window, date.toISOString().slice(11, 16),
+        `Sponsoring is only allowed between ${policy.window.from} and ${policy.window.to} UTC`);
+    }
+  }
+
+  const unitPrice = Number(cost.computeUnitPriceMicroLamports);
+  if (policy.maxComputeUnitPrice !== undefined && unitPrice > policy.maxComputeUnitPrice) {
+    return violation('maxComputeUnitPrice', policy.maxComputeUnitPrice, unitPrice,
+      `Compute unit price ${unitPrice} exceeds the project's maximum of ${policy.maxComputeUnitPrice} micro-lamports`);
+  }
+
+  const fee = cost.baseFee + cost.priorityFee;
+  if (policy.maxFeeLamports !== undefined && fee > policy.maxFeeLamports) {
+    return violation('maxFeeLamports', policy.maxFeeLamports, fee,
+      `Transaction fee of ${fee} lamports exceeds the project's maximum of ${policy.maxFeeLamports}`);
+  }
+
+  const used = getReservedUsage(store, projectId, cluster, user, now);
+  const lamports = cost.networkCost;
+
+  if (policy.maxTxsPerDay !== undefined && used.txs + 1 > policy.maxTxsPerDay) {
+    return violation('maxTxsPerDay', policy.maxTxsPerDay, used.txs,
+      `Daily limit of ${policy.maxTxsPerDay} sponsored transactions reached`);
+  }
+  if (policy.maxLamportsPerDay !== undefined && used.lamports + lamports > policy.maxLamportsPerDay) {
+    return violation('maxLamportsPerDay', policy.maxLamportsPerDay, used.lamports + lamports,
+      `Daily limit of ${policy.maxLamportsPerDay} lamports would be exceeded`);
+  }
+
+  if (cost.rent > 0 && policy.rentBudgetLamports !== undefined && used.rent + cost.rent > policy.rentBudgetLamports) {
+    return violation('rentBudgetLamports', policy.rentBudgetLamports, used.rent + cost.rent,
+      `Rent budget of ${policy.rentBudgetLamports} lamports would be exceeded (${used.rent} sponsored so far)`);
+  }
+
+  const perUser = policy.perUser || {};
+  if (user && perUser.maxTxsPerDay !== undefined && used.userTxs + 1 > perUser.maxTxsPerDay) {
+    return violation('perUser.maxTxsPerDay', perUser.maxTxsPerDay, used.userTxs,
+      `Daily limit of ${perUser.maxTxsPerDay} sponsored transactions reached for ${user}`);
+  }
+  if (user && perUser.maxLamportsPerDay !== undefined && used.userLamports + lamports > perUser.maxLamportsPerDay) {
+    return violation('perUser.maxLamportsPerDay', perUser.maxLamportsPerDay, used.userLamports + lamports,
+      `Daily limit of ${perUser.maxLamportsPerDay} lamports would be exceeded for ${user}`);
+  }
+
+  return null;
+}
+
+/**
+ * Check the policy and, if it allows the transaction, reserve its share of
+ * the daily caps. Check and reservation happen synchronously.
+ * @param {Object} store - Storage backend
+ * @param {Object} request - See checkPolicy
+ * @returns {{ reservation: Object }|{ violation: Object }}
+ */
+export function reserveSpend(store, request) {
+  const found = checkPolicy(store, request);
+  if (found) return { violation: found };
+
+  const reservation = {
+    projectId: request.projectId,
+    cluster: request.cluster || 'mainnet',
+    user: request.user,
+    lamports: request.cost.networkCost,
+    rent: request.cost.rent,
+    state: 'reserved'
+  };
+  const key = usageKey(reservation.projectId, reservation.cluster);
+  if (!reservations.has(key)) reservations.set(key, new Set());
+  reservations.get(key).add(reservation);
+  return { reservation };
+}
+
+/**
+ * Drop a reservation without counting it. Safe to call more than once.
+ * @param {Object} reservation
+ */
+export function releaseSpend(reservation) {
+  if (!reservation || reservation.state !== 'reserved') return;
+  reservation.state = 'released';
+  const key = usageKey(reservation.projectId, reservation.cluster);
+  const projectReservations = reservations.get(key);
+  projectReservations?.delete(reservation);
+  if (projectReservations?.size === 0) reservations.delete(key);
+}
+
+/**
+ * Count a reservation into today's usage (call inside the transaction that charges it)
+ * @param {Object} store - Storage backend
+ * @param {Object} reservation
+ * @param {number} [now]
+ */
+export function commitSpend(store, reservation, now = Date.now()) {
+  if (reservation.state !== 'reserved') throw new Error('Spend reservation already ' + reservation.state);
+
+  const { projectId, cluster } = reservation;
+  const usage = getDailyUsage(store, projectId, now, cluster);
+  usage.txs++;
+  usage.lamports += reservation.lamports;
+  if (reservation.user) {
+    const userUsage = usage.users[reservation.user] || { txs: 0, lamports: 0 };
+    usage.users[reservation.user] = { txs: userUsage.txs + 1, lamports: userUsage.lamports + reservation.lamports };
+  }
+  store.setState(usageKey(projectId, cluster), usage);
+  if (reservation.rent > 0) {
+    store.setState(rentKey(projectId, cluster), { lamports: getRentSponsored(store, projectId, cluster) + reservation.rent });
+  }
+
+  releaseSpend(reservation);
+  reservation.state = 'committed';
+}
+
+/**
+ * Take a committed transaction back out of the usage it counted into, when it
+ * expired without landing (call inside the transaction that refunds it)
+ * @param {Object} store - Storage backend
+ * @param {Object} spent
+ * @param {string} spent.projectId
+ * @param {string} [spent.cluster]
+ * @param {string|null} spent.user
+ * @param {number} spent.lamports - Network cost it counted
+ * @param {number} spent.rent - Rent it counted
+ * @param {number} spent.at - When it was committed
+ */
+export function rollbackSpend(store, { projectId, cluster = 'mainnet', user, lamports, rent, at }) {
+  // Usage of an earlier day has been reset already
+  const usage = store.getState(usageKey(projectId, cluster));
+  if (usage?.day === dayOf(at)) {
+    usage.txs = Math.max(0, usage.txs - 1);
+    usage.lamports = Math.max(0, usage.lamports - lamports);
+    const userUsage = user && usage.users[user];
+    if (userUsage) {
+      usage.users[user] = { txs: Math.max(0, userUsage.txs - 1), lamports: Math.max(0, userUsage.lamports - lamports) };
+    }
+    store.setState(usageKey(projectId, cluster), usage);
+  }
+  if (rent > 0) {
+    store.setState(rentKey(projectId, cluster), { lamports: Math.max(0, getRentSponsored(store, projectId, cluster) - rent) });
+  }
+}
+
+function quotaKey(projectId, cluster) {
+  return cluster + ':' + projectId;
+}
+
+/**
+ * A project's transactions today on a free cluster
+ * @param {Object} store - Storage backend
+ * @param {Object} cluster - Cluster config (clusters.mjs)
+ * @param {string} projectId
+ * @param {number} [now]
+ * @returns {{ day: string, used: number, limit: number }}
+ */
+export function getFreeQuota(store, cluster, projectId, now = Date.now()) {
+  const day = dayOf(now);
+  const usage = store.getState(quotaKey(projectId, cluster.name));
+  return { day, used: usage?.day === day ? usage.txs : 0, limit: cluster.pricing.dailyTxLimit };
+}
+
+/**
+ * Count a transaction against the project's free quota
+ * @param {Object} store - Storage backend
+ * @param {Object} cluster - Cluster config (clusters.mjs)
+ * @param {string} projectId
+ * @returns {{ day: string, used: number, limit: number }|null} null if the quota is used up
+ */
+export function takeFreeQuota(store, cluster, projectId) {
+  return store.transaction(() => {
+    const { day, used, limit } = getFreeQuota(store, cluster, projectId);
+    if (used >= limit) return null;
+
+    store.setState(quotaKey(projectId, cluster.name), { day, txs: used + 1 });
+    return { day, used: used + 1, limit };
+  });
+}
+
+/**
+ * Hand a quota slot back, when the transaction never went out or expired without landing
+ * @param {Object} store - Storage backend
+ * @param {Object} taken
+ * @param {string} taken.projectId
+ * @param {string} taken.cluster - Cluster name
+ * @param {number} taken.at - When the slot was taken
+ */
+export function returnFreeQuota(store, { projectId, cluster, at }) {
+  store.transaction(() => {
+    // Quota of an earlier day has been reset already
+    const usage = store.getState(quotaKey(projectId, cluster));
+    if (usage?.day === dayOf(at) && usage.txs > 0) {
+      store.setState(quotaKey(projectId, cluster), { day: usage.day, txs: usage.txs - 1 });
+    }
+  });
+}
@@ -0,0 +1,263 @@
+/**
+ * Pricing for MacGas
+ *
+ * The one place that knows what SOL and the accepted tokens are worth.
+ * Token quotes, deposit credits, x402 prices and the rate strings shown to
+ * users all convert through here, so the same dollars always buy the same
+ * amount of sponsorship.
+ *
+ * Tokens have a fixed USD price (tokens.mjs). The SOL/USD price comes from
+ * a price source:
+ *   static - a configured price (default $100)
+ *   file   - a JSON file kept up to date by another process:
+ *            { "SOL": 142.5, "updatedAt": "2026-01-01T00:00:00Z" }
+ *   pyth   - a Pyth PriceUpdateV2 account read through our RPC
+ *
+ * A price older than maxAgeMs is stale and token conversions throw until a
+ * fresh one arrives. Conversions apply a spread (in MacGas's favor) on top
+ * of the SOL price.
+ */
+
+import { readFileSync, statSync } from 'fs';
+import { rpcRequest } from './rpc.mjs';
+import { TOKENS, ASSETS, assetDecimals } from './tokens.mjs';
+
+export const PRICE_SOURCES = ['static', 'file', 'pyth'];
+
+// A typical transaction (1 signature, no priority fee), used for estimates and rates
+export const REFERENCE_TX_LAMPORTS = 5000;
+
+const LAMPORTS_PER_SOL = 1e9;
+
+// Absorbs float error so exact conversions don't round a unit the wrong way
+const EPSILON = 1e-9;
+
+let config = {
+  source: 'static',
+  solUsd: 100,
+  file: null,
+  pythAccount: null,
+  rpcUrl: null,
+  maxAgeMs: 300_000,
+  spreadBps: 0
+};
+
+// Last good SOL price: { solUsd, publishedAt, fetchedAt }
+let current = null;
+
+/**
+ * Set the price source and bounds. A static price is available immediately;
+ * other sources need refreshPrice().
+ * @param {Object} options
+ * @param {string} [options.source] - static | file | pyth
+ * @param {number} [options.solUsd] - Static SOL/USD price
+ * @param {string} [options.file] - Price file (file source)
+ * @param {string} [options.pythAccount] - PriceUpdateV2 account (pyth source)
+ * @param {string} [options.rpcUrl] - RPC to read the Pyth account from
+ * @param {number} [options.maxAgeMs] - Oldest price still used for conversions
+ * @param {number} [options.spreadBps] - Added to the SOL price, in basis points
+ */
+export function configurePricing(options) {
+  const next = { ...config, ...options };
+
+  if (!PRICE_SOURCES.includes(next.source)) {
+    throw new Error(`PRICE_SOURCE must be one of ${PRICE_SOURCES.join(', ')}`);
+  }
+  if (next.source === 'static' && !(next.solUsd > 0)) throw new Error('SOL_USD_PRICE must be a positive number');
+  if (next.source === 'file' && !next.file) throw new Error('PRICE_FEED_FILE is required for the file price source');
+  if (next.source === 'pyth' && !next.pythAccount) throw new Error('PYTH_SOL_USD_ACCOUNT is required for the pyth price source');
+  if (!Number.isInteger(next.spreadBps) || next.spreadBps < 0) throw new Error('PRICE_SPREAD_BPS must be a non-negative integer');
+
+  config = next;
+  current = null;
+  if (config.source === 'static') {
+    current = { solUsd: config.solUsd, publishedAt: Date.now(), fetchedAt: Date.now() };
+  }
+}
+
+// { solUsd, publishedAt } from the price file
+function readPriceFile(file) {
+  const feed = JSON.parse(readFileSync(file, 'utf8'));
+  const updatedAt = feed.updatedAt ?? statSync(file).mtimeMs;
+  return {
+    solUsd: Number(feed.SOL),
+    publishedAt: typeof updatedAt === 'number' ? updatedAt : Date.parse(updatedAt)
+  };
+}
+
+/**
+ * Decode a Pyth PriceUpdateV2 account (pull oracle)
+ * @param {Buffer} data - Account data
+ * @returns {{ solUsd: number, confidence: number, publishedAt: number }}
+ */
+export function decodePythPriceUpdate(data) {
+  // discriminator (8) + write authority (32), then the verification level enum
+  let offset = 40;
+  const level = data[offset];
+  if (level !== 1) throw new Error('Pyth price update is not fully verified');
+  offset += 1;
+
+  // PriceFeedMessage: feed id (32), price i64, conf u64, exponent i32, publish time i64
+  offset += 32;
+  const price = data.readBigInt64LE(offset);
+  const conf = data.readBigUInt64LE(offset + 8);
+  const exponent = data.readInt32LE(offset + 16);
+  const publishTime = data.readBigInt64LE(offset + 20);
+
+  return {
+    solUsd: Number(price) * 10 ** exponent,
+    confidence: Number(conf) * 10 ** exponent,
+    publishedAt: Number(publishTime) * 1000
+  };
+}
+
+async function readPythAccount(rpcUrl, account) {
+  const info = await rpcRequest(rpcUrl, 'getAccountInfo', [account, { encoding: 'base64', commitment: 'confirmed' }]);
+  if (!info?.value) throw new Error('Pyth account not found: ' + account);
+  return decodePythPriceUpdate(Buffer.from(info.value.data[0], 'base64'));
+}
+
+/**
+ * Fetch the SOL price from the configured source. On failure the previous
+ * price is kept (and goes stale after maxAgeMs).
+ * @returns {Promise<Object>} The current price
+ */
+export async function refreshPrice() {
+  let next;
+  if (config.source === 'static') {
+    next = { solUsd: config.solUsd, publishedAt: Date.now() };
+  } else if (config.source === 'file') {
+    next = readPriceFile(config.file);
+  } else {
+    next = await readPythAccount(config.rpcUrl, config.pythAccount);
+  }
+
+  if (!(next.solUsd > 0) || !Number.isFinite(next.publishedAt)) {
+    throw new Error(`Invalid price from ${config.source} source`);
+  }
+
+  current = { solUsd: next.solUsd, publishedAt: next.publishedAt, fetchedAt: Date.now() };
+  return current;
+}
+
+/**
+ * SOL/USD price used for conversions (spread included)
+ * @returns {number}
+ * @throws if there is no price yet or it is older than maxAgeMs
+ */
+export function getSolPrice() {
+  if (!current) throw new Error('No SOL price yet');
+  const ageMs = Date.now() - current.publishedAt;
+  if (config.source !== 'static' && ageMs > config.maxAgeMs) {
+    throw new Error(`SOL price is stale (${Math.round(ageMs / 1000)}s old)`);
+  }
+  return current.solUsd * (1 + config.spreadBps / 10_000);
+}
+
+/**
+ * Whether conversions can be priced right now
+ * @returns {boolean}
+ */
+export function isPriceAvailable() {
+  try {
+    getSolPrice();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * USD value of a lamport amount
+ * @param {number} lamports
+ * @returns {number}
+ */
+export function lamportsToUsd(lamports) {
+  return lamports * getSolPrice() / LAMPORTS_PER_SOL;
+}
+
+/**
+ * Price a lamport cost in an asset, rounded up
+ * @param {number} lamports
+ * @param {string} asset - SOL or a token symbol
+ * @returns {number} Base units of the asset
+ * @throws if the asset is a token and the price is unavailable
+ */
+export function lamportsToAsset(lamports, asset) {
+  if (asset === 'SOL') return lamports;
+  const token = TOKENS[asset];
+  return Math.ceil(lamports * getSolPrice() * 10 ** token.decimals / (LAMPORTS_PER_SOL * token.usdPrice) - EPSILON);
+}
+
+/**
+ * Lamport value of an asset amount, rounded down
+ * @param {number} amount - Base units
+ * @param {string} asset - SOL or a token symbol
+ * @returns {number} Lamports
+ * @throws if the asset is a token and the price is unavailable
+ */
+export function assetToLamports(amount, asset) {
+  if (asset === 'SOL') return amount;
+  const token = TOKENS[asset];
+  return Math.floor(amount * token.usdPrice * LAMPORTS_PER_SOL / (10 ** token.decimals * getSolPrice()) + EPSILON);
+}
+
+/**
+ * USD price of one reference transaction
+ * @returns {number}
+ */
+export function txCostUsd() {
+  return lamportsToUsd(REFERENCE_TX_LAMPORTS);
+}
+
+/**
+ * Reference transactions one whole unit of an asset pays for
+ * @param {string} asset
+ * @returns {number}
+ */
+export function txsPerUnit(asset) {
+  return Math.floor(10 ** assetDecimals(asset) / lamportsToAsset(REFERENCE_TX_LAMPORTS, asset));
+}
+
+/**
+ * Rate string for users, e.g. "1 USDC = 2,000 transactions"
+ * @param {string} asset
+ * @returns {string}
+ */
+export function describeRate(asset) {
+  return `1 ${asset} = ${txsPerUnit(asset).toLocaleString('en-US')} transactions`;
+}
+
+/**
+ * Everything GET /pricing shows
+ * @returns {Object}
+ */
+export function describePricing() {
+  const available = isPriceAvailable();
+  const assets = {};
+  for (const asset of ASSETS) {
+    assets[asset] = {
+      decimals: assetDecimals(asset),
+      usdPrice: asset === 'SOL' ? (available ? getSolPrice() : null) : TOKENS[asset].usdPrice,
+      txCost: available ? lamportsToAsset(REFERENCE_TX_LAMPORTS, asset) : null,
+      txsPerUnit: available ? txsPerUnit(asset) : null
+    };
+  }
+
+  return {
+    source: config.source,
+    available,
+    sol: current && {
+      usd: current.solUsd,
+      publishedAt: new Date(current.publishedAt).toISOString(),
+      ageMs: Date.now() - current.publishedAt
+    },
+    maxAgeMs: config.maxAgeMs,
+    spreadBps: config.spreadBps,
+    referenceTx: {
+      lamports: REFERENCE_TX_LAMPORTS,
+      usd: available ? txCostUsd() : null
+    },
+    assets
+  };
+}
@@ -0,0 +1,35 @@
+/**
+ * Minimal Solana JSON-RPC client for MacGas
+ *
+ * Plain fetch wrapper - no web3.js dependency.
+ */
+
+/**
+ * Call a Solana JSON-RPC method
+ * @param {string} url - RPC endpoint
+ * @param {string} method - JSON-RPC method name
+ * @param {Array} params - Method params
+ * @returns {Promise<any>} The `result` field of the response
+ */
+export async function rpcRequest(url, method, params = []) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      jsonrpc: '2.0',
+      id: Date.now(),
+      method,
+      params
+    })
+  });
+
+  const json = await response.json();
+
+  if (json.error) {
+    const err = new Error(json.error.message || `${method} failed`);
+    err.rpcError = json.error;
+    throw err;
+  }
+
+  return json.result;
+}
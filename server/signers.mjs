@@ -0,0 +1,154 @@
+/**
+ * Fee payer signers for MacGas
+ *
+ * Every cluster signs as its fee payer through a Signer:
+ *   { kind, publicKey, signTransaction(transaction) }
+ * signTransaction resolves to the base64 transaction with the fee payer's
+ * signature added (not sent). It rejects with `err.rejected = true` when the
+ * signer refused the transaction - the caller's fault, a 400 - and with a
+ * plain error when the signer could not be reached.
+ *
+ *   keypair - the fee payer key lives in this process (keypair.mjs), loaded
+ *             from <PREFIX>FEE_PAYER_KEY_PATH (a Solana CLI keypair file) or
+ *             <PREFIX>FEE_PAYER_KEY (JSON bytes or base58). No network hop,
+ *             and nothing else to run.
+ *   kora    - a Kora JSON-RPC server at <PREFIX>KORA_URL holds the key and
+ *             signs as <PREFIX>FEE_PAYER, authenticated with
+ *             <PREFIX>KORA_API_KEY if set.
+ *
+ * <PREFIX>FEE_PAYER_SIGNER picks one; by default a configured key wins.
+ * PREFIX is empty for mainnet and e.g. DEVNET_ elsewhere (clusters.mjs).
+ */
+
+import { loadKeypair, parseKeypair, signTransaction } from './keypair.mjs';
+import { isValidAddress } from './solana-tx.mjs';
+
+export const SIGNER_KINDS = ['keypair', 'kora'];
+
+// A refusal by the signer, as opposed to the signer being unreachable
+function rejection(message) {
+  const err = new Error(message);
+  err.rejected = true;
+  return err;
+}
+
+/**
+ * Signer holding the fee payer keypair in-process (legacy and v0 transactions)
+ * @param {Object} keypair - From loadKeypair or parseKeypair
+ * @returns {Object} Signer
+ */
+export function createKeypairSigner(keypair) {
+  return {
+    kind: 'keypair',
+    publicKey: keypair.publicKey,
+
+    async signTransaction(transaction) {
+      try {
+        return signTransaction(transaction, keypair);
+      } catch (err) {
+        throw rejection('Cannot sign: ' + err.message);
+      }
+    }
+  };
+}
+
+/**
+ * Signer backed by a Kora server (its signTransaction method; Kora signs but doesn't send)
+ * @param {Object} config
+ * @param {string} config.url - Kora JSON-RPC endpoint
+ * @param {string} [config.apiKey] - Sent as x-api-key
+ * @param {string} config.publicKey - The fee payer Kora signs as
+ * @returns {Object} Signer
+ */
+export function createKoraSigner({ url, apiKey, publicKey }) {
+  return {
+    kind: 'kora',
+    publicKey,
+    url,
+
+    async signTransaction(transaction) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey && { 'x-api-key': apiKey })
+        },
+        body: JSON.stringify({
+          jsonrpc: '2.0',
+          id: Date.now(),
+          method: 'signTransaction',
+          params: { transaction }
+        })
+      });
+
+      const text = await response.text();
+      if (!text) throw new Error('Empty response from Kora');
+
+      let json;
+      try {
+        json = JSON.parse(text);
+      } catch (err) {
+        throw new Error('Invalid JSON from Kora: ' + text.substring(0, 100));
+      }
+
+      if (json.error) throw rejection(json.error.message || 'Kora error');
+      if (!json.result?.signed_transaction) throw new Error('No signed transaction from Kora');
+      return json.result.signed_transaction;
+    }
+  };
+}
+
+/**
+ * Short description of a signer for logs, e.g. "kora at http://127.0.0.1:8080"
+ * @param {Object} signer
+ * @returns {string}
+ */
+export function describeSigner(signer) {
+  return signer.kind === 'kora' ? 'kora at ' + signer.url : signer.kind;
+}
+
+/**
+ * The fee payer signer a cluster's environment configures
+ * @param {string} cluster - Cluster name, for messages
+ * @param {string} prefix - Env var prefix: '' for mainnet, e.g. 'DEVNET_'
+ * @param {Object} [defaults] - { signer, keyPath, koraUrl, feePayer } when the env doesn't say
+ * @returns {Object|null} Signer, or null if there is no key to sign with (the cluster is off)
+ * @throws if the configuration is invalid
+ */
+export function signerFromEnv(cluster, prefix, defaults = {}) {
+  const env = (name) => process.env[prefix + name];
+  const keyPath = env('FEE_PAYER_KEY_PATH') || defaults.keyPath;
+  const hasKey = Boolean(env('FEE_PAYER_KEY') || env('FEE_PAYER_KEY_PATH'));
+
+  const kind = env('FEE_PAYER_SIGNER') || (hasKey ? 'keypair' : defaults.signer || 'keypair');
+  if (!SIGNER_KINDS.includes(kind)) {
+    throw new Error(`${prefix}FEE_PAYER_SIGNER must be one of ${SIGNER_KINDS.join(', ')}`);
+  }
+
+  if (kind === 'kora') {
+    const url = env('KORA_URL') || defaults.koraUrl;
+    const publicKey = env('FEE_PAYER') || defaults.feePayer;
+    if (!url) throw new Error(`${prefix}KORA_URL is required to sign with Kora on ${cluster}`);
+    if (!isValidAddress(publicKey || '')) throw new Error(`${prefix}FEE_PAYER must be the address Kora signs as on ${cluster}`);
+    return createKoraSigner({ url, apiKey: env('KORA_API_KEY'), publicKey });
+  }
+
+  let keypair;
+  try {
+    if (env('FEE_PAYER_KEY')) {
+      keypair = parseKeypair(env('FEE_PAYER_KEY'));
+    } else if (keyPath) {
+      keypair = loadKeypair(keyPath);
+    }
+  } catch (err) {
+    const source = env('FEE_PAYER_KEY') ? prefix + 'FEE_PAYER_KEY' : keyPath;
+    console.warn(`[SIGNER] No ${cluster} fee payer keypair at ${source} (${err.message}); ${cluster} sponsorship is off`);
+    return null;
+  }
+  if (!keypair) return null;
+
+  if (env('FEE_PAYER') && env('FEE_PAYER') !== keypair.publicKey) {
+    throw new Error(`${prefix}FEE_PAYER is ${env('FEE_PAYER')} but the ${cluster} fee payer key is ${keypair.publicKey}`);
+  }
+  return createKeypairSigner(keypair);
+}
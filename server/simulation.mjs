@@ -0,0 +1,97 @@
+/**
+ * Preflight simulation for sponsored transactions
+ *
+ * We broadcast with skipPreflight, so a transaction that fails on-chain
+ * still burns the fee payer's SOL. Simulating the signed transaction first
+ * lets /sign_and_send reject it - uncharged - with the logs and a readable
+ * error instead.
+ */
+
+import { rpcRequest } from './rpc.mjs';
+import { SYSTEM_PROGRAM_ID, TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID, ASSOCIATED_TOKEN_PROGRAM_ID } from './solana-tx.mjs';
+
+// Custom error codes of the programs in the default allowlist
+const SYSTEM_ERRORS = [
+  'AccountAlreadyInUse', 'ResultWithNegativeLamports', 'InvalidProgramId', 'InvalidAccountDataLength',
+  'MaxSeedLengthExceeded', 'AddressWithSeedMismatch', 'NonceNoRecentBlockhashes', 'NonceBlockhashNotExpired',
+  'NonceUnexpectedBlockhashValue'
+];
+
+const TOKEN_ERRORS = [
+  'NotRentExempt', 'InsufficientFunds', 'InvalidMint', 'MintMismatch', 'OwnerMismatch', 'FixedSupply',
+  'AlreadyInUse', 'InvalidNumberOfProvidedSigners', 'InvalidNumberOfRequiredSigners', 'UninitializedState',
+  'NativeNotSupported', 'NonNativeHasBalance', 'InvalidInstruction', 'InvalidState', 'Overflow',
+  'AuthorityTypeNotSupported', 'MintCannotFreeze', 'AccountFrozen', 'MintDecimalsMismatch',
+  'NonNativeNotSupported'
+];
+
+const ATA_ERRORS = ['InvalidOwner'];
+
+const PROGRAM_ERRORS = {
+  [SYSTEM_PROGRAM_ID]: SYSTEM_ERRORS,
+  [TOKEN_PROGRAM_ID]: TOKEN_ERRORS,
+  [TOKEN_2022_PROGRAM_ID]: TOKEN_ERRORS,
+  [ASSOCIATED_TOKEN_PROGRAM_ID]: ATA_ERRORS
+};
+
+/**
+ * Turn a runtime TransactionError into something readable
+ * @param {string|Object} err - `err` from simulateTransaction / getSignatureStatuses
+ * @param {Object} [tx] - Decoded transaction, to name the failing program
+ * @returns {Object} { type, message, instruction?, programId?, customCode?, customError? }
+ */
+export function decodeTransactionError(err, tx) {
+  // Unit variants come back as plain strings, e.g. "BlockhashNotFound"
+  if (typeof err === 'string') {
+    return { type: err, message: err };
+  }
+
+  const [type, detail] = Object.entries(err)[0] || ['Unknown', null];
+
+  if (type !== 'InstructionError') {
+    return { type, message: `${type}: ${JSON.stringify(detail)}`, detail };
+  }
+
+  const [instruction, reason] = detail;
+  const ix = tx?.instructions[instruction];
+  const programId = ix ? tx.staticAccountKeys[ix.programIdIndex] : null;
+  const decoded = { type, instruction, programId };
+
+  if (typeof reason === 'object' && reason !== null && 'Custom' in reason) {
+    decoded.customCode = reason.Custom;
+    decoded.customError = PROGRAM_ERRORS[programId]?.[reason.Custom] || null;
+    decoded.message = `Instruction ${instruction} failed with custom program error 0x${reason.Custom.toString(16)}`
+      + (decoded.customError ? ` (${decoded.customError})` : '');
+  } else {
+    decoded.reason = typeof reason === 'string' ? reason : JSON.stringify(reason);
+    decoded.message = `Instruction ${instruction} failed: ${decoded.reason}`;
+  }
+
+  return decoded;
+}
+
+/**
+ * Simulate a transaction
+ * @param {string} rpcUrl
+ * @param {string} transaction - Base64 wire transaction
+ * @param {Object} [tx] - Decoded transaction, for error decoding
+ * @param {Object} [options]
+ * @param {boolean} [options.sigVerify] - Verify signatures (off for unsigned quotes)
+ * @param {boolean} [options.replaceRecentBlockhash] - Simulate against a fresh blockhash
+ * @returns {Promise<{ ok: boolean, logs: string[], unitsConsumed: number|null, error: Object|null }>}
+ */
+export async function simulateTransaction(rpcUrl, transaction, tx, { sigVerify = true, replaceRecentBlockhash = false } = {}) {
+  const result = await rpcRequest(rpcUrl, 'simulateTransaction', [
+    transaction,
+    { encoding: 'base64', sigVerify, replaceRecentBlockhash, commitment: 'processed' }
+  ]);
+
+  const value = result?.value || {};
+
+  return {
+    ok: !value.err,
+    logs: value.logs || [],
+    unitsConsumed: value.unitsConsumed ?? null,
+    error: value.err ? decodeTransactionError(value.err, tx) : null
+  };
+}
@@ -0,0 +1,480 @@
+/**
+ * Solana transaction decoding for MacGas
+ *
+ * Parses the wire format of legacy and v0 transactions so the server can
+ * inspect what it is about to sponsor before signing it, and writes
+ * it back out when the server changes the blockhash or adds a nonce advance.
+ * Also builds the one transaction MacGas sends itself: a SOL transfer
+ * (treasury top-ups). No web3.js dependency - just Buffers and base58.
+ */
+
+import { rpcRequest } from './rpc.mjs';
+
+// Well-known program IDs
+export const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+export const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+export const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+export const ASSOCIATED_TOKEN_PROGRAM_ID = 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL';
+export const MEMO_PROGRAM_ID = 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr';
+export const MEMO_V1_PROGRAM_ID = 'Memo1UhkJRfHyvLMcVucJwxXeuD728EqVDDwQDxFMNo';
+export const COMPUTE_BUDGET_PROGRAM_ID = 'ComputeBudget111111111111111111111111111111';
+export const SYSVAR_RECENT_BLOCKHASHES_ID = 'SysvarRecentB1ockHashes11111111111111111111';
+
+// Programs every project may call (see docs/SDK.md "Supported Programs")
+export const DEFAULT_ALLOWED_PROGRAMS = [
+  SYSTEM_PROGRAM_ID,
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  MEMO_PROGRAM_ID,
+  MEMO_V1_PROGRAM_ID,
+  COMPUTE_BUDGET_PROGRAM_ID
+];
+
+// Maximum serialized transaction size (IPv6 MTU minus headers)
+export const MAX_TRANSACTION_SIZE = 1232;
+
+// Address lookup table accounts have a 56 byte header before the addresses
+const LOOKUP_TABLE_META_SIZE = 56;
+
+// Nonce accounts: u32 version, u32 state (1 = initialized), authority, nonce, u64 lamports/signature
+export const NONCE_ACCOUNT_SIZE = 80;
+
+// SystemProgram.AdvanceNonceAccount: accounts [nonce, recent blockhashes sysvar, authority]
+const ADVANCE_NONCE_INSTRUCTION = 4;
+
+// SystemProgram.Transfer: accounts [from, to], data u32 index then u64 lamports
+const TRANSFER_INSTRUCTION = 2;
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * Encode bytes as base58
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function base58Encode(bytes) {
+  const digits = [0];
+  for (const byte of bytes) {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = (carry / 58) | 0;
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = (carry / 58) | 0;
+    }
+  }
+
+  let leadingZeros = 0;
+  while (leadingZeros < bytes.length && bytes[leadingZeros] === 0) leadingZeros++;
+
+  let out = '1'.repeat(leadingZeros);
+  if (leadingZeros === bytes.length) return out;
+  for (let i = digits.length - 1; i >= 0; i--) out += BASE58_ALPHABET[digits[i]];
+  return out;
+}
+
+/**
+ * Decode a base58 string
+ * @param {string} str
+ * @returns {Buffer}
+ */
+export function base58Decode(str) {
+  const bytes = [0];
+  for (const char of str) {
+    const value = BASE58_ALPHABET.indexOf(char);
+    if (value < 0) throw new Error('Invalid base58 character: ' + char);
+    let carry = value;
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+
+  let leadingZeros = 0;
+  while (leadingZeros < str.length && str[leadingZeros] === '1') leadingZeros++;
+
+  const body = bytes.reverse();
+  while (body.length > 0 && body[0] === 0) body.shift();
+  return Buffer.from([...new Array(leadingZeros).fill(0), ...body]);
+}
+
+/**
+ * Check that a string is a base58 encoded 32 byte public key
+ * @param {string} address
+ * @returns {boolean}
+ */
+export function isValidAddress(address) {
+  if (typeof address !== 'string' || address.length < 32 || address.length > 44) return false;
+  try {
+    return base58Decode(address).length === 32;
+  } catch {
+    return false;
+  }
+}
+
+// Sequential reader over a transaction buffer
+function createReader(buf) {
+  let offset = 0;
+  const ensure = (n) => {
+    if (offset + n > buf.length) throw new Error('Transaction truncated');
+  };
+  return {
+    get offset() { return offset; },
+    u8() {
+      ensure(1);
+      return buf[offset++];
+    },
+    bytes(n) {
+      ensure(n);
+      const out = buf.subarray(offset, offset + n);
+      offset += n;
+      return out;
+    },
+    // Solana "shortvec" length prefix (1-3 bytes, 7 bits each)
+    compactU16() {
+      let value = 0;
+      for (let shift = 0; shift < 21; shift += 7) {
+        const byte = this.u8();
+        value |= (byte & 0x7f) << shift;
+        if ((byte & 0x80) === 0) return value;
+      }
+      throw new Error('Invalid compact-u16');
+    }
+  };
+}
+
+/**
+ * Decode a base64 wire transaction (legacy or v0)
+ * @param {string} base64 - Serialized transaction
+ * @returns {Object} Decoded transaction
+ */
+export function decodeTransaction(base64) {
+  if (typeof base64 !== 'string' || base64.length === 0) {
+    throw new Error('transaction required (base64)');
+  }
+
+  const buf = Buffer.from(base64, 'base64');
+  const reader = createReader(buf);
+
+  const signatureCount = reader.compactU16();
+  const signatures = [];
+  for (let i = 0; i < signatureCount; i++) {
+    signatures.push(Buffer.from(reader.bytes(64)));
+  }
+
+  const messageOffset = reader.offset;
+
+  // Versioned messages set the high bit of the first byte
+  let version = 'legacy';
+  const first = reader.u8();
+  let numRequiredSignatures;
+  if (first & 0x80) {
+    version = first & 0x7f;
+    if (version !== 0) throw new Error(`Unsupported transaction version: ${version}`);
+    numRequiredSignatures = reader.u8();
+  } else {
+    numRequiredSignatures = first;
+  }
+
+  const header = {
+    numRequiredSignatures,
+    numReadonlySignedAccounts: reader.u8(),
+    numReadonlyUnsignedAccounts: reader.u8()
+  };
+
+  const keyCount = reader.compactU16();
+  const staticAccountKeys = [];
+  for (let i = 0; i < keyCount; i++) {
+    staticAccountKeys.push(base58Encode(reader.bytes(32)));
+  }
+
+  const recentBlockhash = base58Encode(reader.bytes(32));
+
+  const instructionCount = reader.compactU16();
+  const instructions = [];
+  for (let i = 0; i < instructionCount; i++) {
+    const programIdIndex = reader.u8();
+    const accountCount = reader.compactU16();
+    const accountIndexes = Array.from(reader.bytes(accountCount));
+    const dataLength = reader.compactU16();
+    const data = Buffer.from(reader.bytes(dataLength));
+    instructions.push({ programIdIndex, accountIndexes, data });
+  }
+
+  const addressTableLookups = [];
+  if (version === 0) {
+    const lookupCount = reader.compactU16();
+    for (let i = 0; i < lookupCount; i++) {
+      const accountKey = base58Encode(reader.bytes(32));
+      const writableIndexes = Array.from(reader.bytes(reader.compactU16()));
+      const readonlyIndexes = Array.from(reader.bytes(reader.compactU16()));
+      addressTableLookups.push({ accountKey, writableIndexes, readonlyIndexes });
+    }
+  }
+
+  if (reader.offset !== buf.length) {
+    throw new Error('Unexpected trailing bytes in transaction');
+  }
+
+  if (signatureCount !== header.numRequiredSignatures) {
+    throw new Error('Signature count does not match message header');
+  }
+
+  if (staticAccountKeys.length < header.numRequiredSignatures) {
+    throw new Error('Not enough account keys for required signers');
+  }
+
+  for (const ix of instructions) {
+    if (ix.programIdIndex >= staticAccountKeys.length) {
+      throw new Error('Program ID must be a static account key');
+    }
+  }
+
+  return {
+    version,
+    signatures,
+    header,
+    staticAccountKeys,
+    recentBlockhash,
+    instructions,
+    addressTableLookups,
+    feePayer: staticAccountKeys[0],
+    messageBytes: buf.subarray(messageOffset),
+    size: buf.length
+  };
+}
+
+// Solana "shortvec" length prefix (1-3 bytes, 7 bits each)
+function encodeCompactU16(value) {
+  const bytes = [];
+  do {
+    let byte = value & 0x7f;
+    value >>= 7;
+    if (value) byte |= 0x80;
+    bytes.push(byte);
+  } while (value);
+  return Buffer.from(bytes);
+}
+
+/**
+ * Serialize a decoded transaction (the inverse of decodeTransaction)
+ * @param {Object} tx - Decoded transaction, possibly modified
+ * @returns {string} Base64 wire transaction
+ */
+export function encodeTransaction(tx) {
+  const { header } = tx;
+  const parts = [encodeCompactU16(tx.signatures.length), ...tx.signatures];
+
+  if (tx.version === 0) parts.push(Buffer.from([0x80]));
+  parts.push(Buffer.from([header.numRequiredSignatures, header.numReadonlySignedAccounts, header.numReadonlyUnsignedAccounts]));
+
+  parts.push(encodeCompactU16(tx.staticAccountKeys.length), ...tx.staticAccountKeys.map(base58Decode));
+  parts.push(base58Decode(tx.recentBlockhash));
+
+  parts.push(encodeCompactU16(tx.instructions.length));
+  for (const ix of tx.instructions) {
+    parts.push(Buffer.from([ix.programIdIndex]));
+    parts.push(encodeCompactU16(ix.accountIndexes.length), Buffer.from(ix.accountIndexes));
+    parts.push(encodeCompactU16(ix.data.length), ix.data);
+  }
+
+  if (tx.version === 0) {
+    parts.push(encodeCompactU16(tx.addressTableLookups.length));
+    for (const lookup of tx.addressTableLookups) {
+      parts.push(base58Decode(lookup.accountKey));
+      parts.push(encodeCompactU16(lookup.writableIndexes.length), Buffer.from(lookup.writableIndexes));
+      parts.push(encodeCompactU16(lookup.readonlyIndexes.length), Buffer.from(lookup.readonlyIndexes));
+    }
+  }
+
+  return Buffer.concat(parts).toString('base64');
+}
+
+/**
+ * Unsigned legacy transaction moving SOL, paid for by the sender
+ * @param {Object} transfer
+ * @param {string} transfer.from - Sender and fee payer
+ * @param {string} transfer.to
+ * @param {number} transfer.lamports
+ * @param {string} transfer.recentBlockhash
+ * @returns {string} Base64 wire transaction with an empty signature slot
+ */
+export function buildSolTransfer({ from, to, lamports, recentBlockhash }) {
+  const data = Buffer.alloc(12);
+  data.writeUInt32LE(TRANSFER_INSTRUCTION, 0);
+  data.writeBigUInt64LE(BigInt(lamports), 4);
+
+  return encodeTransaction({
+    version: 'legacy',
+    signatures: [Buffer.alloc(64)],
+    header: { numRequiredSignatures: 1, numReadonlySignedAccounts: 0, numReadonlyUnsignedAccounts: 1 },
+    staticAccountKeys: [from, to, SYSTEM_PROGRAM_ID],
+    recentBlockhash,
+    instructions: [{ programIdIndex: 2, accountIndexes: [0, 1], data }],
+    addressTableLookups: []
+  });
+}
+
+/**
+ * Whether any signature slot of a transaction is filled in
+ * @param {Object} tx - Decoded transaction
+ * @returns {boolean}
+ */
+export function hasSignatures(tx) {
+  return tx.signatures.some(sig => sig.some(byte => byte !== 0));
+}
+
+/**
+ * The durable nonce a transaction uses: its first instruction advances a nonce account
+ * @param {Object} tx - Decoded transaction
+ * @param {Array} [accountKeys] - Resolved account keys; static keys only if omitted
+ * @returns {{ nonceAccount: string, authority: string }|null}
+ */
+export function getNonceAdvance(tx, accountKeys) {
+  const ix = tx.instructions[0];
+  if (!ix || tx.staticAccountKeys[ix.programIdIndex] !== SYSTEM_PROGRAM_ID) return null;
+  if (ix.data.length !== 4 || ix.data.readUInt32LE(0) !== ADVANCE_NONCE_INSTRUCTION || ix.accountIndexes.length < 3) return null;
+
+  const keyAt = (i) => accountKeys ? accountKeys[ix.accountIndexes[i]]?.pubkey : tx.staticAccountKeys[ix.accountIndexes[i]];
+  return { nonceAccount: keyAt(0), authority: keyAt(2) };
+}
+
+/**
+ * Rebuild a transaction on a durable nonce: the nonce becomes its blockhash and
+ * an AdvanceNonceAccount instruction goes first. Signatures are cleared.
+ * @param {Object} tx - Decoded transaction
+ * @param {Object} nonce - { nonceAccount, authority, nonce }; the authority must sign the transaction
+ * @returns {Object} Decoded transaction, ready for encodeTransaction
+ * @throws if the transaction can't take the nonce
+ */
+export function withDurableNonce(tx, { nonceAccount, authority, nonce }) {
+  const keys = tx.staticAccountKeys;
+  const authorityIndex = keys.indexOf(authority);
+  if (authorityIndex < 0 || authorityIndex >= tx.header.numRequiredSignatures) {
+    throw new Error('Nonce authority ' + authority + ' must be a signer of the transaction');
+  }
+  if (getNonceAdvance(tx)) throw new Error('Transaction already uses a durable nonce');
+  if (keys.includes(nonceAccount)) throw new Error('Transaction already references the nonce account');
+
+  // The nonce account is writable, so it goes last among the writable non-signers;
+  // the sysvar and System program are readonly and go at the end if missing
+  const at = keys.length - tx.header.numReadonlyUnsignedAccounts;
+  const appended = [SYSVAR_RECENT_BLOCKHASHES_ID, SYSTEM_PROGRAM_ID].filter(key => !keys.includes(key));
+  const staticAccountKeys = [...keys.slice(0, at), nonceAccount, ...keys.slice(at), ...appended];
+
+  // Old index -> new index; lookup table indexes come after every static key
+  const shift = (i) => i < at ? i : i < keys.length ? i + 1 : i + 1 + appended.length;
+
+  const data = Buffer.alloc(4);
+  data.writeUInt32LE(ADVANCE_NONCE_INSTRUCTION, 0);
+  const advance = {
+    programIdIndex: staticAccountKeys.indexOf(SYSTEM_PROGRAM_ID),
+    accountIndexes: [at, staticAccountKeys.indexOf(SYSVAR_RECENT_BLOCKHASHES_ID), shift(authorityIndex)],
+    data
+  };
+
+  return {
+    ...tx,
+    signatures: tx.signatures.map(() => Buffer.alloc(64)),
+    header: { ...tx.header, numReadonlyUnsignedAccounts: tx.header.numReadonlyUnsignedAccounts + appended.length },
+    staticAccountKeys,
+    recentBlockhash: nonce,
+    instructions: [
+      advance,
+      ...tx.instructions.map(ix => ({ ...ix, programIdIndex: shift(ix.programIdIndex), accountIndexes: ix.accountIndexes.map(shift) }))
+    ]
+  };
+}
+
+/**
+ * Read an initialized nonce account
+ * @param {string} rpcUrl
+ * @param {string} address - Nonce account
+ * @returns {Promise<{ authority: string, nonce: string, lamportsPerSignature: number }|null>} null if not a nonce account
+ */
+export async function fetchNonceAccount(rpcUrl, address) {
+  const account = await rpcRequest(rpcUrl, 'getAccountInfo', [address, { encoding: 'base64', commitment: 'confirmed' }]);
+  if (!account?.value || account.value.owner !== SYSTEM_PROGRAM_ID) return null;
+
+  const data = Buffer.from(account.value.data[0], 'base64');
+  if (data.length !== NONCE_ACCOUNT_SIZE || data.readUInt32LE(4) !== 1) return null;
+  return {
+    authority: base58Encode(data.subarray(8, 40)),
+    nonce: base58Encode(data.subarray(40, 72)),
+    lamportsPerSignature: Number(data.readBigUInt64LE(72))
+  };
+}
+
+/**
+ * Resolve the full account key list, loading any address lookup tables
+ * @param {Object} tx - Decoded transaction
+ * @param {string} rpcUrl - RPC used to fetch lookup table accounts
+ * @returns {Promise<Array<{pubkey: string, signer: boolean, writable: boolean}>>}
+ */
+export async function resolveAccountKeys(tx, rpcUrl) {
+  const { header, staticAccountKeys } = tx;
+  const numSigners = header.numRequiredSignatures;
+
+  const keys = staticAccountKeys.map((pubkey, i) => ({
+    pubkey,
+    signer: i < numSigners,
+    writable: i < numSigners
+      ? i < numSigners - header.numReadonlySignedAccounts
+      : i < staticAccountKeys.length - header.numReadonlyUnsignedAccounts
+  }));
+
+  if (tx.addressTableLookups.length === 0) return keys;
+
+  const writable = [];
+  const readonly = [];
+
+  for (const lookup of tx.addressTableLookups) {
+    const account = await rpcRequest(rpcUrl, 'getAccountInfo', [lookup.accountKey, { encoding: 'base64' }]);
+    if (!account?.value) {
+      throw new Error('Address lookup table not found: ' + lookup.accountKey);
+    }
+
+    const tableData = Buffer.from(account.value.data[0], 'base64');
+    const addresses = [];
+    for (let offset = LOOKUP_TABLE_META_SIZE; offset + 32 <= tableData.length; offset += 32) {
+      addresses.push(base58Encode(tableData.subarray(offset, offset + 32)));
+    }
+
+    for (const index of lookup.writableIndexes) {
+      if (index >= addresses.length) throw new Error('Lookup table index out of range');
+      writable.push(addresses[index]);
+    }
+    for (const index of lookup.readonlyIndexes) {
+      if (index >= addresses.length) throw new Error('Lookup table index out of range');
+      readonly.push(addresses[index]);
+    }
+  }
+
+  // Loaded addresses follow the static keys: all writable, then all readonly
+  for (const pubkey of writable) keys.push({ pubkey, signer: false, writable: true });
+  for (const pubkey of readonly) keys.push({ pubkey, signer: false, writable: false });
+
+  return keys;
+}
+
+/**
+ * List the distinct top-level programs a transaction invokes
+ * @param {Object} tx - Decoded transaction
+ * @returns {string[]} Program IDs
+ */
+export function getInvokedPrograms(tx) {
+  const programs = new Set();
+  for (const ix of tx.instructions) {
+    programs.add(tx.staticAccountKeys[ix.programIdIndex]);
+  }
+  return [...programs];
+}
@@ -0,0 +1,713 @@
+/**
+ * Storage backends for MacGas
+ *
+ * Two drivers behind the same synchronous interface:
+ *   - sqlite: transactional, WAL-journaled database (production)
+ *   - json:   the original data.json file, written atomically (dev)
+ *
+ * Every method is synchronous, so a store.transaction(fn) callback can
+ * never be interleaved with another request - check-then-debit sequences
+ * inside one transaction are atomic.
+ *
+ * Projects are returned as copies. Mutate them through updateProject()
+ * (or getProject() + saveProject() inside a transaction) so concurrent
+ * handlers never overwrite each other with stale objects.
+ */
+
+import { readFileSync, writeFileSync, existsSync, renameSync } from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+import Database from 'better-sqlite3';
+
+export const STORAGE_DRIVERS = ['sqlite', 'json'];
+
+// Where macgas.db and data.json live unless DATA_DIR says otherwise. Not under the
+// repository: the server serves that as static files, and the store holds webhook
+// secrets and API key hashes.
+export const DEFAULT_DATA_DIR = join(homedir(), '.macgas');
+
+/**
+ * Create a store for the configured driver
+ * @param {Object} options
+ * @param {string} options.driver - sqlite | json
+ * @param {string} options.file - Database or JSON file path
+ * @returns {Object} Store
+ */
+export function createStore({ driver, file }) {
+  if (driver === 'sqlite') return createSqliteStore(file);
+  if (driver === 'json') return createJsonStore(file);
+  throw new Error(`Unknown storage driver: ${driver} (expected ${STORAGE_DRIVERS.join(' or ')})`);
+}
+
+// Shared: apply a mutation to a fresh copy of a project and persist it
+function updateProjectWith(store, id, fn) {
+  return store.transaction(() => {
+    const project = store.getProject(id);
+    if (!project) return null;
+    fn(project);
+    store.saveProject(id, project);
+    return project;
+  });
+}
+
+function assertSync(result) {
+  if (result && typeof result.then === 'function') {
+    throw new Error('store.transaction callbacks must be synchronous');
+  }
+  return result;
+}
+
+// ============ JSON DRIVER ============
+
+function createJsonStore(file) {
+  let state = { projects: {}, ledger: [], apiKeys: {}, transactions: {}, webhooks: {}, webhookDeliveries: {}, deposits: {}, x402Payments: {}, securityEvents: {}, treasuryMovements: {}, state: {} };
+
+  if (existsSync(file)) {
+    const loaded = JSON.parse(readFileSync(file, 'utf-8'));
+    state = {
+      projects: loaded.projects || {},
+      ledger: loaded.ledger || [],
+      apiKeys: loaded.apiKeys || {},
+      transactions: loaded.transactions || {},
+      webhooks: loaded.webhooks || {},
+      webhookDeliveries: loaded.webhookDeliveries || {},
+      deposits: loaded.deposits || {},
+      x402Payments: loaded.x402Payments || {},
+      securityEvents: loaded.securityEvents || {},
+      treasuryMovements: loaded.treasuryMovements || {},
+      state: loaded.state || {}
+    };
+  }
+
+  let depth = 0;
+
+  // Write to a temp file and rename so a crash never leaves half a file
+  function flush() {
+    if (depth > 0) return;
+    const tmp = file + '.tmp';
+    writeFileSync(tmp, JSON.stringify(state, null, 2));
+    renameSync(tmp, file);
+  }
+
+  const store = {
+    driver: 'json',
+
+    getProject(id) {
+      const project = state.projects[id];
+      return project ? structuredClone(project) : null;
+    },
+
+    hasProject(id) {
+      return Object.hasOwn(state.projects, id);
+    },
+
+    listProjects() {
+      return Object.entries(state.projects).map(([id, p]) => ({ id, ...structuredClone(p) }));
+    },
+
+    countProjects() {
+      return Object.keys(state.projects).length;
+    },
+
+    saveProject(id, project) {
+      state.projects[id] = structuredClone(project);
+      flush();
+    },
+
+    updateProject(id, fn) {
+      return updateProjectWith(store, id, fn);
+    },
+
+    appendLedgerEntry(entry) {
+      const recorded = { ...entry, cluster: entry.cluster || 'mainnet', id: entry.id ?? state.ledger.length + 1 };
+      state.ledger.push(recorded);
+      flush();
+      return recorded;
+    },
+
+    queryLedger(projectId, { cluster, limit, before, since, until } = {}) {
+      const entries = [];
+      for (let i = state.ledger.length - 1; i >= 0; i--) {
+        const entry = state.ledger[i];
+        if (projectId && entry.projectId !== projectId) continue;
+        if (cluster && (entry.cluster || 'mainnet') !== cluster) continue;
+        if (before && entry.id >= before) continue;
+        if (since && entry.at < since) continue;
+        if (until && entry.at >= until) continue;
+        entries.push({ ...entry });
+        if (limit && entries.length === limit) break;
+      }
+      return entries;
+    },
+
+    iterateLedger() {
+      return state.ledger.map(entry => ({ ...entry }));
+    },
+
+    countLedgerEntries() {
+      return state.ledger.length;
+    },
+
+    getApiKeyByHash(hash) {
+      const record = Object.values(state.apiKeys).find(k => k.hash === hash);
+      return record ? structuredClone(record) : null;
+    },
+
+    listApiKeys(projectId) {
+      return Object.values(state.apiKeys)
+        .filter(k => k.projectId === projectId)
+        .map(k => structuredClone(k));
+    },
+
+    saveApiKey(record) {
+      state.apiKeys[record.id] = structuredClone(record);
+      flush();
+    },
+
+    getTransaction(signature) {
+      const record = state.transactions[signature];
+      return record ? structuredClone(record) : null;
+    },
+
+    saveTransaction(record) {
+      state.transactions[record.signature] = structuredClone(record);
+      flush();
+    },
+
+    listTransactionsByStatus(statuses) {
+      return Object.values(state.transactions)
+        .filter(t => statuses.includes(t.status))
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .map(t => structuredClone(t));
+    },
+
+    getWebhook(id) {
+      const record = state.webhooks[id];
+      return record ? structuredClone(record) : null;
+    },
+
+    listWebhooks(projectId) {
+      return Object.values(state.webhooks)
+        .filter(w => w.projectId === projectId)
+        .map(w => structuredClone(w));
+    },
+
+    saveWebhook(record) {
+      state.webhooks[record.id] = structuredClone(record);
+      flush();
+    },
+
+    deleteWebhook(id) {
+      delete state.webhooks[id];
+      flush();
+    },
+
+    getWebhookDelivery(id) {
+      const record = state.webhookDeliveries[id];
+      return record ? structuredClone(record) : null;
+    },
+
+    saveWebhookDelivery(record) {
+      state.webhookDeliveries[record.id] = structuredClone(record);
+      flush();
+    },
+
+    listWebhookDeliveries(projectId, { limit, before } = {}) {
+      const deliveries = Object.values(state.webhookDeliveries)
+        .filter(d => d.projectId === projectId && (!before || d.createdAt < before))
+        .sort((a, b) => b.createdAt - a.createdAt);
+      return deliveries.slice(0, limit || deliveries.length).map(d => structuredClone(d));
+    },
+
+    listDueWebhookDeliveries(now) {
+      return Object.values(state.webhookDeliveries)
+        .filter(d => d.status === 'pending' && d.nextAttemptAt <= now)
+        .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+        .map(d => structuredClone(d));
+    },
+
+    getDeposit(signature) {
+      const record = state.deposits[signature];
+      return record ? structuredClone(record) : null;
+    },
+
+    saveDeposit(record) {
+      if (state.deposits[record.signature]) throw new Error('Deposit already recorded: ' + record.signature);
+      state.deposits[record.signature] = structuredClone(record);
+      flush();
+    },
+
+    getX402Payment(signature) {
+      const record = state.x402Payments[signature];
+      return record ? structuredClone(record) : null;
+    },
+
+    findX402PaymentByPayload(payloadHash) {
+      const record = Object.values(state.x402Payments).find(p => p.payloadHash === payloadHash);
+      return record ? structuredClone(record) : null;
+    },
+
+    saveX402Payment(record) {
+      const reused = Object.values(state.x402Payments).some(p => p.payloadHash === record.payloadHash);
+      if (state.x402Payments[record.signature] || reused) {
+        throw new Error('x402 payment already recorded: ' + record.signature);
+      }
+      state.x402Payments[record.signature] = structuredClone(record);
+      flush();
+    },
+
+    saveSecurityEvent(record) {
+      state.securityEvents[record.id] = structuredClone(record);
+      flush();
+    },
+
+    listSecurityEvents(projectId, { limit, before } = {}) {
+      const events = Object.values(state.securityEvents)
+        .filter(e => e.projectId === projectId && (!before || e.at < before))
+        .sort((a, b) => b.at - a.at);
+      return events.slice(0, limit || events.length).map(e => structuredClone(e));
+    },
+
+    saveTreasuryMovement(record) {
+      state.treasuryMovements[record.id] = structuredClone(record);
+      flush();
+    },
+
+    listTreasuryMovements(cluster, { limit, before } = {}) {
+      const movements = Object.values(state.treasuryMovements)
+        .filter(m => m.cluster === cluster && (!before || m.at < before))
+        .sort((a, b) => b.at - a.at);
+      return movements.slice(0, limit || movements.length).map(m => structuredClone(m));
+    },
+
+    getState(key) {
+      return state.state[key] ?? null;
+    },
+
+    setState(key, value) {
+      state.state[key] = value;
+      flush();
+    },
+
+    transaction(fn) {
+      const snapshot = depth === 0 ? structuredClone(state) : null;
+      depth++;
+      try {
+        const result = assertSync(fn());
+        depth--;
+        flush();
+        return result;
+      } catch (err) {
+        depth--;
+        if (snapshot) state = snapshot;
+        throw err;
+      }
+    },
+
+    close() {}
+  };
+
+  return store;
+}
+
+// ============ SQLITE DRIVER ============
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS projects (
+    id TEXT PRIMARY KEY,
+    doc TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS ledger (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    at INTEGER NOT NULL,
+    project_id TEXT NOT NULL,
+    cluster TEXT NOT NULL DEFAULT 'mainnet',
+    type TEXT NOT NULL,
+    asset TEXT NOT NULL,
+    amount INTEGER NOT NULL,
+    debit TEXT NOT NULL,
+    credit TEXT NOT NULL,
+    source TEXT,
+    ref TEXT,
+    memo TEXT,
+    balance_after INTEGER
+  );
+
+  CREATE INDEX IF NOT EXISTS ledger_project_id ON ledger (project_id, id);
+  CREATE INDEX IF NOT EXISTS ledger_project_at ON ledger (project_id, at);
+
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id TEXT PRIMARY KEY,
+    project_id TEXT NOT NULL,
+    hash TEXT NOT NULL UNIQUE,
+    doc TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS api_keys_project ON api_keys (project_id);
+
+  CREATE TABLE IF NOT EXISTS transactions (
+    signature TEXT PRIMARY KEY,
+    project_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    doc TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS transactions_project ON transactions (project_id, created_at);
+  CREATE INDEX IF NOT EXISTS transactions_status ON transactions (status);
+
+  CREATE TABLE IF NOT EXISTS webhooks (
+    id TEXT PRIMARY KEY,
+    project_id TEXT NOT NULL,
+    doc TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS webhooks_project ON webhooks (project_id);
+
+  CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id TEXT PRIMARY KEY,
+    project_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    next_attempt_at INTEGER,
+    created_at INTEGER NOT NULL,
+    doc TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS webhook_deliveries_project ON webhook_deliveries (project_id, created_at);
+  CREATE INDEX IF NOT EXISTS webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+
+  CREATE TABLE IF NOT EXISTS deposits (
+    signature TEXT PRIMARY KEY,
+    project_id TEXT NOT NULL,
+    asset TEXT NOT NULL,
+    doc TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS deposits_project ON deposits (project_id);
+
+  CREATE TABLE IF NOT EXISTS x402_payments (
+    signature TEXT PRIMARY KEY,
+    payload_hash TEXT NOT NULL UNIQUE,
+    project_id TEXT NOT NULL,
+    doc TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS security_events (
+    id TEXT PRIMARY KEY,
+    project_id TEXT NOT NULL,
+    at INTEGER NOT NULL,
+    doc TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS security_events_project ON security_events (project_id, at);
+
+  CREATE TABLE IF NOT EXISTS treasury_movements (
+    id TEXT PRIMARY KEY,
+    cluster TEXT NOT NULL,
+    at INTEGER NOT NULL,
+    doc TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS treasury_movements_cluster ON treasury_movements (cluster, at);
+
+  CREATE TABLE IF NOT EXISTS state (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+`;
+
+function rowToEntry(row) {
+  return {
+    id: row.id,
+    at: row.at,
+    projectId: row.project_id,
+    cluster: row.cluster,
+    type: row.type,
+    asset: row.asset,
+    amount: row.amount,
+    debit: row.debit,
+    credit: row.credit,
+    source: row.source,
+    ref: row.ref,
+    memo: row.memo,
+    balanceAfter: row.balance_after
+  };
+}
+
+function createSqliteStore(file) {
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = FULL');
+  db.exec(SCHEMA);
+
+  // Ledgers created before clusters: every entry so far is mainnet
+  if (!db.prepare('PRAGMA table_info(ledger)').all().some(column => column.name === 'cluster')) {
+    db.exec("ALTER TABLE ledger ADD COLUMN cluster TEXT NOT NULL DEFAULT 'mainnet'");
+  }
+
+  const stmts = {
+    getProject: db.prepare('SELECT doc FROM projects WHERE id = ?'),
+    listProjects: db.prepare('SELECT id, doc FROM projects'),
+    countProjects: db.prepare('SELECT COUNT(*) AS n FROM projects'),
+    saveProject: db.prepare('INSERT INTO projects (id, doc) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET doc = excluded.doc'),
+    appendLedger: db.prepare(`
+      INSERT INTO ledger (id, at, project_id, cluster, type, asset, amount, debit, credit, source, ref, memo, balance_after)
+      VALUES (@id, @at, @projectId, @cluster, @type, @asset, @amount, @debit, @credit, @source, @ref, @memo, @balanceAfter)
+    `),
+    iterateLedger: db.prepare('SELECT * FROM ledger ORDER BY id ASC'),
+    countLedger: db.prepare('SELECT COUNT(*) AS n FROM ledger'),
+    getApiKeyByHash: db.prepare('SELECT doc FROM api_keys WHERE hash = ?'),
+    listApiKeys: db.prepare('SELECT doc FROM api_keys WHERE project_id = ?'),
+    saveApiKey: db.prepare(`
+      INSERT INTO api_keys (id, project_id, hash, doc) VALUES (?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET hash = excluded.hash, doc = excluded.doc
+    `),
+    getTransaction: db.prepare('SELECT doc FROM transactions WHERE signature = ?'),
+    saveTransaction: db.prepare(`
+      INSERT INTO transactions (signature, project_id, status, created_at, doc) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(signature) DO UPDATE SET status = excluded.status, doc = excluded.doc
+    `),
+    listTransactionsByStatus: db.prepare(`
+      SELECT doc FROM transactions WHERE status IN (SELECT value FROM json_each(?)) ORDER BY created_at
+    `),
+    getWebhook: db.prepare('SELECT doc FROM webhooks WHERE id = ?'),
+    listWebhooks: db.prepare('SELECT doc FROM webhooks WHERE project_id = ?'),
+    saveWebhook: db.prepare(`
+      INSERT INTO webhooks (id, project_id, doc) VALUES (?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET doc = excluded.doc
+    `),
+    deleteWebhook: db.prepare('DELETE FROM webhooks WHERE id = ?'),
+    getWebhookDelivery: db.prepare('SELECT doc FROM webhook_deliveries WHERE id = ?'),
+    saveWebhookDelivery: db.prepare(`
+      INSERT INTO webhook_deliveries (id, project_id, status, next_attempt_at, created_at, doc) VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET status = excluded.status, next_attempt_at = excluded.next_attempt_at, doc = excluded.doc
+    `),
+    listDueWebhookDeliveries: db.prepare(`
+      SELECT doc FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at
+    `),
+    getDeposit: db.prepare('SELECT doc FROM deposits WHERE signature = ?'),
+    saveDeposit: db.prepare('INSERT INTO deposits (signature, project_id, asset, doc) VALUES (?, ?, ?, ?)'),
+    getX402Payment: db.prepare('SELECT doc FROM x402_payments WHERE signature = ?'),
+    findX402PaymentByPayload: db.prepare('SELECT doc FROM x402_payments WHERE payload_hash = ?'),
+    saveX402Payment: db.prepare('INSERT INTO x402_payments (signature, payload_hash, project_id, doc) VALUES (?, ?, ?, ?)'),
+    saveSecurityEvent: db.prepare('INSERT INTO security_events (id, project_id, at, doc) VALUES (?, ?, ?, ?)'),
+    saveTreasuryMovement: db.prepare(`
+      INSERT INTO treasury_movements (id, cluster, at, doc) VALUES (?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET doc = excluded.doc
+    `),
+    getState: db.prepare('SELECT value FROM state WHERE key = ?'),
+    setState: db.prepare('INSERT INTO state (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+  };
+
+  const store = {
+    driver: 'sqlite',
+
+    getProject(id) {
+      const row = stmts.getProject.get(id);
+      return row ? JSON.parse(row.doc) : null;
+    },
+
+    hasProject(id) {
+      return !!stmts.getProject.get(id);
+    },
+
+    listProjects() {
+      return stmts.listProjects.all().map(row => ({ id: row.id, ...JSON.parse(row.doc) }));
+    },
+
+    countProjects() {
+      return stmts.countProjects.get().n;
+    },
+
+    saveProject(id, project) {
+      stmts.saveProject.run(id, JSON.stringify(project));
+    },
+
+    updateProject(id, fn) {
+      return updateProjectWith(store, id, fn);
+    },
+
+    appendLedgerEntry(entry) {
+      const info = stmts.appendLedger.run({
+        id: entry.id ?? null,
+        at: entry.at,
+        projectId: entry.projectId,
+        cluster: entry.cluster || 'mainnet',
+        type: entry.type,
+        asset: entry.asset,
+        amount: entry.amount,
+        debit: entry.debit,
+        credit: entry.credit,
+        source: entry.source ?? null,
+        ref: entry.ref ?? null,
+        memo: entry.memo ?? null,
+        balanceAfter: entry.balanceAfter ?? null
+      });
+      return { ...entry, cluster: entry.cluster || 'mainnet', id: Number(info.lastInsertRowid) };
+    },
+
+    queryLedger(projectId, { cluster, limit, before, since, until } = {}) {
+      const where = [];
+      const params = [];
+      if (projectId) { where.push('project_id = ?'); params.push(projectId); }
+      if (cluster) { where.push('cluster = ?'); params.push(cluster); }
+      if (before) { where.push('id < ?'); params.push(before); }
+      if (since) { where.push('at >= ?'); params.push(since); }
+      if (until) { where.push('at < ?'); params.push(until); }
+
+      let sql = 'SELECT * FROM ledger';
+      if (where.length) sql += ' WHERE ' + where.join(' AND ');
+      sql += ' ORDER BY id DESC';
+      if (limit) { sql += ' LIMIT ?'; params.push(limit); }
+
+      return db.prepare(sql).all(...params).map(rowToEntry);
+    },
+
+    *iterateLedger() {
+      for (const row of stmts.iterateLedger.iterate()) yield rowToEntry(row);
+    },
+
+    countLedgerEntries() {
+      return stmts.countLedger.get().n;
+    },
+
+    getApiKeyByHash(hash) {
+      const row = stmts.getApiKeyByHash.get(hash);
+      return row ? JSON.parse(row.doc) : null;
+    },
+
+    listApiKeys(projectId) {
+      return stmts.listApiKeys.all(projectId).map(row => JSON.parse(row.doc));
+    },
+
+    saveApiKey(record) {
+      stmts.saveApiKey.run(record.id, record.projectId, record.hash, JSON.stringify(record));
+    },
+
+    getTransaction(signature) {
+      const row = stmts.getTransaction.get(signature);
+      return row ? JSON.parse(row.doc) : null;
+    },
+
+    saveTransaction(record) {
+      stmts.saveTransaction.run(record.signature, record.projectId, record.status, record.createdAt, JSON.stringify(record));
+    },
+
+    listTransactionsByStatus(statuses) {
+      return stmts.listTransactionsByStatus.all(JSON.stringify(statuses)).map(row => JSON.parse(row.doc));
+    },
+
+    getWebhook(id) {
+      const row = stmts.getWebhook.get(id);
+      return row ? JSON.parse(row.doc) : null;
+    },
+
+    listWebhooks(projectId) {
+      return stmts.listWebhooks.all(projectId).map(row => JSON.parse(row.doc));
+    },
+
+    saveWebhook(record) {
+      stmts.saveWebhook.run(record.id, record.projectId, JSON.stringify(record));
+    },
+
+    deleteWebhook(id) {
+      stmts.deleteWebhook.run(id);
+    },
+
+    getWebhookDelivery(id) {
+      const row = stmts.getWebhookDelivery.get(id);
+      return row ? JSON.parse(row.doc) : null;
+    },
+
+    saveWebhookDelivery(record) {
+      stmts.saveWebhookDelivery.run(
+        record.id, record.projectId, record.status, record.nextAttemptAt ?? null, record.createdAt, JSON.stringify(record)
+      );
+    },
+
+    listWebhookDeliveries(projectId, { limit, before } = {}) {
+      let sql = 'SELECT doc FROM webhook_deliveries WHERE project_id = ?';
+      const params = [projectId];
+      if (before) { sql += ' AND created_at < ?'; params.push(before); }
+      sql += ' ORDER BY created_at DESC';
+      if (limit) { sql += ' LIMIT ?'; params.push(limit); }
+      return db.prepare(sql).all(...params).map(row => JSON.parse(row.doc));
+    },
+
+    listDueWebhookDeliveries(now) {
+      return stmts.listDueWebhookDeliveries.all(now).map(row => JSON.parse(row.doc));
+    },
+
+    getDeposit(signature) {
+      const row = stmts.getDeposit.get(signature);
+      return row ? JSON.parse(row.doc) : null;
+    },
+
+    // Insert only: the primary key makes a second credit for the same signature fail
+    saveDeposit(record) {
+      stmts.saveDeposit.run(record.signature, record.projectId, record.asset, JSON.stringify(record));
+    },
+
+    getX402Payment(signature) {
+      const row = stmts.getX402Payment.get(signature);
+      return row ? JSON.parse(row.doc) : null;
+    },
+
+    findX402PaymentByPayload(payloadHash) {
+      const row = stmts.findX402PaymentByPayload.get(payloadHash);
+      return row ? JSON.parse(row.doc) : null;
+    },
+
+    // Insert only: both the settlement signature and the payload hash are unique
+    saveX402Payment(record) {
+      stmts.saveX402Payment.run(record.signature, record.payloadHash, record.projectId, JSON.stringify(record));
+    },
+
+    saveSecurityEvent(record) {
+      stmts.saveSecurityEvent.run(record.id, record.projectId, record.at, JSON.stringify(record));
+    },
+
+    listSecurityEvents(projectId, { limit, before } = {}) {
+      let sql = 'SELECT doc FROM security_events WHERE project_id = ?';
+      const params = [projectId];
+      if (before) { sql += ' AND at < ?'; params.push(before); }
+      sql += ' ORDER BY at DESC';
+      if (limit) { sql += ' LIMIT ?'; params.push(limit); }
+      return db.prepare(sql).all(...params).map(row => JSON.parse(row.doc));
+    },
+
+    saveTreasuryMovement(record) {
+      stmts.saveTreasuryMovement.run(record.id, record.cluster, record.at, JSON.stringify(record));
+    },
+
+    listTreasuryMovements(cluster, { limit, before } = {}) {
+      let sql = 'SELECT doc FROM treasury_movements WHERE cluster = ?';
+      const params = [cluster];
+      if (before) { sql += ' AND at < ?'; params.push(before); }
+      sql += ' ORDER BY at DESC';
+      if (limit) { sql += ' LIMIT ?'; params.push(limit); }
+      return db.prepare(sql).all(...params).map(row => JSON.parse(row.doc));
+    },
+
+    getState(key) {
+      const row = stmts.getState.get(key);
+      return row ? JSON.parse(row.value) : null;
+    },
+
+    setState(key, value) {
+      stmts.setState.run(key, JSON.stringify(value));
+    },
+
+    transaction(fn) {
+      // better-sqlite3 nests transactions with savepoints
+      return db.transaction(() => assertSync(fn()))();
+    },
+
+    close() {
+      db.close();
+    }
+  };
+
+  return store;
+}
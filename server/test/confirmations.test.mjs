@@ -0,0 +1,75 @@
+/**
+ * Expiry: a transaction that never landed gives back what it used
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createStore } from '../storage.mjs';
+import { reserveSpend, commitSpend, getDailyUsage, getFreeQuota, takeFreeQuota } from '../policies.mjs';
+import { checkConfirmations } from '../confirmations.mjs';
+
+const dir = mkdtempSync(join(tmpdir(), 'macgas-confirmations-'));
+
+// An RPC that has never seen any signature, and whose every blockhash has expired
+const rpc = createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const { id, method, params } = JSON.parse(body);
+    const result = method === 'getSignatureStatuses' ? { value: params[0].map(() => null) } : { value: false };
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ jsonrpc: '2.0', id, result }));
+  });
+});
+let rpcUrl;
+
+before(async () => {
+  await new Promise(resolve => rpc.listen(0, '127.0.0.1', resolve));
+  rpcUrl = `http://127.0.0.1:${rpc.address().port}`;
+});
+after(() => {
+  rpc.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+describe('checkConfirmations', () => {
+  test('an expired free-cluster transaction hands back its quota slot and policy usage', async () => {
+    const store = createStore({ driver: 'json', file: join(dir, 'data.json') });
+    const devnet = { name: 'devnet', pricing: { free: true, dailyTxLimit: 5 } };
+    const cost = { baseFee: 5000, priorityFee: 0, computeUnitPriceMicroLamports: '0', rent: 0, rentAccounts: [], networkCost: 5000 };
+
+    // What sendFree records for a sent transaction
+    const { reservation } = reserveSpend(store, { projectId: 'p', cluster: 'devnet', policy: { maxTxsPerDay: 5 }, cost, user: 'alice', free: true });
+    takeFreeQuota(store, devnet, 'p');
+    commitSpend(store, reservation);
+    store.saveTransaction({
+      signature: 'sig1',
+      projectId: 'p',
+      network: 'devnet',
+      feePayer: 'feePayer',
+      user: 'alice',
+      status: 'sent',
+      createdAt: Date.now(),
+      recentBlockhash: 'blockhash',
+      nonceAccount: null,
+      cost,
+      charged: null
+    });
+    assert.equal(getFreeQuota(store, devnet, 'p').used, 1);
+
+    const counts = await checkConfirmations(store, rpcUrl, 'devnet');
+
+    assert.deepEqual(counts, { checked: 1, updated: 0, expired: 1 });
+    assert.equal(store.getTransaction('sig1').status, 'expired');
+    assert.equal(getFreeQuota(store, devnet, 'p').used, 0);
+
+    const usage = getDailyUsage(store, 'p', Date.now(), 'devnet');
+    assert.equal(usage.txs, 0);
+    assert.equal(usage.lamports, 0);
+    assert.deepEqual(usage.users.alice, { txs: 0, lamports: 0 });
+  });
+});
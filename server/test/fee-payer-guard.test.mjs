@@ -0,0 +1,170 @@
+/**
+ * Fee payer guard: every use of the fee payer beyond fees and funded account creations is misuse
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'crypto';
+import {
+  SYSTEM_PROGRAM_ID,
+  TOKEN_PROGRAM_ID,
+  MEMO_PROGRAM_ID,
+  SYSVAR_RECENT_BLOCKHASHES_ID,
+  base58Encode,
+  decodeTransaction,
+  encodeTransaction,
+  resolveAccountKeys
+} from '../solana-tx.mjs';
+import { findFeePayerMisuse } from '../fee-payer-guard.mjs';
+
+const address = () => base58Encode(randomBytes(32));
+
+const feePayer = address();
+const user = address();
+
+// Account metas of an instruction
+const signer = (pubkey) => ({ pubkey, signer: true, writable: true });
+const writable = (pubkey) => ({ pubkey, signer: false, writable: true });
+const readonly = (pubkey) => ({ pubkey, signer: false, writable: false });
+
+function systemInstruction(kind, size) {
+  const data = Buffer.alloc(size);
+  data.writeUInt32LE(kind, 0);
+  return data;
+}
+
+const transfer = (from, to) => ({
+  program: SYSTEM_PROGRAM_ID,
+  accounts: [signer(from), writable(to)],
+  data: systemInstruction(2, 12)
+});
+
+const createAccount = (from, account) => ({
+  program: SYSTEM_PROGRAM_ID,
+  accounts: [signer(from), signer(account)],
+  data: systemInstruction(0, 52)
+});
+
+const advanceNonce = (nonceAccount, authority) => ({
+  program: SYSTEM_PROGRAM_ID,
+  accounts: [writable(nonceAccount), readonly(SYSVAR_RECENT_BLOCKHASHES_ID), signer(authority)],
+  data: systemInstruction(4, 4)
+});
+
+const tokenTransfer = (source, destination, authority) => ({
+  program: TOKEN_PROGRAM_ID,
+  accounts: [writable(source), writable(destination), signer(authority)],
+  data: Buffer.from([3, 0, 0, 0, 0, 0, 0, 0, 0])
+});
+
+const memo = (by) => ({
+  program: MEMO_PROGRAM_ID,
+  accounts: [signer(by)],
+  data: Buffer.from('hello')
+});
+
+// Compile instructions into a legacy transaction paid by the fee payer, through the wire format
+async function compile(instructions) {
+  const metas = new Map([[feePayer, { signer: true, writable: true }]]);
+  const add = (pubkey, signer, writable) => {
+    const meta = metas.get(pubkey) || { signer: false, writable: false };
+    metas.set(pubkey, { signer: meta.signer || signer, writable: meta.writable || writable });
+  };
+  for (const ix of instructions) {
+    for (const account of ix.accounts) add(account.pubkey, account.signer, account.writable);
+    add(ix.program, false, false);
+  }
+
+  const group = (signer, writable) => [...metas].filter(([, m]) => m.signer === signer && m.writable === writable).map(([key]) => key);
+  const keys = [...group(true, true), ...group(true, false), ...group(false, true), ...group(false, false)];
+  const numRequiredSignatures = group(true, true).length + group(true, false).length;
+
+  const tx = decodeTransaction(encodeTransaction({
+    version: 'legacy',
+    signatures: Array.from({ length: numRequiredSignatures }, () => Buffer.alloc(64)),
+    header: {
+      numRequiredSignatures,
+      numReadonlySignedAccounts: group(true, false).length,
+      numReadonlyUnsignedAccounts: group(false, false).length
+    },
+    staticAccountKeys: keys,
+    recentBlockhash: address(),
+    instructions: instructions.map(ix => ({
+      programIdIndex: keys.indexOf(ix.program),
+      accountIndexes: ix.accounts.map(account => keys.indexOf(account.pubkey)),
+      data: ix.data
+    })),
+    addressTableLookups: []
+  }));
+  return { tx, accountKeys: await resolveAccountKeys(tx) };
+}
+
+async function misuseOf(instructions, options) {
+  const { tx, accountKeys } = await compile(instructions);
+  return findFeePayerMisuse(tx, accountKeys, feePayer, options);
+}
+
+describe('findFeePayerMisuse', () => {
+  test('allows a fee payer that only pays fees', async () => {
+    assert.deepEqual(await misuseOf([memo(user), transfer(user, address())]), []);
+  });
+
+  test('flags a transfer out of the fee payer', async () => {
+    const misuse = await misuseOf([memo(user), transfer(feePayer, user)]);
+
+    assert.deepEqual(misuse, [{
+      instruction: 1,
+      programId: SYSTEM_PROGRAM_ID,
+      instructionName: 'Transfer',
+      role: 'source',
+      writable: true,
+      signer: true,
+      message: 'Fee payer is the Transfer source in instruction 1'
+    }]);
+  });
+
+  test('allows funding a new account, but not being it', async () => {
+    assert.deepEqual(await misuseOf([createAccount(feePayer, address())]), []);
+
+    const misuse = await misuseOf([createAccount(user, feePayer)]);
+    assert.deepEqual(misuse.map(m => [m.instructionName, m.role]), [['CreateAccount', 'new account']]);
+  });
+
+  test('flags the fee payer as a token authority', async () => {
+    const misuse = await misuseOf([tokenTransfer(address(), address(), feePayer)]);
+
+    assert.deepEqual(misuse.map(m => [m.programId, m.instructionName, m.role]), [[TOKEN_PROGRAM_ID, 'Transfer', 'authority']]);
+  });
+
+  test('names unknown instructions by program and account slot', async () => {
+    const program = address();
+    const misuse = await misuseOf([{ program, accounts: [readonly(user), writable(feePayer)], data: Buffer.from([9]) }]);
+
+    assert.equal(misuse.length, 1);
+    assert.equal(misuse[0].instructionName, null);
+    assert.equal(misuse[0].role, 'account 1');
+    assert.equal(misuse[0].message, `Fee payer is the account 1 of ${program} in instruction 0`);
+  });
+
+  test('allows advancing only the nonce account leased to the project', async () => {
+    const nonceAccount = address();
+    const instructions = [advanceNonce(nonceAccount, feePayer), memo(user)];
+
+    assert.deepEqual(await misuseOf(instructions, { nonceAccount }), []);
+
+    for (const options of [undefined, { nonceAccount: address() }]) {
+      const misuse = await misuseOf(instructions, options);
+      assert.deepEqual(misuse.map(m => [m.instruction, m.instructionName, m.role]), [[0, 'AdvanceNonceAccount', 'nonce authority']]);
+    }
+  });
+
+  test('reports every misuse in the transaction', async () => {
+    const misuse = await misuseOf([
+      createAccount(feePayer, address()),
+      transfer(feePayer, user),
+      tokenTransfer(address(), address(), feePayer)
+    ]);
+
+    assert.deepEqual(misuse.map(m => m.instruction), [1, 2]);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Balance holds: reserve at admission, then settle into a debit or release
+ */
+
+import { test, describe, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createStore, STORAGE_DRIVERS } from '../storage.mjs';
+import {
+  postEntry,
+  getBalance,
+  getAvailableBalance,
+  getHeldAmount,
+  placeHold,
+  settleHold,
+  releaseHold,
+  getProjectEntries
+} from '../ledger.mjs';
+
+const dir = mkdtempSync(join(tmpdir(), 'macgas-ledger-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+let fileCount = 0;
+
+for (const driver of STORAGE_DRIVERS) {
+  describe(`holds (${driver})`, () => {
+    let store;
+    let projectId;
+
+    beforeEach(() => {
+      store = createStore({ driver, file: join(dir, `store-${fileCount++}`) });
+      projectId = 'proj_' + fileCount;
+      store.saveProject(projectId, { name: 'test', balanceLamports: 0, createdAt: Date.now() });
+      postEntry(store, { projectId, type: 'credit', asset: 'SOL', amount: 10_000, source: 'admin_deposit' });
+    });
+
+    test('a hold reduces the available balance but not the balance', () => {
+      const hold = placeHold(store, { projectId, asset: 'SOL', amount: 6_000 });
+
+      assert.equal(hold.state, 'held');
+      assert.equal(getHeldAmount(projectId, 'SOL'), 6_000);
+      assert.equal(getAvailableBalance(store, projectId, 'SOL'), 4_000);
+      assert.equal(getBalance(store.getProject(projectId), 'SOL'), 10_000);
+
+      releaseHold(hold);
+    });
+
+    test('a hold larger than the available balance is refused', () => {
+      const first = placeHold(store, { projectId, asset: 'SOL', amount: 6_000 });
+
+      assert.equal(placeHold(store, { projectId, asset: 'SOL', amount: 5_000 }), null);
+      assert.ok(placeHold(store, { projectId, asset: 'SOL', amount: 4_000 }));
+
+      releaseHold(first);
+      assert.equal(getAvailableBalance(store, projectId, 'SOL'), 6_000);
+    });
+
+    test('settling debits the final charge and drops the hold', () => {
+      const hold = placeHold(store, { projectId, asset: 'SOL', amount: 6_000 });
+      const entry = settleHold(store, hold, { source: 'sponsored_tx', ref: 'sig1', amount: 4_500 });
+
+      assert.equal(hold.state, 'settled');
+      assert.equal(entry.type, 'debit');
+      assert.equal(entry.amount, 4_500);
+      assert.equal(entry.balanceAfter, 5_500);
+      assert.equal(getHeldAmount(projectId, 'SOL'), 0);
+      assert.equal(getAvailableBalance(store, projectId, 'SOL'), 5_500);
+
+      const { entries } = getProjectEntries(store, projectId);
+      assert.deepEqual(entries.map(e => [e.type, e.amount]), [['debit', 4_500], ['credit', 10_000]]);
+    });
+
+    test('a hold settles or releases once', () => {
+      const settled = placeHold(store, { projectId, asset: 'SOL', amount: 1_000 });
+      settleHold(store, settled, { source: 'sponsored_tx' });
+
+      assert.throws(() => settleHold(store, settled, { source: 'sponsored_tx' }), /already settled/);
+      releaseHold(settled);
+      assert.equal(settled.state, 'settled');
+
+      const released = placeHold(store, { projectId, asset: 'SOL', amount: 1_000 });
+      releaseHold(released);
+      releaseHold(released);
+
+      assert.equal(released.state, 'released');
+      assert.throws(() => settleHold(store, released, { source: 'sponsored_tx' }), /already released/);
+      assert.equal(getBalance(store.getProject(projectId), 'SOL'), 9_000);
+    });
+
+    test('holds only count against their own cluster and asset', () => {
+      postEntry(store, { projectId, cluster: 'localnet', type: 'credit', asset: 'SOL', amount: 2_000, source: 'admin_deposit' });
+      const hold = placeHold(store, { projectId, cluster: 'localnet', asset: 'SOL', amount: 2_000 });
+
+      assert.equal(getAvailableBalance(store, projectId, 'SOL', 'localnet'), 0);
+      assert.equal(getAvailableBalance(store, projectId, 'SOL'), 10_000);
+      assert.equal(placeHold(store, { projectId, asset: 'USDC', amount: 1 }), null);
+
+      releaseHold(hold);
+    });
+
+    test('hold amounts must be positive integers of a known asset', () => {
+      assert.throws(() => placeHold(store, { projectId, asset: 'SOL', amount: 0 }), /positive integer/);
+      assert.throws(() => placeHold(store, { projectId, asset: 'SOL', amount: 1.5 }), /positive integer/);
+      assert.throws(() => placeHold(store, { projectId, asset: 'DOGE', amount: 1 }), /Unknown asset/);
+    });
+  });
+}
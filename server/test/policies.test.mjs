@@ -0,0 +1,159 @@
+/**
+ * Spending policy caps, counted over committed usage and in-flight reservations
+ */
+
+import { test, describe, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createStore } from '../storage.mjs';
+import { checkPolicy, reserveSpend, releaseSpend, commitSpend, getFreeQuota, takeFreeQuota, returnFreeQuota } from '../policies.mjs';
+
+const dir = mkdtempSync(join(tmpdir(), 'macgas-policies-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+const NOON = Date.UTC(2026, 0, 31, 12, 0);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// computeTransactionCost() breakdown of a transaction
+function cost({ priorityFee = 0, unitPrice = 0, rent = 0 } = {}) {
+  const baseFee = 5000;
+  return {
+    baseFee,
+    priorityFee,
+    computeUnitPriceMicroLamports: String(unitPrice),
+    rent,
+    rentAccounts: rent > 0 ? [{ instruction: 0, kind: 'createAccount', lamports: rent }] : [],
+    networkCost: baseFee + priorityFee + rent
+  };
+}
+
+let fileCount = 0;
+let store;
+
+beforeEach(() => {
+  store = createStore({ driver: 'json', file: join(dir, `data-${fileCount++}.json`) });
+});
+
+// Reserve and commit one transaction's usage
+function spend(request) {
+  const { reservation, violation } = reserveSpend(store, { now: NOON, ...request });
+  assert.equal(violation, undefined);
+  commitSpend(store, reservation, request.now ?? NOON);
+}
+
+describe('checkPolicy', () => {
+  test('allows fees without a policy', () => {
+    assert.equal(checkPolicy(store, { projectId: 'p', cost: cost(), user: 'alice', now: NOON }), null);
+  });
+
+  test('refuses rent unless the policy sponsors it, within its budget', () => {
+    const rent = 2_039_280;
+
+    assert.equal(checkPolicy(store, { projectId: 'p', cost: cost({ rent }), user: 'alice', now: NOON }).policy, 'sponsorRent');
+
+    const policy = { sponsorRent: true, rentBudgetLamports: 3_000_000 };
+    assert.equal(checkPolicy(store, { projectId: 'p', policy, cost: cost({ rent }), user: 'alice', now: NOON }), null);
+
+    spend({ projectId: 'p', policy, cost: cost({ rent }), user: 'alice' });
+    const found = checkPolicy(store, { projectId: 'p', policy, cost: cost({ rent }), user: 'alice', now: NOON });
+    assert.equal(found.policy, 'rentBudgetLamports');
+    assert.equal(found.actual, 2 * rent);
+  });
+
+  test('never sponsors rent on a free cluster', () => {
+    const policy = { sponsorRent: true };
+    const found = checkPolicy(store, { projectId: 'p', cluster: 'devnet', policy, cost: cost({ rent: 1_000 }), user: 'alice', free: true, now: NOON });
+
+    assert.equal(found.policy, 'sponsorRent');
+    assert.match(found.message, /devnet/);
+  });
+
+  test('caps the fee and compute unit price of one transaction', () => {
+    const policy = { maxFeeLamports: 10_000, maxComputeUnitPrice: 1_000 };
+
+    assert.equal(checkPolicy(store, { projectId: 'p', policy, cost: cost({ priorityFee: 5_000, unitPrice: 1_000 }), now: NOON }), null);
+    assert.equal(checkPolicy(store, { projectId: 'p', policy, cost: cost({ priorityFee: 5_001 }), now: NOON }).policy, 'maxFeeLamports');
+    assert.equal(checkPolicy(store, { projectId: 'p', policy, cost: cost({ unitPrice: 1_001 }), now: NOON }).policy, 'maxComputeUnitPrice');
+  });
+
+  test('counts in-flight reservations against the daily transaction cap', () => {
+    const policy = { maxTxsPerDay: 2 };
+    const request = { projectId: 'p', policy, cost: cost(), user: 'alice', now: NOON };
+
+    spend(request);
+    const { reservation } = reserveSpend(store, request);
+
+    const found = checkPolicy(store, request);
+    assert.equal(found.policy, 'maxTxsPerDay');
+    assert.equal(found.actual, 2);
+    assert.ok(reserveSpend(store, request).violation);
+
+    releaseSpend(reservation);
+    assert.equal(checkPolicy(store, request), null);
+  });
+
+  test('caps daily lamports for the project and per user', () => {
+    const policy = { maxLamportsPerDay: 20_000, perUser: { maxTxsPerDay: 1, maxLamportsPerDay: 5_000 } };
+
+    spend({ projectId: 'p', policy, cost: cost(), user: 'alice' });
+
+    assert.equal(checkPolicy(store, { projectId: 'p', policy, cost: cost(), user: 'alice', now: NOON }).policy, 'perUser.maxTxsPerDay');
+    assert.equal(checkPolicy(store, { projectId: 'p', policy, cost: cost(), user: 'bob', now: NOON }), null);
+    assert.equal(checkPolicy(store, { projectId: 'p', policy, cost: cost({ priorityFee: 1 }), user: 'bob', now: NOON }).policy, 'perUser.maxLamportsPerDay');
+
+    spend({ projectId: 'p', policy, cost: cost(), user: 'bob' });
+    spend({ projectId: 'p', policy, cost: cost(), user: 'carol' });
+    spend({ projectId: 'p', policy, cost: cost(), user: 'dave' });
+
+    const found = checkPolicy(store, { projectId: 'p', policy, cost: cost(), user: 'erin', now: NOON });
+    assert.equal(found.policy, 'maxLamportsPerDay');
+    assert.equal(found.actual, 20_000 + 5_000);
+  });
+
+  test('daily caps reset at midnight UTC and count per cluster', () => {
+    const policy = { maxTxsPerDay: 1 };
+
+    spend({ projectId: 'p', policy, cost: cost(), user: 'alice' });
+
+    assert.equal(checkPolicy(store, { projectId: 'p', policy, cost: cost(), user: 'alice', now: NOON }).policy, 'maxTxsPerDay');
+    assert.equal(checkPolicy(store, { projectId: 'p', policy, cost: cost(), user: 'alice', now: NOON + DAY_MS }), null);
+    assert.equal(checkPolicy(store, { projectId: 'p', cluster: 'localnet', policy, cost: cost(), user: 'alice', now: NOON }), null);
+  });
+
+  test('only sponsors inside the time window, which may wrap past midnight', () => {
+    const at = (hours, minutes) => Date.UTC(2026, 0, 31, hours, minutes);
+    const check = (window, now) => checkPolicy(store, { projectId: 'p', policy: { window }, cost: cost(), now });
+
+    assert.equal(check({ from: '09:00', to: '17:00' }, at(9, 0)), null);
+    assert.equal(check({ from: '09:00', to: '17:00' }, at(17, 0)).policy, 'window');
+    assert.equal(check({ from: '22:00', to: '06:00' }, at(23, 30)), null);
+    assert.equal(check({ from: '22:00', to: '06:00' }, at(5, 59)), null);
+    assert.equal(check({ from: '22:00', to: '06:00' }, at(12, 0)).policy, 'window');
+  });
+});
+
+describe('free quota', () => {
+  const devnet = { name: 'devnet', pricing: { free: true, dailyTxLimit: 2 } };
+
+  test('counts transactions per day up to the limit', () => {
+    assert.deepEqual(takeFreeQuota(store, devnet, 'p'), { day: getFreeQuota(store, devnet, 'p').day, used: 1, limit: 2 });
+    assert.equal(takeFreeQuota(store, devnet, 'p').used, 2);
+    assert.equal(takeFreeQuota(store, devnet, 'p'), null);
+    assert.equal(getFreeQuota(store, devnet, 'q').used, 0);
+  });
+
+  test('hands a slot back only on the day it was taken', () => {
+    const now = Date.now();
+    takeFreeQuota(store, devnet, 'p');
+    takeFreeQuota(store, devnet, 'p');
+
+    returnFreeQuota(store, { projectId: 'p', cluster: 'devnet', at: now - DAY_MS });
+    assert.equal(getFreeQuota(store, devnet, 'p').used, 2);
+
+    returnFreeQuota(store, { projectId: 'p', cluster: 'devnet', at: now });
+    assert.equal(getFreeQuota(store, devnet, 'p').used, 1);
+    assert.ok(takeFreeQuota(store, devnet, 'p'));
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Webhook delivery: signed POSTs, only ever to public addresses
+ */
+
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { createHmac } from 'crypto';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createStore } from '../storage.mjs';
+import { configureWebhooks, createWebhook, attemptDelivery, checkWebhookHost } from '../webhooks.mjs';
+
+const dir = mkdtempSync(join(tmpdir(), 'macgas-webhooks-'));
+
+// A receiver on this machine: loopback, so only reachable with private hosts allowed
+const received = [];
+const server = createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push({ headers: req.headers, body });
+    res.end('ok');
+  });
+});
+let port;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, resolve));
+  port = server.address().port;
+});
+after(() => {
+  server.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+let store;
+let fileCount = 0;
+
+beforeEach(() => {
+  store = createStore({ driver: 'json', file: join(dir, `data-${fileCount++}.json`) });
+  received.length = 0;
+  configureWebhooks({ allowPrivateHosts: false });
+});
+
+// A pending delivery to a newly registered webhook
+function deliveryTo(url) {
+  const { secret, webhook } = createWebhook(store, 'proj_test', { url, events: ['deposit.credited'] });
+  const delivery = {
+    id: 'whd_' + fileCount,
+    webhookId: webhook.id,
+    projectId: 'proj_test',
+    payload: { id: 'evt_test', type: 'deposit.credited', projectId: 'proj_test', data: { amount: 1 } },
+    status: 'pending',
+    attemptCount: 0,
+    attempts: [],
+    nextAttemptAt: Date.now(),
+    replayOf: null,
+    createdAt: Date.now()
+  };
+  store.saveWebhookDelivery(delivery);
+  return { secret, delivery };
+}
+
+describe('webhook hosts', () => {
+  for (const host of ['localhost', '127.0.0.1', '[::ffff:10.0.0.1]', '[::ffff:7f00:1]', '169.254.169.254']) {
+    test(`refuses ${host} at registration and at send time`, async () => {
+      const url = `http://${host}:${port}/hook`;
+      assert.match(await checkWebhookHost(url), /loopback, link-local or private/);
+
+      const { delivery } = deliveryTo(url);
+      const updated = await attemptDelivery(store, delivery);
+
+      assert.equal(updated.status, 'pending');
+      assert.equal(updated.attempts[0].statusCode, null);
+      assert.match(updated.attempts[0].error, /loopback, link-local or private/);
+      assert.equal(received.length, 0);
+    });
+  }
+
+  test('reports hosts that do not resolve', async () => {
+    assert.match(await checkWebhookHost('https://macgas-webhook-test.invalid/hook'), /does not resolve/);
+  });
+
+  test('delivers a signed POST, keeping the URL host, when private hosts are allowed', async () => {
+    configureWebhooks({ allowPrivateHosts: true });
+    const { secret, delivery } = deliveryTo(`http://localhost:${port}/hook`);
+
+    const updated = await attemptDelivery(store, delivery);
+
+    assert.equal(updated.status, 'delivered');
+    assert.equal(updated.attempts[0].statusCode, 200);
+    assert.equal(received.length, 1);
+
+    const { headers, body } = received[0];
+    assert.equal(headers.host, `localhost:${port}`);
+    assert.equal(headers['x-macgas-event'], 'deposit.credited');
+    assert.deepEqual(JSON.parse(body), delivery.payload);
+
+    const [, timestamp, signature] = /^t=(\d+),v1=([0-9a-f]+)$/.exec(headers['x-macgas-signature']);
+    assert.equal(signature, createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex'));
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * x402 payments: verified, settled and credited once, and priced before any money moves
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createStore, STORAGE_DRIVERS } from '../storage.mjs';
+import { configurePricing } from '../pricing.mjs';
+import { configureX402, getPaymentNetwork, verifyPayment, x402Middleware, x402Server } from '../x402-middleware.mjs';
+
+const dir = mkdtempSync(join(tmpdir(), 'macgas-x402-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+// A facilitator that settles on no network, so nothing here reaches x402.org or an RPC
+before(() => {
+  configureX402({ mode: 'mock', networks: [] });
+  configurePricing({ source: 'static', solUsd: 100 });
+});
+
+// No price until refreshPrice() reads one
+const dropPrice = () => configurePricing({ source: 'pyth', pythAccount: 'unused', rpcUrl: 'http://127.0.0.1:1' });
+
+const signedTransfer = { transaction: Buffer.from('signed transfer').toString('base64') };
+
+function paymentHeader(payload = signedTransfer) {
+  const { network, payTo, asset } = getPaymentNetwork('mainnet');
+  const body = { x402Version: 2, accepted: { scheme: 'exact', network, payTo, asset, amount: '100000' }, payload };
+  return Buffer.from(JSON.stringify(body)).toString('base64');
+}
+
+const hashOf = (payload) => createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+
+describe('verifyPayment', () => {
+  test('rejects a payment that was already credited, before settling it', async () => {
+    const seen = [];
+    const result = await verifyPayment(paymentHeader(), {
+      isReplay: (payloadHash) => {
+        seen.push(payloadHash);
+        return true;
+      }
+    });
+
+    assert.deepEqual(result, { valid: false, error: 'Payment already used' });
+    assert.deepEqual(seen, [hashOf(signedTransfer)]);
+  });
+
+  test('identifies a payment by its signed transfer, not by the header around it', async () => {
+    const credited = new Set([hashOf(signedTransfer)]);
+    const { network, payTo, asset } = getPaymentNetwork('mainnet');
+    const reworded = Buffer.from(JSON.stringify({
+      payload: signedTransfer,
+      accepted: { amount: '100000', asset, payTo, network, scheme: 'exact' },
+      x402Version: 2,
+      resource: { url: 'https://example.com' }
+    })).toString('base64');
+
+    const result = await verifyPayment(reworded, { isReplay: (payloadHash) => credited.has(payloadHash) });
+    assert.equal(result.error, 'Payment already used');
+  });
+
+  test('rejects the same payment while the first copy is still settling', async () => {
+    const header = paymentHeader({ transaction: Buffer.from('in flight').toString('base64') });
+    const [first, second] = await Promise.all([
+      verifyPayment(header, { isReplay: () => false }),
+      verifyPayment(header, { isReplay: () => false })
+    ]);
+
+    assert.equal(first.valid, false);
+    assert.notEqual(first.error, 'Payment already used');
+    assert.deepEqual(second, { valid: false, error: 'Payment already used' });
+  });
+});
+
+describe('verifyPayment pricing', () => {
+  let settled;
+
+  before(() => {
+    x402Server.verifyPayment = async () => ({ isValid: true, payer: 'payer' });
+    x402Server.settlePayment = async () => {
+      settled++;
+      // The price feed goes away while the payment settles
+      dropPrice();
+      return { success: true, transaction: 'settlement' + settled, payer: 'payer' };
+    };
+  });
+  after(() => configureX402({ mode: 'mock', networks: [] }));
+
+  test('refuses a payment before settling it when there is no price', async (t) => {
+    settled = 0;
+    dropPrice();
+    t.after(() => configurePricing({ source: 'static', solUsd: 100 }));
+
+    const result = await verifyPayment(paymentHeader({ transaction: 'bm8gcHJpY2U=' }), { isReplay: () => false });
+
+    assert.equal(result.valid, false);
+    assert.match(result.error, /^Pricing unavailable/);
+    assert.equal(settled, 0);
+  });
+
+  test('a settled payment keeps the price it was verified at', async (t) => {
+    settled = 0;
+    configurePricing({ source: 'static', solUsd: 100 });
+    t.after(() => configurePricing({ source: 'static', solUsd: 100 }));
+
+    const result = await verifyPayment(paymentHeader({ transaction: 'cHJpY2Vk' }), { isReplay: () => false });
+
+    assert.equal(settled, 1);
+    assert.equal(result.valid, true);
+    assert.equal(result.txSignature, 'settlement1');
+    // $0.10 at $100/SOL, and $0.0005 per reference transaction
+    assert.equal(result.lamports, 1_000_000);
+    assert.equal(result.txCount, 200);
+  });
+});
+
+describe('x402Middleware', () => {
+  test('answers a replayed payment with a 402 and never credits it', async () => {
+    let credits = 0;
+    const middleware = x402Middleware({
+      getPayer: () => ({ projectId: 'proj_test', project: { tier: 'sponsored' } }),
+      getTier: () => 'sponsored',
+      isReplay: () => true,
+      credit: () => {
+        credits++;
+        return { creditedAsset: 'SOL', creditedAmount: 1, balance: 1 };
+      }
+    });
+
+    const res = {
+      statusCode: 200,
+      set() { return this; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; }
+    };
+    let nextCalled = false;
+    await middleware({ headers: { 'x-payment': paymentHeader() } }, res, () => { nextCalled = true; });
+
+    assert.equal(res.statusCode, 402);
+    assert.equal(res.body.code, 'PAYMENT_FAILED');
+    assert.equal(res.body.details, 'Payment already used');
+    assert.equal(nextCalled, false);
+    assert.equal(credits, 0);
+  });
+
+  test('refuses a payment the route could not use before settling it', async (t) => {
+    let settled = 0;
+    x402Server.settlePayment = async () => {
+      settled++;
+      return { success: true, transaction: 'settlement', payer: 'payer' };
+    };
+    t.after(() => configureX402({ mode: 'mock', networks: [] }));
+
+    const checked = [];
+    const middleware = x402Middleware({
+      getPayer: () => ({ projectId: 'proj_test', project: { tier: 'sponsored', active: false } }),
+      getTier: () => 'sponsored',
+      isReplay: () => false,
+      checkCredit: (project, cluster) => {
+        checked.push(cluster);
+        return project.active ? null : 'Project inactive';
+      },
+      credit: () => assert.fail('credited')
+    });
+
+    const res = {
+      set() { return this; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; }
+    };
+    await middleware({ headers: { 'x-payment': paymentHeader() } }, res, () => assert.fail('next called'));
+
+    assert.deepEqual(checked, ['mainnet']);
+    assert.equal(res.statusCode, 402);
+    assert.equal(res.body.details, 'Project inactive');
+    assert.equal(settled, 0);
+  });
+});
+
+for (const driver of STORAGE_DRIVERS) {
+  test(`the ${driver} store records a payment once`, () => {
+    const store = createStore({ driver, file: join(dir, 'store-' + driver) });
+    const record = { signature: 'settlement1', payloadHash: hashOf(signedTransfer), projectId: 'proj_test', amount: 100_000 };
+
+    store.saveX402Payment(record);
+
+    assert.equal(store.findX402PaymentByPayload(record.payloadHash).signature, 'settlement1');
+    assert.throws(() => store.saveX402Payment({ ...record, signature: 'settlement2' }));
+    assert.throws(() => store.saveX402Payment({ ...record, payloadHash: hashOf({ transaction: 'other' }) }));
+  });
+}
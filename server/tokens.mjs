@@ -0,0 +1,72 @@
+/**
+ * SPL tokens MacGas accepts as payment
+ *
+ * Pay-as-you-go projects hold a balance per token, funded by memo deposits
+ * of that mint, and /sign_and_send can debit any of them. Each token has a
+ * fixed USD price; pricing.mjs converts it to and from lamports.
+ *
+ * Extra mints can be configured with EXTRA_TOKENS, a JSON array of
+ * { symbol, mint, decimals, usdPrice }.
+ */
+
+// Stablecoins are priced at their peg
+const BUILTIN_TOKENS = [
+  { symbol: 'USDC', mint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', decimals: 6, usdPrice: 1 },
+  { symbol: 'USDT', mint: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', decimals: 6, usdPrice: 1 },
+  { symbol: 'PYUSD', mint: '2b1kV6DkPAnxd5ixfnxCpjxmKwqjjaYmCZfHsFu24GXo', decimals: 6, usdPrice: 1 }
+];
+
+function loadExtraTokens() {
+  if (!process.env.EXTRA_TOKENS) return [];
+
+  const extra = JSON.parse(process.env.EXTRA_TOKENS);
+  if (!Array.isArray(extra)) throw new Error('EXTRA_TOKENS must be a JSON array');
+
+  for (const token of extra) {
+    if (!/^[A-Z0-9]{2,10}$/.test(token.symbol || '') || token.symbol === 'SOL') {
+      throw new Error('EXTRA_TOKENS: invalid symbol ' + token.symbol);
+    }
+    if (typeof token.mint !== 'string' || !Number.isInteger(token.decimals) || !(token.usdPrice > 0)) {
+      throw new Error(`EXTRA_TOKENS: ${token.symbol} needs mint, decimals and usdPrice`);
+    }
+  }
+  return extra.map(({ symbol, mint, decimals, usdPrice }) => ({ symbol, mint, decimals, usdPrice }));
+}
+
+// Accepted tokens by symbol
+export const TOKENS = Object.fromEntries(
+  [...BUILTIN_TOKENS, ...loadExtraTokens()].map(token => [token.symbol, token])
+);
+
+export const TOKEN_SYMBOLS = Object.keys(TOKENS);
+
+// Every asset a balance can be held in
+export const ASSETS = ['SOL', ...TOKEN_SYMBOLS];
+
+/**
+ * Whether an asset symbol is known
+ * @param {string} asset
+ * @returns {boolean}
+ */
+export function isKnownAsset(asset) {
+  return asset === 'SOL' || Object.hasOwn(TOKENS, asset);
+}
+
+/**
+ * Decimals of an asset's base unit (SOL: 9)
+ * @param {string} asset
+ * @returns {number}
+ */
+export function assetDecimals(asset) {
+  return asset === 'SOL' ? 9 : TOKENS[asset].decimals;
+}
+
+/**
+ * Base units -> whole units, for display
+ * @param {string} asset
+ * @param {number} amount
+ * @returns {number}
+ */
+export function toDisplayAmount(asset, amount) {
+  return amount / 10 ** assetDecimals(asset);
+}
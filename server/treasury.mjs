@@ -0,0 +1,295 @@
+/**
+ * Treasury top-ups for MacGas
+ *
+ * Deposits and x402 payments land in a cluster's deposit wallet - the
+ * treasury - while its fee payers (fee-payers.mjs) spend SOL. With the
+ * treasury's key configured (clusters.mjs: <CLUSTER>_TREASURY_KEY_PATH), each
+ * pass sends SOL from the treasury to every fee payer below the low-water
+ * mark, bringing it back up to the target. Part of the treasury is what
+ * projects have deposited and not spent yet - their ledger balances - so it
+ * only ever spends what is above those liabilities, keeping a reserve on top.
+ *
+ * When the treasury's SOL doesn't cover the top-ups, USDC it holds beyond
+ * the projects' USDC balances is swapped for the shortfall first, through
+ * the adapter TREASURY_SWAP picks:
+ *   none    - never swap (default)
+ *   mock    - report a swap at the current SOL price without touching the
+ *             chain; for tests against a stub RPC
+ *   jupiter - a Jupiter swap (TREASURY_SWAP_URL) signed by the treasury key;
+ *             mainnet only
+ *
+ * Every movement is logged and kept in the store (treasury_movements):
+ *   { id, at, cluster, type: 'top_up' | 'swap', from, to, asset, amount,
+ *     lamports, adapter, signature, status: 'sent' | 'confirmed' |
+ *     'unconfirmed' | 'failed', error }
+ * A top-up is recorded as soon as it is sent, then updated with its outcome.
+ */
+
+import { randomBytes } from 'crypto';
+import { rpcRequest } from './rpc.mjs';
+import { buildSolTransfer } from './solana-tx.mjs';
+import { signTransaction } from './keypair.mjs';
+import { listFeePayers, refreshFeePayerBalances } from './fee-payers.mjs';
+import { getLiabilities } from './ledger.mjs';
+import { assetToLamports, lamportsToAsset } from './pricing.mjs';
+
+export const SWAP_ADAPTERS = ['none', 'mock', 'jupiter'];
+
+export const DEFAULT_SWAP_URL = 'https://lite-api.jup.ag/swap/v1';
+
+// Wrapped SOL, what Jupiter swaps into (unwrapped to the treasury's SOL)
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+
+// Fee of a one-signature transaction such as a top-up
+const SIGNATURE_FEE_LAMPORTS = 5000;
+
+// How long a pass waits for a top-up or swap to reach `confirmed`
+const CONFIRM_TIMEOUT_MS = 60_000;
+const CONFIRM_POLL_MS = 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let config = {
+  lowWaterLamports: 50_000_000,   // 0.05 SOL
+  targetLamports: 250_000_000,    // 0.25 SOL
+  reserveLamports: 10_000_000,    // 0.01 SOL
+  slippageBps: 100
+};
+let swapAdapter = null;
+
+// Clusters with a pass in progress
+const running = new Set();
+
+async function sendAndConfirm(rpcUrl, transaction) {
+  const signature = await rpcRequest(rpcUrl, 'sendTransaction', [transaction, { encoding: 'base64' }]);
+  return { signature, confirmed: confirmTransaction(rpcUrl, signature) };
+}
+
+// Resolves to true once confirmed, false on timeout; throws if the transaction failed
+async function confirmTransaction(rpcUrl, signature) {
+  const deadline = Date.now() + CONFIRM_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const statuses = await rpcRequest(rpcUrl, 'getSignatureStatuses', [[signature]]);
+    const status = statuses?.value?.[0];
+    if (status?.err) throw new Error('Transaction failed: ' + JSON.stringify(status.err));
+    if (status?.confirmationStatus === 'confirmed' || status?.confirmationStatus === 'finalized') return true;
+    await sleep(CONFIRM_POLL_MS);
+  }
+  return false;
+}
+
+async function getTokenBalance(rpcUrl, owner, mint) {
+  const accounts = await rpcRequest(rpcUrl, 'getTokenAccountsByOwner', [owner, { mint }, { encoding: 'jsonParsed' }]);
+  return (accounts?.value || []).reduce((sum, account) => sum + parseInt(account.account?.data?.parsed?.info?.tokenAmount?.amount || 0), 0);
+}
+
+async function fetchJson(url, init) {
+  const response = await fetch(url, init);
+  const json = await response.json();
+  if (!response.ok || json.error) throw new Error(json.error || `${url} returned ${response.status}`);
+  return json;
+}
+
+/**
+ * Swap adapter: { name, swap({ cluster, mint, amount }) } resolving to { signature, lamports }
+ * once the treasury holds the SOL
+ * @param {Object} options - { adapter, url, slippageBps }
+ * @returns {Object|null} null for 'none'
+ */
+function createSwapAdapter({ adapter, url, slippageBps }) {
+  if (adapter === 'none') return null;
+
+  if (adapter === 'mock') {
+    return {
+      name: 'mock',
+      async swap({ amount }) {
+        return { signature: 'mock_swap_' + randomBytes(8).toString('hex'), lamports: assetToLamports(amount, 'USDC') };
+      }
+    };
+  }
+
+  return {
+    name: 'jupiter',
+    async swap({ cluster, mint, amount }) {
+      if (cluster.name !== 'mainnet') throw new Error('Jupiter swaps only on mainnet');
+
+      const quote = await fetchJson(`${url}/quote?inputMint=${mint}&outputMint=${WSOL_MINT}&amount=${amount}&slippageBps=${slippageBps}`);
+      const { swapTransaction } = await fetchJson(`${url}/swap`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ quoteResponse: quote, userPublicKey: cluster.treasuryKey.publicKey, wrapAndUnwrapSol: true })
+      });
+
+      const sent = await sendAndConfirm(cluster.rpcUrl, signTransaction(swapTransaction, cluster.treasuryKey));
+      if (!await sent.confirmed) throw new Error('Swap not confirmed after ' + CONFIRM_TIMEOUT_MS / 1000 + 's: ' + sent.signature);
+      // The least it could have paid out
+      return { signature: sent.signature, lamports: parseInt(quote.otherAmountThreshold) };
+    }
+  };
+}
+
+/**
+ * Set the top-up thresholds and swap adapter
+ * @param {Object} options
+ * @param {number} [options.lowWaterLamports] - Top up fee payers below this
+ * @param {number} [options.targetLamports] - ...to this
+ * @param {number} [options.reserveLamports] - SOL the treasury never sends away
+ * @param {string} [options.swap] - none | mock | jupiter
+ * @param {string} [options.swapUrl] - Jupiter API base URL
+ * @param {number} [options.slippageBps] - Slippage the swap may take
+ */
+export function configureTreasury({ swap = 'none', swapUrl = DEFAULT_SWAP_URL, ...options } = {}) {
+  const next = { ...config, ...Object.fromEntries(Object.entries(options).filter(([, v]) => v !== undefined)) };
+  if (!SWAP_ADAPTERS.includes(swap)) {
+    throw new Error(`TREASURY_SWAP must be one of ${SWAP_ADAPTERS.join(', ')}`);
+  }
+  if (!(next.targetLamports > next.lowWaterLamports)) {
+    throw new Error('TREASURY_TARGET_LAMPORTS must be above TREASURY_LOW_WATER_LAMPORTS');
+  }
+
+  config = next;
+  swapAdapter = createSwapAdapter({ adapter: swap, url: swapUrl, slippageBps: next.slippageBps });
+}
+
+/**
+ * Treasury settings, balances and what of them the projects are owed, on a cluster
+ * @param {Object} store
+ * @param {Object} cluster - From clusters.mjs
+ * @returns {Promise<Object>}
+ */
+export async function describeTreasury(store, cluster) {
+  const address = cluster.treasuryKey?.publicKey ?? null;
+  const info = {
+    network: cluster.name,
+    address: address ?? cluster.wallet,
+    enabled: Boolean(address),
+    lowWaterLamports: config.lowWaterLamports,
+    targetLamports: config.targetLamports,
+    reserveLamports: config.reserveLamports,
+    swap: swapAdapter?.name ?? 'none',
+    lamports: null,
+    usdc: null,
+    liabilities: getLiabilities(store, cluster.name)
+  };
+  if (!info.address) return info;
+
+  try {
+    info.lamports = (await rpcRequest(cluster.rpcUrl, 'getBalance', [info.address])).value;
+    if (cluster.mints.USDC) info.usdc = await getTokenBalance(cluster.rpcUrl, info.address, cluster.mints.USDC);
+  } catch (err) {
+    console.error(`[TREASURY] Could not read the ${cluster.name} treasury:`, err.message);
+  }
+  return info;
+}
+
+function newMovement(cluster, fields) {
+  return { id: 'tm_' + randomBytes(8).toString('hex'), at: Date.now(), cluster: cluster.name, signature: null, ...fields };
+}
+
+// Send SOL from the treasury to a fee payer; returns the movement
+async function topUp(store, cluster, to, lamports) {
+  const from = cluster.treasuryKey.publicKey;
+  const movement = newMovement(cluster, { type: 'top_up', from, to, asset: 'SOL', amount: lamports, lamports });
+
+  try {
+    const { value } = await rpcRequest(cluster.rpcUrl, 'getLatestBlockhash', [{ commitment: 'confirmed' }]);
+    const transaction = signTransaction(buildSolTransfer({ from, to, lamports, recentBlockhash: value.blockhash }), cluster.treasuryKey);
+    const sent = await sendAndConfirm(cluster.rpcUrl, transaction);
+
+    movement.signature = sent.signature;
+    movement.status = 'sent';
+    store.saveTreasuryMovement(movement);
+
+    movement.status = await sent.confirmed ? 'confirmed' : 'unconfirmed';
+    console.log(`[TREASURY] Sent ${lamports / 1e9} SOL from ${from} to fee payer ${to} on ${cluster.name} (${movement.status}): ${sent.signature}`);
+  } catch (err) {
+    movement.status = 'failed';
+    movement.error = err.message;
+    console.error(`[TREASURY] Top-up of ${to} on ${cluster.name} failed:`, err.message);
+  }
+
+  store.saveTreasuryMovement(movement);
+  return movement;
+}
+
+// Swap enough of the treasury's USDC beyond what projects hold for a SOL shortfall; returns the movement, or null if there was nothing to swap
+async function swapForSol(store, cluster, shortfallLamports, liabilities) {
+  const treasury = cluster.treasuryKey.publicKey;
+  const mint = cluster.mints.USDC;
+
+  let amount;
+  try {
+    const usdc = await getTokenBalance(cluster.rpcUrl, treasury, mint) - (liabilities.USDC || 0);
+    amount = Math.min(usdc, Math.ceil(lamportsToAsset(shortfallLamports, 'USDC') * (10_000 + config.slippageBps) / 10_000));
+  } catch (err) {
+    console.error(`[TREASURY] Can't size a USDC swap on ${cluster.name}:`, err.message);
+    return null;
+  }
+  if (amount <= 0) return null;
+
+  const movement = newMovement(cluster, { type: 'swap', from: treasury, to: treasury, asset: 'USDC', amount, adapter: swapAdapter.name });
+  try {
+    const swapped = await swapAdapter.swap({ cluster, mint, amount });
+    movement.signature = swapped.signature;
+    movement.lamports = swapped.lamports;
+    movement.status = 'confirmed';
+    console.log(`[TREASURY] Swapped ${amount / 1e6} USDC for ${swapped.lamports / 1e9} SOL on ${cluster.name} (${swapAdapter.name}): ${swapped.signature}`);
+  } catch (err) {
+    movement.status = 'failed';
+    movement.error = err.message;
+    console.error(`[TREASURY] Swap of ${amount / 1e6} USDC on ${cluster.name} failed:`, err.message);
+  }
+
+  store.saveTreasuryMovement(movement);
+  return movement;
+}
+
+/**
+ * Top up a cluster's fee payers below the low-water mark, swapping USDC first if the treasury is short
+ * @param {Object} store
+ * @param {Object} cluster - From clusters.mjs
+ * @returns {Promise<Object[]>} The movements made
+ */
+export async function runTreasury(store, cluster) {
+  if (!cluster.treasuryKey || running.has(cluster.name)) return [];
+  running.add(cluster.name);
+
+  try {
+    const treasury = cluster.treasuryKey.publicKey;
+    const low = listFeePayers(cluster.name).keys
+      .filter(key => !key.retiredAt && key.lamports !== null && key.lamports < config.lowWaterLamports && key.address !== treasury)
+      .sort((a, b) => a.lamports - b.lamports);
+    if (low.length === 0) return [];
+
+    const movements = [];
+    const needed = low.reduce((sum, key) => sum + config.targetLamports - key.lamports + SIGNATURE_FEE_LAMPORTS, 0);
+    // Never into what the projects' balances are owed
+    const liabilities = getLiabilities(store, cluster.name);
+    let available = (await rpcRequest(cluster.rpcUrl, 'getBalance', [treasury])).value - config.reserveLamports - (liabilities.SOL || 0);
+
+    if (available < needed && swapAdapter && cluster.mints.USDC) {
+      const swap = await swapForSol(store, cluster, needed - Math.max(available, 0), liabilities);
+      if (swap) movements.push(swap);
+      if (swap?.status === 'confirmed') available += swap.lamports;
+    }
+
+    for (const key of low) {
+      const lamports = config.targetLamports - key.lamports;
+      if (lamports + SIGNATURE_FEE_LAMPORTS > available) {
+        console.warn(`[TREASURY] Can't top up ${key.address} on ${cluster.name}: needs ${lamports / 1e9} SOL, the treasury has ${Math.max(available, 0) / 1e9} SOL above project balances and its reserve`);
+        continue;
+      }
+
+      const movement = await topUp(store, cluster, key.address, lamports);
+      movements.push(movement);
+      if (movement.status !== 'failed') available -= lamports + SIGNATURE_FEE_LAMPORTS;
+    }
+
+    if (movements.some(m => m.type === 'top_up' && m.status !== 'failed')) {
+      await refreshFeePayerBalances(cluster);
+    }
+    return movements;
+  } finally {
+    running.delete(cluster.name);
+  }
+}
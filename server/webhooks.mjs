@@ -0,0 +1,412 @@
+/**
+ * Webhooks for MacGas projects
+ *
+ * Projects register URLs for the events they care about instead of polling
+ * /balance. Every event is stored as a delivery, POSTed with an HMAC
+ * signature, retried with backoff, and kept so it can be replayed.
+ *
+ * Signature header: X-MacGas-Signature: t=<unix seconds>,v1=<hex>
+ * where v1 = HMAC-SHA256(secret, `${t}.${rawBody}`).
+ *
+ * Webhook hosts must resolve to public addresses, checked at registration
+ * and again before every delivery, so a project can't point the server at
+ * loopback, link-local (cloud metadata) or private network services. A
+ * delivery connects to the address it checked rather than resolving the
+ * host again, so DNS that changes in between (rebinding) can't redirect it.
+ */
+
+import { randomBytes, createHmac } from 'crypto';
+import { lookup } from 'dns/promises';
+import { request as httpRequest } from 'http';
+import { request as httpsRequest } from 'https';
+import { BlockList, isIP } from 'net';
+import { ASSETS, isKnownAsset } from './tokens.mjs';
+
+// Events a webhook can subscribe to
+//   deposit.credited       - SOL/token memo deposit or manual deposit credited
+//   x402.settled           - x402 payment verified and credited
+//   balance.low            - balance dropped below the webhook's threshold
+//   transaction.confirmed  - sponsored tx finalized
+//   transaction.failed     - sponsored tx landed with an error
+//   transaction.expired    - sponsored tx never landed (and was refunded)
+//   project.deactivated    - project switched off by an admin
+//   security.blocked       - a transaction tried to use the fee payer beyond fees
+export const WEBHOOK_EVENTS = [
+  'deposit.credited',
+  'x402.settled',
+  'balance.low',
+  'transaction.confirmed',
+  'transaction.failed',
+  'transaction.expired',
+  'project.deactivated',
+  'security.blocked'
+];
+
+// Default balance.low thresholds, in base units (other tokens: set per webhook)
+export const DEFAULT_LOW_BALANCE = { SOL: 1_000_000, USDC: 100_000 };
+
+const MAX_WEBHOOKS_PER_PROJECT = 5;
+const DELIVERY_TIMEOUT_MS = 10_000;
+const MAX_ATTEMPT_LOG = 10;
+
+// Wait before each retry; a delivery is abandoned after the last one
+const RETRY_DELAYS_MS = [10_000, 30_000, 120_000, 600_000, 1_800_000, 3_600_000, 10_800_000];
+
+// Addresses a webhook may not resolve to
+const BLOCKED_ADDRESSES = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+let allowPrivateHosts = false;
+
+// Deliveries currently being POSTed, so the retry loop never sends one twice at once
+const inFlight = new Set();
+
+/**
+ * Public view of a webhook (never includes the secret)
+ * @param {Object} record
+ * @returns {Object}
+ */
+export function describeWebhook(record) {
+  return {
+    id: record.id,
+    url: record.url,
+    events: record.events,
+    lowBalance: record.lowBalance,
+    createdAt: record.createdAt
+  };
+}
+
+/**
+ * Public view of a delivery
+ * @param {Object} delivery
+ * @returns {Object}
+ */
+export function describeDelivery(delivery) {
+  return {
+    id: delivery.id,
+    webhookId: delivery.webhookId,
+    event: delivery.payload.type,
+    eventId: delivery.payload.id,
+    status: delivery.status,
+    attemptCount: delivery.attemptCount,
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.nextAttemptAt,
+    replayOf: delivery.replayOf || null,
+    createdAt: delivery.createdAt,
+    deliveredAt: delivery.deliveredAt || null
+  };
+}
+
+/**
+ * Validate a webhook registration
+ * @param {Object} options
+ * @param {string} options.url
+ * @param {string[]} options.events
+ * @param {Object} [options.lowBalance] - { SOL, USDC, ... } thresholds in base units
+ * @param {boolean} [options.allowHttp] - Accept plain http:// URLs (development)
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateWebhook({ url, events, lowBalance, allowHttp = false }) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'url must be a valid URL';
+  }
+  if (parsed.protocol !== 'https:' && !(allowHttp && parsed.protocol === 'http:')) {
+    return 'url must use https';
+  }
+
+  if (!Array.isArray(events) || events.length === 0) {
+    return 'events must be a non-empty array';
+  }
+  const unknown = events.filter(e => !WEBHOOK_EVENTS.includes(e));
+  if (unknown.length > 0) {
+    return `Unknown events: ${unknown.join(', ')} (expected ${WEBHOOK_EVENTS.join(', ')})`;
+  }
+
+  if (lowBalance !== undefined) {
+    if (typeof lowBalance !== 'object' || lowBalance === null) return 'lowBalance must be an object';
+    for (const [asset, threshold] of Object.entries(lowBalance)) {
+      if (!isKnownAsset(asset)) return `lowBalance assets must be ${ASSETS.join(', ')}`;
+      if (!Number.isInteger(threshold) || threshold < 0) return 'lowBalance thresholds must be non-negative integers (base units)';
+    }
+  }
+  return null;
+}
+
+/**
+ * Set how webhooks are delivered
+ * @param {Object} options
+ * @param {boolean} [options.allowPrivateHosts] - Deliver to loopback and private addresses (development)
+ */
+export function configureWebhooks(options) {
+  allowPrivateHosts = Boolean(options.allowPrivateHosts);
+}
+
+// BlockList checks IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) against the IPv4 subnets
+function isBlockedAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, isIP(address) === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Resolve a webhook URL's host to the address a delivery connects to: { address, family } or { error }
+async function resolveWebhookHost(url) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = isIP(hostname) ? [{ address: hostname, family: isIP(hostname) }] : await lookup(hostname, { all: true });
+  } catch {
+    return { error: `url host ${hostname} does not resolve` };
+  }
+  if (!allowPrivateHosts && addresses.some(a => isBlockedAddress(a.address))) {
+    return { error: `url host ${hostname} resolves to a loopback, link-local or private address` };
+  }
+  return { address: addresses[0].address, family: addresses[0].family };
+}
+
+/**
+ * Check that a webhook URL's host resolves only to public addresses
+ * @param {string} url - A URL validateWebhook accepted
+ * @returns {Promise<string|null>} Error message, or null if it may be delivered to
+ */
+export async function checkWebhookHost(url) {
+  if (allowPrivateHosts) return null;
+  return (await resolveWebhookHost(url)).error || null;
+}
+
+// POST to an already resolved address. Host header and TLS server name stay the URL's;
+// redirects are not followed.
+function postTo(url, { address, family }, headers, body) {
+  const target = new URL(url);
+  const request = target.protocol === 'https:' ? httpsRequest : httpRequest;
+
+  return new Promise((resolve, reject) => {
+    const req = request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      // A fresh connection every time, to this address only
+      agent: false,
+      lookup: (hostname, options, callback) => {
+        if (options.all) callback(null, [{ address, family }]);
+        else callback(null, address, family);
+      },
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Register a webhook
+ * @param {Object} store - Storage backend
+ * @param {string} projectId
+ * @param {Object} options
+ * @param {string} options.url
+ * @param {string[]} options.events
+ * @param {Object} [options.lowBalance] - { SOL, USDC, ... } thresholds for balance.low
+ * @returns {{ secret: string, webhook: Object }} Signing secret (show once) and the public view
+ */
+export function createWebhook(store, projectId, { url, events, lowBalance = {} }) {
+  if (store.listWebhooks(projectId).length >= MAX_WEBHOOKS_PER_PROJECT) {
+    throw new Error(`Projects are limited to ${MAX_WEBHOOKS_PER_PROJECT} webhooks`);
+  }
+
+  const record = {
+    id: 'wh_' + randomBytes(6).toString('hex'),
+    projectId,
+    url,
+    events: [...new Set(events)],
+    lowBalance: { ...DEFAULT_LOW_BALANCE, ...lowBalance },
+    secret: 'whsec_' + randomBytes(24).toString('hex'),
+    createdAt: Date.now()
+  };
+
+  store.saveWebhook(record);
+  return { secret: record.secret, webhook: describeWebhook(record) };
+}
+
+/**
+ * Signature header value for a payload
+ * @param {string} secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string}
+ */
+export function signPayload(secret, timestamp, body) {
+  const digest = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+function enqueue(store, webhook, payload, replayOf = null) {
+  const delivery = {
+    id: 'whd_' + randomBytes(8).toString('hex'),
+    webhookId: webhook.id,
+    projectId: webhook.projectId,
+    payload,
+    status: 'pending',
+    attemptCount: 0,
+    attempts: [],
+    nextAttemptAt: Date.now(),
+    replayOf,
+    createdAt: Date.now()
+  };
+  store.saveWebhookDelivery(delivery);
+
+  attemptDelivery(store, delivery).catch(err => {
+    console.error(`[WEBHOOK] Delivery ${delivery.id} error:`, err.message);
+  });
+
+  return delivery;
+}
+
+function buildPayload(projectId, type, data) {
+  return {
+    id: 'evt_' + randomBytes(8).toString('hex'),
+    type,
+    projectId,
+    createdAt: new Date().toISOString(),
+    data
+  };
+}
+
+/**
+ * Queue an event for every webhook of the project subscribed to it.
+ * Call after the change it describes has been committed.
+ * @param {Object} store - Storage backend
+ * @param {string} projectId
+ * @param {string} type - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event body
+ * @returns {Object[]} Deliveries created
+ */
+export function emitEvent(store, projectId, type, data) {
+  const webhooks = store.listWebhooks(projectId).filter(w => w.events.includes(type));
+  if (webhooks.length === 0) return [];
+
+  const payload = buildPayload(projectId, type, data);
+  return webhooks.map(webhook => enqueue(store, webhook, payload));
+}
+
+/**
+ * Emit balance.low to webhooks whose threshold the balance just crossed
+ * @param {Object} store - Storage backend
+ * @param {string} projectId
+ * @param {string} asset - SOL or a token symbol
+ * @param {number} before - Balance before the debit
+ * @param {number} after - Balance after the debit
+ * @returns {Object[]} Deliveries created
+ */
+export function checkLowBalance(store, projectId, asset, before, after) {
+  const crossed = store.listWebhooks(projectId).filter(w => {
+    const threshold = w.lowBalance?.[asset];
+    return w.events.includes('balance.low') && threshold !== undefined && before >= threshold && after < threshold;
+  });
+
+  return crossed.map(webhook => enqueue(store, webhook, buildPayload(projectId, 'balance.low', {
+    asset,
+    balance: after,
+    threshold: webhook.lowBalance[asset]
+  })));
+}
+
+/**
+ * POST a delivery once, then record the outcome and schedule any retry
+ * @param {Object} store - Storage backend
+ * @param {Object} delivery
+ * @returns {Promise<Object>} Updated delivery
+ */
+export async function attemptDelivery(store, delivery) {
+  if (inFlight.has(delivery.id)) return delivery;
+
+  const webhook = store.getWebhook(delivery.webhookId);
+  if (!webhook) {
+    const dropped = { ...delivery, status: 'failed', nextAttemptAt: null };
+    store.saveWebhookDelivery(dropped);
+    return dropped;
+  }
+
+  inFlight.add(delivery.id);
+  const body = JSON.stringify(delivery.payload);
+  const startedAt = Date.now();
+  const attempt = { at: startedAt, statusCode: null, error: null, durationMs: 0 };
+
+  try {
+    // Resolved again: the host's DNS may have changed since registration
+    const resolved = await resolveWebhookHost(webhook.url);
+    if (resolved.error) throw new Error(resolved.error);
+
+    const statusCode = await postTo(webhook.url, resolved, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'MacGas-Webhooks/1.0',
+      'X-MacGas-Event': delivery.payload.type,
+      'X-MacGas-Delivery': delivery.id,
+      'X-MacGas-Signature': signPayload(webhook.secret, Math.floor(startedAt / 1000), body)
+    }, body);
+    attempt.statusCode = statusCode;
+    if (statusCode < 200 || statusCode >= 300) attempt.error = `HTTP ${statusCode}`;
+  } catch (err) {
+    attempt.error = err.message;
+  } finally {
+    inFlight.delete(delivery.id);
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+
+  // Re-read: a replay or another worker may have touched it meanwhile
+  const current = store.getWebhookDelivery(delivery.id) || delivery;
+  const attempts = [...current.attempts, attempt].slice(-MAX_ATTEMPT_LOG);
+  const attemptCount = current.attemptCount + 1;
+  const updated = { ...current, attempts, attemptCount };
+
+  if (!attempt.error) {
+    updated.status = 'delivered';
+    updated.deliveredAt = Date.now();
+    updated.nextAttemptAt = null;
+  } else if (attemptCount > RETRY_DELAYS_MS.length) {
+    updated.status = 'failed';
+    updated.nextAttemptAt = null;
+    console.log(`[WEBHOOK] Giving up on ${delivery.id} (${delivery.payload.type}) after ${attemptCount} attempts`);
+  } else {
+    updated.nextAttemptAt = Date.now() + RETRY_DELAYS_MS[attemptCount - 1];
+  }
+
+  store.saveWebhookDelivery(updated);
+  return updated;
+}
+
+/**
+ * Retry every delivery whose backoff has elapsed
+ * @param {Object} store - Storage backend
+ * @returns {Promise<number>} Deliveries attempted
+ */
+export async function processDueDeliveries(store) {
+  const due = store.listDueWebhookDeliveries(Date.now()).filter(d => !inFlight.has(d.id));
+  for (const delivery of due) {
+    await attemptDelivery(store, delivery);
+  }
+  return due.length;
+}
+
+/**
+ * Send a past delivery's event again, as a new delivery
+ * @param {Object} store - Storage backend
+ * @param {Object} delivery
+ * @returns {Object} The new delivery
+ */
+export function replayDelivery(store, delivery) {
+  const webhook = store.getWebhook(delivery.webhookId);
+  if (!webhook) throw new Error('Webhook no longer exists');
+  return enqueue(store, webhook, delivery.payload, delivery.id);
+}
@@ -0,0 +1,107 @@
+/**
+ * Built-in x402 facilitator for MacGas
+ *
+ * Verifies and settles `exact` SVM payments in-process instead of asking a
+ * remote facilitator (x402.org), so x402 funding needs nothing but our own
+ * RPC. The x402 library's exact SVM scheme does the payload checks (compute
+ * budget, transferChecked of the right mint and amount to payTo's token
+ * account); this module gives it a signer per network (one per cluster that
+ * takes payments, each on its own RPC and fee payer):
+ *   local - the cluster's fee payer signer (signers.mjs: in-process or Kora)
+ *           co-signs as fee payer; simulate, send and confirm go to its RPC
+ *   mock  - nothing co-signs and simulation skips signature checks, so the
+ *           transaction is sent exactly as the client signed it. Meant for
+ *           integration tests against a stub RPC, or a solana-test-validator
+ *           where the test client holds the advertised fee payer key.
+ *
+ * createFacilitatorClient() returns whatever x402ResourceServer talks to:
+ * the HTTP client for a remote facilitator, or an x402Facilitator here.
+ */
+
+import { HTTPFacilitatorClient } from '@x402/core/server';
+import { x402Facilitator } from '@x402/core/facilitator';
+import { ExactSvmScheme } from '@x402/svm/exact/facilitator';
+import { rpcRequest } from './rpc.mjs';
+import { decodeTransaction } from './solana-tx.mjs';
+import { simulateTransaction } from './simulation.mjs';
+
+export const FACILITATOR_MODES = ['remote', 'local', 'mock'];
+
+export const DEFAULT_FACILITATOR_URL = 'https://x402.org/facilitator';
+
+// How long settle waits for the payment to reach `confirmed`
+const CONFIRM_TIMEOUT_MS = 60_000;
+const CONFIRM_POLL_MS = 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * FacilitatorSvmSigner (see @x402/svm) backed by one network's RPC and fee payer
+ * @param {Object} config - { mode, rpcUrl, feePayer, signer }
+ * @returns {Object}
+ */
+function createSigner({ mode, rpcUrl, feePayer, signer }) {
+  return {
+    getAddresses() {
+      return [feePayer];
+    },
+
+    async signTransaction(transaction, payer) {
+      if (payer !== feePayer) throw new Error('Not our fee payer: ' + payer);
+      if (decodeTransaction(transaction).feePayer !== feePayer) {
+        throw new Error('Transaction fee payer must be ' + feePayer);
+      }
+      if (mode === 'mock') return transaction;
+      return signer.signTransaction(transaction);
+    },
+
+    async simulateTransaction(transaction) {
+      const simulation = await simulateTransaction(rpcUrl, transaction, decodeTransaction(transaction), {
+        sigVerify: mode !== 'mock'
+      });
+      if (!simulation.ok) throw new Error(simulation.error.message);
+    },
+
+    async sendTransaction(transaction) {
+      return rpcRequest(rpcUrl, 'sendTransaction', [transaction, { encoding: 'base64', skipPreflight: true }]);
+    },
+
+    async confirmTransaction(signature) {
+      const deadline = Date.now() + CONFIRM_TIMEOUT_MS;
+      while (Date.now() < deadline) {
+        const statuses = await rpcRequest(rpcUrl, 'getSignatureStatuses', [[signature]]);
+        const status = statuses?.value?.[0];
+        if (status?.err) throw new Error('Payment transaction failed: ' + JSON.stringify(status.err));
+        if (status?.confirmationStatus === 'confirmed' || status?.confirmationStatus === 'finalized') return;
+        await sleep(CONFIRM_POLL_MS);
+      }
+      throw new Error('Payment transaction not confirmed after ' + CONFIRM_TIMEOUT_MS / 1000 + 's: ' + signature);
+    }
+  };
+}
+
+/**
+ * Facilitator client for x402ResourceServer
+ * @param {Object} config
+ * @param {string} [config.mode] - remote | local | mock
+ * @param {string} [config.url] - Remote facilitator URL
+ * @param {Object[]} config.networks - Networks the local facilitator settles on:
+ *   { network (CAIP-2), rpcUrl, feePayer advertised to clients, signer (signers.mjs; local) }
+ * @returns {Object} { getSupported, verify, settle }
+ */
+export function createFacilitatorClient({ mode = 'remote', url, networks = [] }) {
+  if (!FACILITATOR_MODES.includes(mode)) {
+    throw new Error(`X402_FACILITATOR must be one of ${FACILITATOR_MODES.join(', ')}`);
+  }
+  if (mode === 'remote') {
+    return new HTTPFacilitatorClient({ url: url || DEFAULT_FACILITATOR_URL });
+  }
+
+  const facilitator = new x402Facilitator();
+  for (const { network, ...config } of networks) {
+    if (!config.rpcUrl || !config.feePayer) throw new Error(`The ${mode} x402 facilitator needs an RPC URL and fee payer for ${network}`);
+    if (mode === 'local' && !config.signer) throw new Error(`The local x402 facilitator needs a fee payer signer for ${network}`);
+    facilitator.register(network, new ExactSvmScheme(createSigner({ mode, ...config })));
+  }
+  return facilitator;
+}
@@ -2,80 +2,169 @@
  * x402 Payment Middleware for MacGas
  * 
  * Enables automatic payment for gasless transaction sponsorship.
- * When balance is insufficient, returns 402 with Solana USDC payment option.
+ * When balance is insufficient, returns 402 with Solana USDC payment options.
+ *
+ * The 402 `accepts` list offers several funding amounts within the tier's
+ * bounds. The client pays one of them; we check the amount it signed for is
+ * ours to accept, have the facilitator verify and settle exactly that, and
+ * credit exactly that. Each payment can only be credited once.
+ *
+ * Every metered cluster with a USDC mint (clusters.mjs) takes payments on its
+ * own CAIP-2 network, to its own wallet, and they fund its own balance.
  */
 
-import { x402ResourceServer, HTTPFacilitatorClient } from '@x402/core/server';
+import { createHash } from 'crypto';
+import { x402ResourceServer } from '@x402/core/server';
 import { ExactSvmScheme } from '@x402/svm/exact/server';
+import { createFacilitatorClient } from './x402-facilitator.mjs';
+import { REFERENCE_TX_LAMPORTS, lamportsToAsset, assetToLamports, txCostUsd } from './pricing.mjs';
+import { CLUSTERS, DEFAULT_CLUSTER } from './clusters.mjs';
 
-// Our receiving wallet
-const PAY_TO = 'F6i99DWMEMZtLDKnWGx1FW6drkqvtDnXWLHxgrwzVdWD';
+// Funding bounds per tier, in USDC base units
+export const FUNDING_BOUNDS = {
+  payg: { min: 10_000, max: 10_000_000 },       // $0.01 - $10
+  sponsored: { min: 10_000, max: 100_000_000 }  // $0.01 - $100
+};
 
-// Solana mainnet CAIP-2 identifier
-const SOLANA_MAINNET = 'solana:5eykt4UsFv8P8NJdTREpY1vzqKqZKvdp';
+// Amounts offered in a 402, in transactions
+const FUNDING_TX_COUNTS = [100, 1000, 10000];
 
-// Cost per transaction in USD
-const COST_PER_TX_USD = 0.001; // $0.001 per tx
+// Payments being verified/settled right now, so a replayed header can't race the first
+const inFlight = new Set();
 
-// Facilitator URL (use x402.org for now, could self-host later)
-const FACILITATOR_URL = 'https://x402.org/facilitator';
+// Resource server over the configured facilitator (x402.org until configureX402 says otherwise)
+let x402Server;
+let facilitatorMode;
 
-// Create facilitator client
-const facilitatorClient = new HTTPFacilitatorClient({
-  url: FACILITATOR_URL
-});
+// Fetch the facilitator's supported kinds (fee payer etc.) once; retried if it failed
+let initializing = null;
 
-// Create resource server and register Solana scheme
-const x402Server = new x402ResourceServer(facilitatorClient);
-const svmScheme = new ExactSvmScheme();
-x402Server.register(SOLANA_MAINNET, svmScheme);
+/**
+ * Where a cluster takes x402 payments, if it does: metered and sponsoring, with a wallet and a USDC mint
+ * @param {string} [cluster]
+ * @returns {Object|null} { cluster, network, payTo, asset }
+ */
+export function getPaymentNetwork(cluster = DEFAULT_CLUSTER) {
+  const config = CLUSTERS[cluster];
+  if (!config?.feePayer || config.pricing.free || !config.wallet || !config.mints.USDC) return null;
+  return { cluster, network: config.caip2, payTo: config.wallet, asset: config.mints.USDC };
+}
+
+/**
+ * Choose the facilitator that verifies and settles payments
+ * @param {Object} [options] - See createFacilitatorClient (x402-facilitator.mjs). networks
+ *   defaults to every cluster that takes payments, on its own RPC and fee payer.
+ */
+export function configureX402(options = {}) {
+  const paying = Object.keys(CLUSTERS).map(getPaymentNetwork).filter(Boolean);
+  const networks = options.networks || paying.map(({ cluster, network }) => ({
+    network,
+    rpcUrl: CLUSTERS[cluster].rpcUrl,
+    feePayer: CLUSTERS[cluster].feePayer
+  }));
+  const facilitatorClient = createFacilitatorClient({ ...options, networks });
+  x402Server = new x402ResourceServer(facilitatorClient);
+  for (const { network } of paying) x402Server.register(network, new ExactSvmScheme());
+  facilitatorMode = options.mode || 'remote';
+  initializing = null;
+}
+
+configureX402();
+
+/**
+ * Which facilitator is in use
+ * @returns {string} remote | local | mock
+ */
+export function getFacilitatorMode() {
+  return facilitatorMode;
+}
+
+function ensureInitialized() {
+  initializing ??= x402Server.initialize().catch(err => {
+    initializing = null;
+    throw err;
+  });
+  return initializing;
+}
+
+/**
+ * USDC amount that funds a number of transactions, within the tier's bounds.
+ * Priced like a USDC memo deposit, so both credit the same for the same dollars.
+ * @param {number} txCount
+ * @param {string} tier - payg | sponsored
+ * @returns {number} USDC base units
+ * @throws if the price feed is unavailable
+ */
+export function fundingAmount(txCount, tier) {
+  const { min, max } = FUNDING_BOUNDS[tier];
+  return Math.min(Math.max(lamportsToAsset(txCount * REFERENCE_TX_LAMPORTS, 'USDC'), min), max);
+}
 
 /**
  * Create x402 payment requirements for topping up balance
- * @param {number} txCount - Number of transactions to fund
- * @returns {Object} Payment requirements object
+ * @param {Object} [options]
+ * @param {string} [options.tier] - payg | sponsored (sets the bounds)
+ * @param {number} [options.txCount] - Amount the caller asked for; offered first
+ * @param {string} [options.cluster] - Cluster whose balance the payment funds
+ * @returns {Promise<Object>} PaymentRequired object
+ * @throws if the cluster takes no payments, or the price feed or the facilitator is unavailable
  */
-export function createPaymentRequirements(txCount = 100) {
-  const price = (txCount * COST_PER_TX_USD).toFixed(4);
+export async function createPaymentRequirements({ tier = 'sponsored', txCount, cluster = DEFAULT_CLUSTER } = {}) {
+  const paymentNetwork = getPaymentNetwork(cluster);
+  if (!paymentNetwork) throw new Error('No x402 payments on ' + cluster);
+  const { network, payTo, asset } = paymentNetwork;
+  const counts = txCount ? [txCount, ...FUNDING_TX_COUNTS] : FUNDING_TX_COUNTS;
+  const amounts = [...new Set(counts.map(count => fundingAmount(count, tier)))];
+  
+  await ensureInitialized();
+  const accepts = [];
+  for (const amount of amounts) {
+    const [requirement] = await x402Server.buildPaymentRequirements({
+      scheme: 'exact',
+      network,
+      payTo,
+      price: { amount: String(amount), asset }
+    });
+    if (!requirement) throw new Error('No x402 scheme registered for ' + network);
+    const description = `Fund ${Math.floor(amount / lamportsToAsset(REFERENCE_TX_LAMPORTS, 'USDC'))} gasless transactions on macgas.xyz`;
+    accepts.push({ ...requirement, extra: { ...requirement.extra, description } });
+  }
   
+  const description = `Fund gasless transactions ($${txCostUsd().toFixed(6)}/tx)`;
+  const prefix = cluster === DEFAULT_CLUSTER ? '' : '/' + cluster;
   return {
     x402Version: 2,
-    accepts: [
-      {
-        scheme: 'exact',
-        network: SOLANA_MAINNET,
-        price: `$${price}`,
-        payTo: PAY_TO,
-        asset: {
-          address: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
-          decimals: 6,
-          symbol: 'USDC'
-        },
-        extra: {
-          description: `Fund ${txCount} gasless transactions on macgas.xyz`
-        }
-      }
-    ],
-    description: `Fund gasless transactions ($${COST_PER_TX_USD}/tx)`,
+    resource: { url: `https://macgas.xyz${prefix}/fund`, description, mimeType: 'application/json' },
+    accepts,
+    description,
     mimeType: 'application/json'
   };
 }
 
 /**
- * Build 402 Payment Required response
- * @param {number} txCount - Number of transactions to fund
- * @returns {Object} Response object with headers and body
+ * Build 402 Payment Required response. If no x402 offer can be made right
+ * now, the body still explains how to fund manually.
+ * @param {Object} [options] - See createPaymentRequirements
+ * @returns {Promise<Object>} Response object with headers and body
  */
-export function build402Response(txCount = 100) {
-  const requirements = createPaymentRequirements(txCount);
-  const encoded = Buffer.from(JSON.stringify(requirements)).toString('base64');
+export async function build402Response(options = {}) {
+  const payTo = CLUSTERS[options.cluster || DEFAULT_CLUSTER].wallet;
+  let requirements;
+  try {
+    requirements = await createPaymentRequirements(options);
+  } catch (err) {
+    console.error('[x402] Cannot build payment requirements:', err.message);
+    requirements = { x402Version: 2, accepts: [], error: 'x402 payments unavailable: ' + err.message };
+  }
+  
+  const headers = { 'Content-Type': 'application/json' };
+  if (requirements.accepts.length > 0) {
+    headers['X-Payment-Required'] = Buffer.from(JSON.stringify(requirements)).toString('base64');
+  }
   
   return {
     status: 402,
-    headers: {
-      'X-Payment-Required': encoded,
-      'Content-Type': 'application/json'
-    },
+    headers,
     body: {
       error: 'Payment Required',
       message: 'Insufficient balance for gasless transaction',
@@ -83,7 +172,7 @@ export function build402Response(txCount = 100) {
         ...requirements,
         instructions: [
           'Your x402-compatible client should automatically handle this payment.',
-          'Or manually send USDC to ' + PAY_TO + ' with your project ID as memo.',
+          'Or manually send USDC to ' + payTo + ' with your project ID as memo.',
           'Docs: https://macgas.xyz/SKILL.md'
         ]
       }
@@ -91,89 +180,175 @@ export function build402Response(txCount = 100) {
   };
 }
 
+// Check the requirement the client paid against is one we would have offered on this cluster
+function checkAccepted(accepted, tier, cluster) {
+  const paymentNetwork = getPaymentNetwork(cluster);
+  if (!paymentNetwork) return 'No x402 payments on ' + cluster;
+  if (!accepted || typeof accepted !== 'object') return 'Payment does not name the requirement it pays';
+  if (accepted.scheme !== 'exact' || accepted.network !== paymentNetwork.network) return 'Unsupported scheme or network';
+  if (accepted.asset !== paymentNetwork.asset) return 'Payment must be in USDC';
+  if (accepted.payTo !== paymentNetwork.payTo) return 'Payment is not to MacGas';
+  
+  const { min, max } = FUNDING_BOUNDS[tier];
+  const amount = Number(accepted.amount);
+  if (!/^\d+$/.test(String(accepted.amount)) || amount < min || amount > max) {
+    return `Amount must be between ${min} and ${max} USDC base units`;
+  }
+  return null;
+}
+
 /**
- * Verify and process x402 payment
+ * Verify and settle an x402 payment
  * @param {string} paymentHeader - Base64 encoded payment payload from X-Payment header
- * @param {Object} requirements - The payment requirements that were sent
- * @returns {Promise<Object>} Verification result
+ * @param {Object} options
+ * @param {string} [options.tier] - payg | sponsored (sets the bounds)
+ * @param {string} [options.cluster] - Cluster the payment must be on
+ * @param {Function} options.isReplay - (payloadHash) => true if this payment was already credited
+ * @returns {Promise<Object>} { valid, cluster, amount, txCount, lamports, payer, txSignature, payloadHash } or { valid: false, error }.
+ *   lamports is the payment's SOL value, priced before it settled.
  */
-export async function verifyPayment(paymentHeader, requirements) {
+export async function verifyPayment(paymentHeader, { tier = 'sponsored', cluster = DEFAULT_CLUSTER, isReplay }) {
+  let payload;
   try {
-    const payload = JSON.parse(Buffer.from(paymentHeader, 'base64').toString());
-    
-    // Verify with facilitator
-    const verification = await x402Server.verify(payload, requirements);
+    payload = JSON.parse(Buffer.from(paymentHeader, 'base64').toString());
+  } catch {
+    return { valid: false, error: 'Malformed payment header' };
+  }
+  
+  const accepted = payload.accepted;
+  const invalid = payload.x402Version !== 2 ? 'Unsupported x402 version' : checkAccepted(accepted, tier, cluster);
+  if (invalid) return { valid: false, error: invalid };
+  
+  // The signed transfer identifies the payment, however the header is encoded
+  const payloadHash = createHash('sha256').update(JSON.stringify(payload.payload ?? null)).digest('hex');
+  if (inFlight.has(payloadHash) || isReplay(payloadHash)) {
+    return { valid: false, error: 'Payment already used' };
+  }
+  
+  // Price it before any money moves: a settled payment has to be credited
+  const amount = Number(accepted.amount);
+  let txCount;
+  let lamports;
+  try {
+    txCount = Math.floor(amount / lamportsToAsset(REFERENCE_TX_LAMPORTS, 'USDC'));
+    lamports = assetToLamports(amount, 'USDC');
+  } catch (err) {
+    return { valid: false, error: 'Pricing unavailable, try again shortly: ' + err.message };
+  }
+  
+  inFlight.add(payloadHash);
+  try {
+    await ensureInitialized();
     
-    if (!verification.valid) {
-      return { valid: false, error: verification.error || 'Invalid payment' };
+    // Verify with facilitator - against the amount the client signed for, which we checked above
+    const verification = await x402Server.verifyPayment(payload, accepted);
+    if (!verification.isValid) {
+      return { valid: false, error: verification.invalidReason || 'Invalid payment' };
     }
     
     // Settle the payment
-    const settlement = await x402Server.settle(payload, requirements);
-    
+    const settlement = await x402Server.settlePayment(payload, accepted);
     if (!settlement.success) {
-      return { valid: false, error: settlement.error || 'Settlement failed' };
+      return { valid: false, error: settlement.errorReason || 'Settlement failed' };
     }
     
     return {
       valid: true,
-      amount: payload.amount,
-      txSignature: settlement.transactionHash,
-      txCount: Math.floor(parseFloat(requirements.accepts[0].price.replace('$', '')) / COST_PER_TX_USD)
+      cluster,
+      amount,
+      txCount,
+      lamports,
+      payer: settlement.payer || verification.payer || null,
+      txSignature: settlement.transaction,
+      payloadHash
     };
   } catch (error) {
     return { valid: false, error: error.message };
+  } finally {
+    inFlight.delete(payloadHash);
   }
 }
 
 /**
- * Express middleware for x402 support
- * Checks for payment header and processes payment before continuing
+ * Send a 402 that offers x402 payment, plus route-specific fields
+ * @param {Object} res - Express response
+ * @param {Object} options - See createPaymentRequirements
+ * @param {Object} [fields] - Merged into the body (error, message, balances...)
+ */
+export async function send402(res, options, fields = {}) {
+  const response = await build402Response(options);
+  res.set(response.headers);
+  return res.status(response.status).json({ ...response.body, ...fields });
+}
+
+/**
+ * The payment a request carries, if any
+ * @param {Object} req - Express request
+ * @returns {string|undefined} Base64 PaymentPayload
  */
-export function x402Middleware(getBalance, creditBalance) {
+export function getPaymentHeader(req) {
+  return req.headers['x-payment'] || req.headers['payment-signature'];
+}
+
+/**
+ * Express middleware: the payment layer of every paid route.
+ *
+ * A request carrying a payment (X-Payment or Payment-Signature) has it
+ * verified, settled and credited before the route runs; the receipt is
+ * returned in X-Payment-Response and left on req.x402Payment. A payment
+ * that fails ends the request with a 402 saying why, alongside fresh
+ * requirements. Requests without a payment pass straight through - the
+ * route decides whether the balance covers it and answers with send402().
+ * @param {Object} hooks
+ * @param {Function} hooks.getPayer - (req) => { projectId, project } paying
+ * @param {Function} [hooks.getCluster] - (req) => cluster the payment funds (default mainnet)
+ * @param {Function} hooks.getTier - (project) => payg | sponsored (funding bounds)
+ * @param {Function} hooks.isReplay - (payloadHash) => true if already credited
+ * @param {Function} [hooks.checkCredit] - (project, cluster) => error message if the request can't be paid for right now;
+ *   runs before the payment settles
+ * @param {Function} hooks.credit - (payer, payment) => { creditedAsset, creditedAmount, balance }, or null if already credited
+ */
+export function x402Middleware({ getPayer, getCluster = () => DEFAULT_CLUSTER, getTier, isReplay, checkCredit, credit }) {
   return async (req, res, next) => {
-    const projectId = req.headers['x-project-id'];
+    const paymentHeader = getPaymentHeader(req);
+    if (!paymentHeader) return next();
     
-    // Check for x402 payment header
-    const paymentHeader = req.headers['x-payment'] || req.headers['payment-signature'];
+    const payer = getPayer(req);
+    const cluster = getCluster(req);
+    const tier = getTier(payer.project);
+    const fail = (details) => send402(res, { tier, cluster }, {
+      error: 'Payment verification failed',
+      code: 'PAYMENT_FAILED',
+      message: 'The payment was not accepted; pay one of the offers in x402.accepts',
+      details
+    });
     
-    if (paymentHeader) {
-      // Process the payment
-      const txCount = 100; // Default funding amount
-      const requirements = createPaymentRequirements(txCount);
-      
-      const result = await verifyPayment(paymentHeader, requirements);
-      
-      if (result.valid) {
-        // Credit the balance
-        await creditBalance(projectId, result.txCount);
-        
-        // Add payment info to request for logging
-        req.x402Payment = result;
-        
-        // Continue with the original request
-        return next();
-      } else {
-        return res.status(402).json({
-          error: 'Payment verification failed',
-          details: result.error
-        });
-      }
-    }
+    // Refuse before settling, so the payer isn't charged for nothing
+    const unavailable = checkCredit?.(payer.project, cluster);
+    if (unavailable) return fail(unavailable);
     
-    // No payment header - check if balance is sufficient
-    const balance = await getBalance(projectId);
+    const payment = await verifyPayment(paymentHeader, { tier, cluster, isReplay });
+    if (!payment.valid) return fail(payment.error);
     
-    if (balance <= 0) {
-      // Return 402 with payment requirements
-      const response = build402Response(100);
-      res.set(response.headers);
-      return res.status(response.status).json(response.body);
+    let credited;
+    try {
+      credited = credit(payer, payment);
+    } catch (err) {
+      console.error(`[x402] Settled ${payment.txSignature} for ${payer.projectId} but could not credit it:`, err.message);
+      return fail('Payment settled but not credited - contact support with ' + payment.txSignature);
     }
+    if (!credited) return fail('Payment already used');
     
-    // Balance is sufficient, continue
+    req.x402Payment = { ...payment, ...credited };
+    res.set('X-Payment-Response', Buffer.from(JSON.stringify({
+      success: true,
+      transaction: payment.txSignature,
+      network: getPaymentNetwork(cluster).network,
+      payer: payment.payer,
+      amount: String(payment.amount)
+    })).toString('base64'));
     next();
   };
 }
 
-export { x402Server, SOLANA_MAINNET, PAY_TO, COST_PER_TX_USD };
+export { x402Server };